@@ -1,4 +1,5 @@
 const { Pool } = require('pg');
+const { SESSION_STATUSES, CANCELLED_STATUSES_SQL } = require('../utils/sessionLifecycle');
 
 // Database connection pool
 const pool = new Pool({
@@ -120,6 +121,25 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Appointment types offered by each therapist (intake, follow-up, consult...)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS appointment_types (
+        id SERIAL PRIMARY KEY,
+        therapist_id INTEGER REFERENCES therapists(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        duration_minutes INTEGER NOT NULL CHECK (duration_minutes > 0),
+        price DECIMAL(10,2),
+        currency VARCHAR(3) DEFAULT 'USD',
+        modality VARCHAR(20) DEFAULT 'video' CHECK (modality IN ('video', 'in_person', 'phone')),
+        session_type VARCHAR(20) DEFAULT 'individual',
+        first_session_only BOOLEAN DEFAULT false,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
     // Availability templates (recurring availability)
     await client.query(`
       CREATE TABLE IF NOT EXISTS availability_templates (
@@ -141,8 +161,8 @@ const initializeDatabase = async () => {
       CREATE TABLE IF NOT EXISTS availability_slots (
         id SERIAL PRIMARY KEY,
         therapist_id INTEGER REFERENCES therapists(id) ON DELETE CASCADE,
-        start_datetime TIMESTAMP NOT NULL,
-        end_datetime TIMESTAMP NOT NULL,
+        start_datetime TIMESTAMPTZ NOT NULL,
+        end_datetime TIMESTAMPTZ NOT NULL,
         status VARCHAR(20) DEFAULT 'available',
         session_type VARCHAR(20) DEFAULT 'individual',
         notes TEXT,
@@ -151,6 +171,96 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Dates already expanded from each template (keeps generation idempotent)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS availability_generated_dates (
+        id SERIAL PRIMARY KEY,
+        template_id INTEGER REFERENCES availability_templates(id) ON DELETE CASCADE,
+        generated_date DATE NOT NULL,
+        slots_created INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(template_id, generated_date)
+      )
+    `);
+
+    // Previewed template generation plans awaiting apply
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS availability_generation_plans (
+        id SERIAL PRIMARY KEY,
+        therapist_id INTEGER REFERENCES therapists(id) ON DELETE CASCADE,
+        template_id INTEGER REFERENCES availability_templates(id) ON DELETE CASCADE,
+        plan JSONB NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'applied')),
+        expires_at TIMESTAMPTZ NOT NULL,
+        applied_at TIMESTAMPTZ,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Time off and vacation blocks (optionally recurring)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS availability_time_off (
+        id SERIAL PRIMARY KEY,
+        therapist_id INTEGER REFERENCES therapists(id) ON DELETE CASCADE,
+        start_datetime TIMESTAMPTZ NOT NULL,
+        end_datetime TIMESTAMPTZ NOT NULL,
+        reason TEXT,
+        recurrence VARCHAR(20) DEFAULT 'none' CHECK (recurrence IN ('none', 'daily', 'weekly', 'yearly')),
+        recurrence_until DATE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        CHECK (end_datetime > start_datetime)
+      )
+    `);
+
+    // External calendars imported from .ics files, one row per named source
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS availability_calendar_imports (
+        id SERIAL PRIMARY KEY,
+        therapist_id INTEGER REFERENCES therapists(id) ON DELETE CASCADE,
+        source_name VARCHAR(255) NOT NULL,
+        window_start TIMESTAMPTZ,
+        window_end TIMESTAMPTZ,
+        busy_count INTEGER DEFAULT 0,
+        last_imported_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(therapist_id, source_name)
+      )
+    `);
+
+    // Busy occurrences expanded from imported events. occurrence_start is the
+    // original recurrence instant, so re-imports update rows in place.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS availability_external_busy (
+        id SERIAL PRIMARY KEY,
+        import_id INTEGER REFERENCES availability_calendar_imports(id) ON DELETE CASCADE,
+        therapist_id INTEGER REFERENCES therapists(id) ON DELETE CASCADE,
+        event_uid VARCHAR(512) NOT NULL,
+        occurrence_start TIMESTAMPTZ NOT NULL,
+        start_datetime TIMESTAMPTZ NOT NULL,
+        end_datetime TIMESTAMPTZ NOT NULL,
+        summary TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(import_id, event_uid, occurrence_start),
+        CHECK (end_datetime > start_datetime)
+      )
+    `);
+
+    // Therapist settings (scheduling preferences)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS therapist_settings (
+        id SERIAL PRIMARY KEY,
+        therapist_id INTEGER REFERENCES therapists(id) ON DELETE CASCADE,
+        availability_horizon_weeks INTEGER DEFAULT 4 CHECK (availability_horizon_weeks >= 0 AND availability_horizon_weeks <= 52),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(therapist_id)
+      )
+    `);
+
     // Therapist-client relationships
     await client.query(`
       CREATE TABLE IF NOT EXISTS therapist_clients (
@@ -175,7 +285,7 @@ const initializeDatabase = async () => {
         id SERIAL PRIMARY KEY,
         therapist_id INTEGER REFERENCES therapists(id) ON DELETE CASCADE,
         user_id INTEGER NOT NULL,
-        availability_slot_id INTEGER REFERENCES availability_slots(id) ON DELETE CASCADE,
+        availability_slot_id INTEGER REFERENCES availability_slots(id),
         session_type VARCHAR(20) DEFAULT 'individual',
         status VARCHAR(20) DEFAULT 'scheduled',
         session_rate DECIMAL(10,2),
@@ -187,6 +297,115 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Clients waiting for a seat with a fully booked therapist
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS availability_waitlist (
+        id SERIAL PRIMARY KEY,
+        therapist_id INTEGER REFERENCES therapists(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL,
+        appointment_type_id INTEGER REFERENCES appointment_types(id) ON DELETE SET NULL,
+        preferred_days INTEGER[],
+        preferred_start_time TIME,
+        preferred_end_time TIME,
+        notes TEXT,
+        status VARCHAR(20) DEFAULT 'waiting' CHECK (status IN ('waiting', 'offered', 'fulfilled', 'cancelled')),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Time-limited offers of a freed seat to a waitlisted client
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS availability_waitlist_offers (
+        id SERIAL PRIMARY KEY,
+        waitlist_id INTEGER REFERENCES availability_waitlist(id) ON DELETE CASCADE,
+        slot_id INTEGER REFERENCES availability_slots(id) ON DELETE CASCADE,
+        status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'expired', 'withdrawn')),
+        expires_at TIMESTAMPTZ NOT NULL,
+        responded_at TIMESTAMPTZ,
+        booking_id INTEGER REFERENCES session_bookings(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Short-lived holds keeping a slot's seat for a client while they check out
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS availability_slot_holds (
+        id SERIAL PRIMARY KEY,
+        slot_id INTEGER REFERENCES availability_slots(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'converted', 'released', 'expired')),
+        expires_at TIMESTAMPTZ NOT NULL,
+        booking_id INTEGER REFERENCES session_bookings(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Moves of a booking to another slot, with the times it moved between
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS session_booking_reschedules (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER REFERENCES session_bookings(id) ON DELETE CASCADE,
+        from_slot_id INTEGER REFERENCES availability_slots(id) ON DELETE SET NULL,
+        to_slot_id INTEGER REFERENCES availability_slots(id) ON DELETE SET NULL,
+        from_start_datetime TIMESTAMPTZ NOT NULL,
+        from_end_datetime TIMESTAMPTZ NOT NULL,
+        to_start_datetime TIMESTAMPTZ NOT NULL,
+        to_end_datetime TIMESTAMPTZ NOT NULL,
+        rescheduled_by INTEGER NOT NULL,
+        rescheduled_by_role VARCHAR(20) NOT NULL CHECK (rescheduled_by_role IN ('client', 'therapist')),
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Recurring bookings: a client's weekly or biweekly sessions booked together,
+    // for a number of occurrences or until a date
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS session_booking_series (
+        id SERIAL PRIMARY KEY,
+        therapist_id INTEGER NOT NULL REFERENCES therapists(id) ON DELETE CASCADE,
+        user_id INTEGER NOT NULL,
+        frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'biweekly')),
+        occurrences INTEGER CHECK (occurrences > 0),
+        until_date DATE,
+        appointment_type_id INTEGER REFERENCES appointment_types(id) ON DELETE SET NULL,
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'cancelled')),
+        cancelled_at TIMESTAMPTZ,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        CHECK (occurrences IS NOT NULL OR until_date IS NOT NULL)
+      )
+    `);
+
+    // Appointment reminders, one row per recipient, offset and session time. A
+    // rescheduled session gets fresh reminders; delivery is tracked per row.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS session_reminders (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER NOT NULL REFERENCES session_bookings(id) ON DELETE CASCADE,
+        recipient VARCHAR(20) NOT NULL CHECK (recipient IN ('client', 'therapist')),
+        recipient_address VARCHAR(255),
+        offset_minutes INTEGER NOT NULL,
+        session_start TIMESTAMPTZ NOT NULL,
+        send_at TIMESTAMPTZ NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending'
+          CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped', 'cancelled')),
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ DEFAULT NOW(),
+        claimed_at TIMESTAMPTZ,
+        transport VARCHAR(20),
+        provider_message_id VARCHAR(255),
+        last_error TEXT,
+        sent_at TIMESTAMPTZ,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(booking_id, recipient, offset_minutes, session_start)
+      )
+    `);
+
     // Therapist reviews and ratings
     await client.query(`
       CREATE TABLE IF NOT EXISTS therapist_reviews (
@@ -218,6 +437,352 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Slots created before timezone support used naive TIMESTAMPs; store them as instants
+    await client.query(`
+      DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM information_schema.columns
+          WHERE table_name = 'availability_slots' AND column_name = 'start_datetime'
+            AND data_type = 'timestamp without time zone'
+        ) THEN
+          ALTER TABLE availability_slots
+            ALTER COLUMN start_datetime TYPE TIMESTAMPTZ,
+            ALTER COLUMN end_datetime TYPE TIMESTAMPTZ;
+        END IF;
+      END $$;
+    `);
+
+    // Prevent overlapping slots for the same therapist at the database level.
+    // Cancelled slots don't block their time range. Existing overlaps are resolved
+    // first by cancelling the later of each pair, never a slot holding an active
+    // booking; anything left makes the migration fail rather than run unprotected.
+    await client.query(`CREATE EXTENSION IF NOT EXISTS btree_gist`);
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (
+          SELECT 1 FROM pg_constraint WHERE conname = 'availability_slots_no_overlap'
+        ) THEN
+          WITH slot_bookings AS (
+            SELECT s.id, s.therapist_id, s.start_datetime, s.end_datetime,
+                   EXISTS (
+                     SELECT 1 FROM session_bookings sb
+                     WHERE sb.availability_slot_id = s.id AND sb.status NOT LIKE '%cancelled%'
+                   ) as is_booked
+            FROM availability_slots s
+            WHERE s.status <> 'cancelled'
+          )
+          UPDATE availability_slots
+          SET status = 'cancelled'
+          WHERE id IN (
+            SELECT later.id
+            FROM slot_bookings later
+            JOIN slot_bookings earlier
+              ON earlier.therapist_id = later.therapist_id
+             AND earlier.id <> later.id
+             AND tstzrange(earlier.start_datetime, earlier.end_datetime) && tstzrange(later.start_datetime, later.end_datetime)
+            WHERE NOT later.is_booked
+              AND (earlier.is_booked OR earlier.id < later.id)
+          );
+
+          ALTER TABLE availability_slots
+            ADD CONSTRAINT availability_slots_valid_range CHECK (end_datetime > start_datetime),
+            ADD CONSTRAINT availability_slots_no_overlap EXCLUDE USING gist (
+              therapist_id WITH =,
+              tstzrange(start_datetime, end_datetime) WITH &&
+            ) WHERE (status <> 'cancelled');
+        END IF;
+      END $$;
+    `);
+
+    // Link slots blocked by time off and bookings that fall inside it
+    await client.query(`
+      ALTER TABLE availability_slots
+        ADD COLUMN IF NOT EXISTS blocked_by_time_off_id INTEGER REFERENCES availability_time_off(id) ON DELETE SET NULL;
+      ALTER TABLE session_bookings
+        ADD COLUMN IF NOT EXISTS time_off_conflict_id INTEGER REFERENCES availability_time_off(id) ON DELETE SET NULL;
+    `);
+
+    // Link slots to the template they were generated from
+    await client.query(`
+      ALTER TABLE availability_slots
+        ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES availability_templates(id) ON DELETE SET NULL;
+    `);
+
+    // Appointment type offered by templates and slots, and booked by sessions
+    await client.query(`
+      ALTER TABLE availability_templates
+        ADD COLUMN IF NOT EXISTS appointment_type_id INTEGER REFERENCES appointment_types(id) ON DELETE SET NULL;
+      ALTER TABLE availability_slots
+        ADD COLUMN IF NOT EXISTS appointment_type_id INTEGER REFERENCES appointment_types(id) ON DELETE SET NULL;
+      ALTER TABLE session_bookings
+        ADD COLUMN IF NOT EXISTS appointment_type_id INTEGER REFERENCES appointment_types(id) ON DELETE SET NULL;
+    `);
+
+    // Seats per slot; group sessions take several bookings before the slot is full
+    await client.query(`
+      ALTER TABLE availability_templates
+        ADD COLUMN IF NOT EXISTS capacity INTEGER DEFAULT 1 CHECK (capacity >= 1);
+      ALTER TABLE availability_slots
+        ADD COLUMN IF NOT EXISTS capacity INTEGER DEFAULT 1 CHECK (capacity >= 1);
+    `);
+
+    // How long a waitlisted client has to claim an offered seat
+    await client.query(`
+      ALTER TABLE therapist_settings
+        ADD COLUMN IF NOT EXISTS waitlist_offer_minutes INTEGER DEFAULT 60
+          CHECK (waitlist_offer_minutes >= 5 AND waitlist_offer_minutes <= 1440);
+    `);
+
+    // How long a slot hold lasts before the seat is released
+    await client.query(`
+      ALTER TABLE therapist_settings
+        ADD COLUMN IF NOT EXISTS slot_hold_minutes INTEGER DEFAULT 10
+          CHECK (slot_hold_minutes >= 1 AND slot_hold_minutes <= 60);
+    `);
+
+    // Cancellation policy: free-cancel window and late-cancel / no-show fees, either
+    // a fixed amount or a percentage of the session rate (no fee when the type is NULL)
+    await client.query(`
+      ALTER TABLE therapist_settings
+        ADD COLUMN IF NOT EXISTS cancellation_window_hours INTEGER DEFAULT 24
+          CHECK (cancellation_window_hours >= 0 AND cancellation_window_hours <= 720),
+        ADD COLUMN IF NOT EXISTS late_cancel_fee_type VARCHAR(20) CHECK (late_cancel_fee_type IN ('fixed', 'percentage')),
+        ADD COLUMN IF NOT EXISTS late_cancel_fee_amount DECIMAL(10,2) CHECK (late_cancel_fee_amount >= 0),
+        ADD COLUMN IF NOT EXISTS no_show_fee_type VARCHAR(20) CHECK (no_show_fee_type IN ('fixed', 'percentage')),
+        ADD COLUMN IF NOT EXISTS no_show_fee_amount DECIMAL(10,2) CHECK (no_show_fee_amount >= 0);
+      ALTER TABLE session_bookings
+        ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS cancelled_by_role VARCHAR(20),
+        ADD COLUMN IF NOT EXISTS cancellation_fee DECIMAL(10,2),
+        ADD COLUMN IF NOT EXISTS cancellation_fee_type VARCHAR(20) CHECK (cancellation_fee_type IN ('late_cancel', 'no_show'));
+    `);
+
+    // Booking policies: minimum notice, advance window and session caps (NULL = no limit)
+    await client.query(`
+      ALTER TABLE therapist_settings
+        ADD COLUMN IF NOT EXISTS booking_min_notice_minutes INTEGER DEFAULT 0 CHECK (booking_min_notice_minutes >= 0),
+        ADD COLUMN IF NOT EXISTS booking_max_advance_days INTEGER CHECK (booking_max_advance_days > 0),
+        ADD COLUMN IF NOT EXISTS max_sessions_per_day INTEGER CHECK (max_sessions_per_day > 0),
+        ADD COLUMN IF NOT EXISTS max_sessions_per_week INTEGER CHECK (max_sessions_per_week > 0),
+        ADD COLUMN IF NOT EXISTS max_new_clients_per_week INTEGER CHECK (max_new_clients_per_week > 0);
+    `);
+
+    // Session lifecycle: statuses name who cancelled, each transition is stamped on
+    // the booking and recorded in the session's status history
+    await client.query(`
+      DO $$
+      BEGIN
+        -- Triggers watching status block the type change; both are recreated below
+        IF (SELECT character_maximum_length FROM information_schema.columns
+            WHERE table_name = 'session_bookings' AND column_name = 'status') < 30 THEN
+          DROP TRIGGER IF EXISTS enforce_session_bookings_slot_capacity ON session_bookings;
+          DROP TRIGGER IF EXISTS bump_session_bookings_ical_sequence ON session_bookings;
+          ALTER TABLE session_bookings ALTER COLUMN status TYPE VARCHAR(30);
+        END IF;
+      END $$;
+
+      ALTER TABLE session_bookings
+        ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS started_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS no_show_at TIMESTAMPTZ;
+      ALTER TABLE session_bookings ALTER COLUMN scheduled_at SET DEFAULT NOW();
+
+      CREATE TABLE IF NOT EXISTS session_booking_status_history (
+        id SERIAL PRIMARY KEY,
+        booking_id INTEGER NOT NULL REFERENCES session_bookings(id) ON DELETE CASCADE,
+        from_status VARCHAR(30),
+        to_status VARCHAR(30) NOT NULL,
+        changed_by INTEGER,
+        changed_by_role VARCHAR(20) NOT NULL CHECK (changed_by_role IN ('client', 'therapist', 'system')),
+        reason TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_session_booking_status_history_booking
+        ON session_booking_status_history(booking_id, created_at);
+    `);
+
+    // Bookings from before the lifecycle: split 'cancelled' by who cancelled (older
+    // cancellations didn't record it and count as the therapist's). The capacity
+    // guard and active-booking index below are rebuilt for the new statuses.
+    await client.query(`
+      DO $$
+      BEGIN
+        IF EXISTS (SELECT 1 FROM session_bookings WHERE status = 'cancelled') THEN
+          DROP TRIGGER IF EXISTS enforce_session_bookings_slot_capacity ON session_bookings;
+          UPDATE session_bookings
+          SET status = CASE
+                WHEN cancellation_fee_type = 'late_cancel' THEN 'late_cancelled'
+                WHEN cancelled_by_role = 'client' THEN 'cancelled_by_client'
+                ELSE 'cancelled_by_therapist'
+              END,
+              cancelled_at = COALESCE(cancelled_at, updated_at)
+          WHERE status = 'cancelled';
+        END IF;
+
+        IF EXISTS (
+          SELECT 1 FROM pg_indexes
+          WHERE indexname = 'idx_session_bookings_active_slot_user' AND indexdef LIKE '%''cancelled''::text)'
+        ) THEN
+          DROP INDEX idx_session_bookings_active_slot_user;
+        END IF;
+
+        IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'session_bookings_status_check') THEN
+          ALTER TABLE session_bookings ADD CONSTRAINT session_bookings_status_check
+            CHECK (status IN (${SESSION_STATUSES.map(status => `'${status}'`).join(', ')})) NOT VALID;
+        END IF;
+      END $$;
+      UPDATE session_bookings SET scheduled_at = created_at
+      WHERE scheduled_at IS NULL AND status <> 'requested';
+    `);
+
+    // Attendance follow-up: after a session ends plus a grace period the therapist is
+    // asked to confirm attendance; sessions still open after the confirmation window
+    // are completed automatically or flagged as needing attention
+    await client.query(`
+      ALTER TABLE therapist_settings
+        ADD COLUMN IF NOT EXISTS attendance_grace_minutes INTEGER DEFAULT 30
+          CHECK (attendance_grace_minutes >= 0 AND attendance_grace_minutes <= 1440),
+        ADD COLUMN IF NOT EXISTS attendance_confirmation_hours INTEGER DEFAULT 24
+          CHECK (attendance_confirmation_hours >= 1 AND attendance_confirmation_hours <= 336),
+        ADD COLUMN IF NOT EXISTS unconfirmed_session_action VARCHAR(20) DEFAULT 'complete'
+          CHECK (unconfirmed_session_action IN ('complete', 'needs_attention'));
+      ALTER TABLE session_bookings
+        ADD COLUMN IF NOT EXISTS attendance_requested_at TIMESTAMPTZ,
+        ADD COLUMN IF NOT EXISTS needs_attention_at TIMESTAMPTZ;
+    `);
+
+    // Bookings made as part of a recurring series
+    await client.query(`
+      ALTER TABLE session_bookings
+        ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES session_booking_series(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_session_bookings_series ON session_bookings(series_id) WHERE series_id IS NOT NULL;
+    `);
+
+    // Past slots nobody booked are marked expired instead of deleted, so utilisation
+    // history survives. Deleting a slot no longer cascades to its bookings; slots with
+    // booking history can't be deleted at all.
+    await client.query(`
+      ALTER TABLE availability_slots
+        ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ;
+      CREATE INDEX IF NOT EXISTS idx_availability_slots_expired
+        ON availability_slots(expired_at) WHERE status = 'expired';
+      DO $$
+      BEGIN
+        IF EXISTS (
+          SELECT 1 FROM pg_constraint
+          WHERE conname = 'session_bookings_availability_slot_id_fkey' AND confdeltype = 'c'
+        ) THEN
+          ALTER TABLE session_bookings DROP CONSTRAINT session_bookings_availability_slot_id_fkey;
+          ALTER TABLE session_bookings ADD CONSTRAINT session_bookings_availability_slot_id_fkey
+            FOREIGN KEY (availability_slot_id) REFERENCES availability_slots(id);
+        END IF;
+      END $$;
+    `);
+
+    // Reminder offsets per therapist, and the client address captured at booking
+    await client.query(`
+      ALTER TABLE therapist_settings
+        ADD COLUMN IF NOT EXISTS reminder_offsets_minutes INTEGER[] DEFAULT '{1440,60}';
+      ALTER TABLE session_bookings
+        ADD COLUMN IF NOT EXISTS client_email VARCHAR(255);
+      CREATE INDEX IF NOT EXISTS idx_session_reminders_due
+        ON session_reminders(next_attempt_at) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_session_reminders_booking_id ON session_reminders(booking_id);
+    `);
+
+    // At most one active booking per client per slot, and never more active bookings
+    // than the slot has seats. Of duplicate active bookings from before the index the
+    // earliest is kept; the rest are the client's extra bookings, so the system cancels
+    // them on the client's side, without a fee, and records it in their history. The
+    // trigger locks the slot row so concurrent bookings of the same slot are checked
+    // one at a time.
+    await client.query(`
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_session_bookings_active_slot_user') THEN
+          WITH duplicates AS (
+            SELECT id, status, ROW_NUMBER() OVER (PARTITION BY availability_slot_id, user_id ORDER BY id) as position
+            FROM session_bookings
+            WHERE availability_slot_id IS NOT NULL AND status NOT IN ${CANCELLED_STATUSES_SQL}
+          ), cancelled AS (
+            UPDATE session_bookings sb
+            SET status = 'cancelled_by_client', cancelled_at = NOW(), cancelled_by_role = 'system'
+            FROM duplicates d
+            WHERE sb.id = d.id AND d.position > 1
+            RETURNING sb.id, d.status as from_status
+          )
+          INSERT INTO session_booking_status_history (booking_id, from_status, to_status, changed_by_role, reason)
+          SELECT id, from_status, 'cancelled_by_client', 'system', 'Duplicate active booking for the same slot'
+          FROM cancelled;
+
+          CREATE UNIQUE INDEX idx_session_bookings_active_slot_user
+            ON session_bookings(availability_slot_id, user_id)
+            WHERE status NOT IN ${CANCELLED_STATUSES_SQL};
+        END IF;
+      END $$;
+
+      CREATE OR REPLACE FUNCTION enforce_slot_capacity()
+      RETURNS TRIGGER AS $$
+      DECLARE
+        slot_capacity INTEGER;
+        active_bookings INTEGER;
+      BEGIN
+        IF NEW.availability_slot_id IS NULL OR NEW.status IN ${CANCELLED_STATUSES_SQL} OR (
+          TG_OP = 'UPDATE' AND OLD.status NOT IN ${CANCELLED_STATUSES_SQL}
+          AND OLD.availability_slot_id IS NOT DISTINCT FROM NEW.availability_slot_id
+        ) THEN
+          RETURN NEW;
+        END IF;
+
+        SELECT capacity INTO slot_capacity FROM availability_slots
+        WHERE id = NEW.availability_slot_id FOR UPDATE;
+
+        SELECT COUNT(*) INTO active_bookings FROM session_bookings
+        WHERE availability_slot_id = NEW.availability_slot_id AND status NOT IN ${CANCELLED_STATUSES_SQL} AND id <> NEW.id;
+
+        IF active_bookings >= COALESCE(slot_capacity, 1) THEN
+          RAISE EXCEPTION 'Availability slot % is full', NEW.availability_slot_id
+            USING ERRCODE = 'check_violation', CONSTRAINT = 'session_bookings_slot_capacity';
+        END IF;
+
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS enforce_session_bookings_slot_capacity ON session_bookings;
+      CREATE TRIGGER enforce_session_bookings_slot_capacity
+        BEFORE INSERT OR UPDATE OF status, availability_slot_id ON session_bookings
+        FOR EACH ROW EXECUTE FUNCTION enforce_slot_capacity();
+    `);
+
+    // Link slots blocked by busy time imported from external calendars
+    await client.query(`
+      ALTER TABLE availability_slots
+        ADD COLUMN IF NOT EXISTS blocked_by_external_busy_id INTEGER REFERENCES availability_external_busy(id) ON DELETE SET NULL;
+    `);
+
+    // Why an imported busy time blocks a slot, kept apart from the therapist's own
+    // notes. Reasons written into notes before the column existed are moved across.
+    await client.query(`
+      ALTER TABLE availability_slots
+        ADD COLUMN IF NOT EXISTS block_reason TEXT;
+      UPDATE availability_slots
+      SET block_reason = notes, notes = NULL
+      WHERE blocked_by_external_busy_id IS NOT NULL AND block_reason IS NULL AND notes LIKE 'Busy: %';
+    `);
+
+    // Calendar feed: secret subscription token and iCalendar revision per booking
+    await client.query(`
+      ALTER TABLE therapist_settings
+        ADD COLUMN IF NOT EXISTS calendar_feed_token VARCHAR(64) UNIQUE,
+        ADD COLUMN IF NOT EXISTS calendar_feed_include_blocked BOOLEAN DEFAULT false;
+      ALTER TABLE session_bookings
+        ADD COLUMN IF NOT EXISTS ical_sequence INTEGER DEFAULT 0;
+    `);
+
     // Create indexes for better performance
     await client.query(`
       CREATE INDEX IF NOT EXISTS idx_therapists_auth_user_id ON therapists(auth_user_id);
@@ -228,12 +793,29 @@ const initializeDatabase = async () => {
       CREATE INDEX IF NOT EXISTS idx_availability_slots_therapist_id ON availability_slots(therapist_id);
       CREATE INDEX IF NOT EXISTS idx_availability_slots_datetime ON availability_slots(start_datetime, end_datetime);
       CREATE INDEX IF NOT EXISTS idx_availability_slots_status ON availability_slots(status);
+      CREATE INDEX IF NOT EXISTS idx_availability_slots_template_id ON availability_slots(template_id);
+      CREATE INDEX IF NOT EXISTS idx_availability_slots_open_start
+        ON availability_slots(start_datetime, id) WHERE status = 'available';
       CREATE INDEX IF NOT EXISTS idx_therapist_clients_therapist_id ON therapist_clients(therapist_id);
       CREATE INDEX IF NOT EXISTS idx_therapist_clients_user_id ON therapist_clients(user_id);
       CREATE INDEX IF NOT EXISTS idx_session_bookings_therapist_id ON session_bookings(therapist_id);
       CREATE INDEX IF NOT EXISTS idx_session_bookings_user_id ON session_bookings(user_id);
+      CREATE INDEX IF NOT EXISTS idx_session_bookings_slot_id ON session_bookings(availability_slot_id);
+      CREATE INDEX IF NOT EXISTS idx_availability_waitlist_therapist_id ON availability_waitlist(therapist_id, status);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_availability_waitlist_active_user
+        ON availability_waitlist(therapist_id, user_id) WHERE status IN ('waiting', 'offered');
+      CREATE INDEX IF NOT EXISTS idx_availability_waitlist_offers_slot_id ON availability_waitlist_offers(slot_id, status);
+      CREATE INDEX IF NOT EXISTS idx_session_booking_reschedules_booking_id ON session_booking_reschedules(booking_id);
+      CREATE INDEX IF NOT EXISTS idx_availability_slot_holds_slot_id ON availability_slot_holds(slot_id, status);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_availability_slot_holds_active_user
+        ON availability_slot_holds(user_id) WHERE status = 'active';
       CREATE INDEX IF NOT EXISTS idx_therapist_reviews_therapist_id ON therapist_reviews(therapist_id);
       CREATE INDEX IF NOT EXISTS idx_therapist_activities_therapist_id ON therapist_activities(therapist_id);
+      CREATE INDEX IF NOT EXISTS idx_availability_templates_therapist_id ON availability_templates(therapist_id);
+      CREATE INDEX IF NOT EXISTS idx_appointment_types_therapist_id ON appointment_types(therapist_id);
+      CREATE INDEX IF NOT EXISTS idx_availability_slots_appointment_type_id ON availability_slots(appointment_type_id);
+      CREATE INDEX IF NOT EXISTS idx_availability_time_off_therapist_id ON availability_time_off(therapist_id);
+      CREATE INDEX IF NOT EXISTS idx_availability_external_busy_therapist_id ON availability_external_busy(therapist_id, start_datetime);
     `);
 
     // Create updated_at trigger function
@@ -250,7 +832,11 @@ const initializeDatabase = async () => {
     // Create triggers for updated_at
     const tables = [
       'therapists', 'therapist_profiles', 'availability_templates', 
-      'availability_slots', 'therapist_clients', 'session_bookings', 'therapist_reviews'
+      'availability_slots', 'therapist_clients', 'session_bookings', 'therapist_reviews',
+      'therapist_settings', 'availability_time_off', 'availability_calendar_imports',
+      'availability_external_busy', 'availability_generation_plans', 'appointment_types',
+      'availability_waitlist', 'availability_waitlist_offers', 'availability_slot_holds',
+      'session_booking_series', 'session_reminders'
     ];
     
     for (const table of tables) {
@@ -263,6 +849,45 @@ const initializeDatabase = async () => {
       `);
     }
 
+    // Bump a booking's iCalendar SEQUENCE when its time or status changes so
+    // subscribed calendars replace the previous version of the event
+    await client.query(`
+      CREATE OR REPLACE FUNCTION bump_session_ical_sequence()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        IF NEW.availability_slot_id IS DISTINCT FROM OLD.availability_slot_id
+          OR NEW.status IS DISTINCT FROM OLD.status THEN
+          NEW.ical_sequence = COALESCE(OLD.ical_sequence, 0) + 1;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ language 'plpgsql';
+
+      DROP TRIGGER IF EXISTS bump_session_bookings_ical_sequence ON session_bookings;
+      CREATE TRIGGER bump_session_bookings_ical_sequence
+        BEFORE UPDATE ON session_bookings
+        FOR EACH ROW
+        EXECUTE FUNCTION bump_session_ical_sequence();
+
+      CREATE OR REPLACE FUNCTION bump_slot_bookings_ical_sequence()
+      RETURNS TRIGGER AS $$
+      BEGIN
+        IF NEW.start_datetime IS DISTINCT FROM OLD.start_datetime
+          OR NEW.end_datetime IS DISTINCT FROM OLD.end_datetime THEN
+          UPDATE session_bookings SET ical_sequence = COALESCE(ical_sequence, 0) + 1
+          WHERE availability_slot_id = NEW.id;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ language 'plpgsql';
+
+      DROP TRIGGER IF EXISTS bump_availability_slots_ical_sequence ON availability_slots;
+      CREATE TRIGGER bump_availability_slots_ical_sequence
+        AFTER UPDATE ON availability_slots
+        FOR EACH ROW
+        EXECUTE FUNCTION bump_slot_bookings_ical_sequence();
+    `);
+
     // Insert default specializations
     await client.query(`
       INSERT INTO specializations (name, description, category) VALUES
@@ -328,6 +953,44 @@ const getClient = async () => {
   return await pool.connect();
 };
 
+// Run a callback in a transaction on its own client. The client is passed to the
+// callback; the transaction commits when it resolves and rolls back when it throws.
+// Models take the caller's connection as an option (db), which defaults to the pool
+// ({ query }). When db is a client the caller checked out for its own transaction,
+// the callback joins that transaction instead, under the named savepoint if given
+// so a failure can be undone without aborting the caller's work.
+const withTransaction = async (callback, { db = null, savepoint = null } = {}) => {
+  if (db && typeof db.release === 'function') {
+    if (!savepoint) {
+      return await callback(db);
+    }
+
+    await db.query(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await callback(db);
+      await db.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (error) {
+      await db.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw error;
+    }
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 // Close all connections
 const closePool = async () => {
   await pool.end();
@@ -340,5 +1003,6 @@ module.exports = {
   initializeDatabase,
   query,
   getClient,
+  withTransaction,
   closePool
 };
\ No newline at end of file
@@ -1,49 +1,250 @@
 const Therapist = require('../models/Therapist');
 const Availability = require('../models/Availability');
+const TimeOff = require('../models/TimeOff');
+const TherapistSettings = require('../models/TherapistSettings');
+const CalendarImport = require('../models/CalendarImport');
+const GenerationPlan = require('../models/GenerationPlan');
+const AppointmentType = require('../models/AppointmentType');
+const Waitlist = require('../models/Waitlist');
+const SlotHold = require('../models/SlotHold');
+const crypto = require('crypto');
+const { withTransaction } = require('../config/database');
 const { logActivity } = require('../utils/activityLogger');
+const { AppError, NotFoundError, sendErrorResponse } = require('../utils/errors');
+const {
+  normalizeTimeZone, parseDateTimeInZone, resolveDateRange, withSlotTimes, withViewerTimes,
+  formatInTimeZone, getDayOfWeek
+} = require('../utils/timezone');
+const { buildCalendar, buildUid, parseCalendar, expandEvents } = require('../utils/icalendar');
+const { isCancelledStatus } = require('../utils/sessionLifecycle');
+
+// Window of sessions published in the calendar feed
+const CALENDAR_FEED_PAST_DAYS = 60;
+const CALENDAR_FEED_FUTURE_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How template updates and deletions treat future slots generated from the template
+const TEMPLATE_UPDATE_MODES = ['keep', 'regenerate', 'remove'];
+const TEMPLATE_DELETE_MODES = ['keep', 'remove'];
+
+// Default and maximum window public slot search looks ahead over
+const SLOT_SEARCH_DEFAULT_DAYS = 30;
+const SLOT_SEARCH_MAX_DAYS = 90;
+
+// Longest range a free/busy lookup may cover
+const FREE_BUSY_MAX_DAYS = 62;
+
+// Default and maximum window imported calendars are expanded over
+const CALENDAR_IMPORT_DEFAULT_DAYS = 182;
+const CALENDAR_IMPORT_MAX_DAYS = 366;
+
+// Stable per-therapist client label so the feed never exposes client identities.
+// Keyed with CALENDAR_FEED_SECRET so labels can't be linked back to user IDs.
+const buildClientPseudonym = (secret, therapistId, userId) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${therapistId}:${userId}`)
+    .digest('hex');
+  return `Client ${digest.slice(0, 6).toUpperCase()}`;
+};
+
+// Appointment types on templates and slots must be the therapist's own active types
+const findOwnAppointmentType = async (therapistId, appointmentTypeId) => {
+  const type = await AppointmentType.findById(appointmentTypeId, therapistId);
+  if (!type || !type.is_active) {
+    throw new NotFoundError('Appointment type not found', 'APPOINTMENT_TYPE_NOT_FOUND');
+  }
+  return type;
+};
+
+// Only group sessions can seat more than one client
+const assertCapacityAllowed = (capacity, sessionType) => {
+  if (capacity > 1 && sessionType !== 'group') {
+    throw new AppError('Capacity above 1 is only allowed for group sessions', 400, 'CAPACITY_REQUIRES_GROUP');
+  }
+};
+
+// Slots must end after they start (checked after times are read in the therapist's timezone)
+const assertSlotRange = (startDatetime, endDatetime) => {
+  if (endDatetime <= startDatetime) {
+    throw new AppError('end_datetime must be after start_datetime', 400, 'INVALID_TIME_RANGE');
+  }
+};
+
+// Templates offering an appointment type default to its duration and can't be shorter.
+// Generated slots take the type's session type, so group templates need a group type.
+const withTemplateAppointmentType = async (therapistId, templateData) => {
+  if (!templateData.appointment_type_id) {
+    assertCapacityAllowed(templateData.capacity, 'individual');
+    return templateData;
+  }
+
+  const type = await findOwnAppointmentType(therapistId, templateData.appointment_type_id);
+  assertCapacityAllowed(templateData.capacity, type.session_type);
+  const sessionDuration = templateData.session_duration || type.duration_minutes;
+  if (sessionDuration < type.duration_minutes) {
+    throw new AppError(
+      `session_duration must be at least ${type.duration_minutes} minutes for this appointment type`,
+      400,
+      'SESSION_DURATION_TOO_SHORT'
+    );
+  }
+  return { ...templateData, session_duration: sessionDuration };
+};
+
+// Slot ids of a search page by the viewer's local date, in date order
+const groupSlotsByDay = (slots) => {
+  const days = new Map();
+  for (const slot of slots) {
+    if (!days.has(slot.viewer_date)) {
+      days.set(slot.viewer_date, {
+        date: slot.viewer_date,
+        day_of_week: getDayOfWeek(slot.viewer_date),
+        slot_ids: []
+      });
+    }
+    days.get(slot.viewer_date).slot_ids.push(slot.id);
+  }
+  return [...days.values()];
+};
+
+const laterOf = (...dates) => new Date(Math.max(...dates.filter(Boolean).map(date => new Date(date).getTime())));
 
 class AvailabilityController {
-  // Search available slots (public endpoint)
+  // Search available slots (public endpoint). Searches are paged in the database and
+  // bounded to a window so they never walk every future slot.
   static async searchAvailableSlots(req, res) {
     try {
       const {
-        therapist_id, start_date, end_date, session_type, duration,
-        page = 1, limit = 20
+        therapist_id, start_date, end_date, session_type, duration, appointment_type_id,
+        timezone, cursor, page, limit
       } = req.query;
 
+      // Date filters are read in the viewer's timezone; date-only values are whole local days
+      const viewerZone = normalizeTimeZone(timezone);
+      const range = resolveDateRange(start_date || new Date(), end_date || new Date(), viewerZone);
+      const startDate = range.start;
+      const endDate = end_date ? range.end : new Date(startDate.getTime() + SLOT_SEARCH_DEFAULT_DAYS * DAY_MS);
+
+      if (endDate <= startDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'end_date must be after start_date'
+        });
+      }
+
+      if (endDate - startDate > SLOT_SEARCH_MAX_DAYS * DAY_MS) {
+        return res.status(400).json({
+          success: false,
+          message: `Search window cannot exceed ${SLOT_SEARCH_MAX_DAYS} days`
+        });
+      }
+
       const filters = {
-        ...(therapist_id && { therapist_id: parseInt(therapist_id) }),
-        ...(start_date && { start_date }),
-        ...(end_date && { end_date }),
+        ...(therapist_id && { therapist_id }),
+        start_date: startDate,
+        end_date: endDate,
         ...(session_type && { session_type }),
-        ...(duration && { duration: parseInt(duration) })
+        ...(duration && { duration }),
+        ...(appointment_type_id && { appointment_type_id })
       };
 
-      const slots = await Availability.findAvailableSlots(filters);
-      
-      // Apply pagination
-      const startIndex = (parseInt(page) - 1) * parseInt(limit);
-      const endIndex = startIndex + parseInt(limit);
-      const paginatedSlots = slots.slice(startIndex, endIndex);
+      const { slots: foundSlots, next_cursor } = await Availability.findAvailableSlots({
+        ...filters,
+        cursor,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      const slots = foundSlots.map(slot => withViewerTimes(slot, viewerZone));
+
+      // Cursor pages skip the count; page numbers keep their totals
+      const total = cursor ? null : await Availability.countAvailableSlots(filters);
+      const firstPage = !cursor && page === 1;
 
       res.json({
         success: true,
         data: {
-          slots: paginatedSlots,
+          slots,
+          days: groupSlotsByDay(slots),
+          timezone: viewerZone,
+          // Point clients at the waitlist when a therapist has nothing open
+          ...(filters.therapist_id && firstPage && slots.length === 0 && { can_join_waitlist: true }),
+          window: {
+            start_date: startDate.toISOString(),
+            end_date: endDate.toISOString(),
+            start_local: formatInTimeZone(startDate, viewerZone),
+            end_local: formatInTimeZone(endDate, viewerZone)
+          },
           pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: slots.length,
-            pages: Math.ceil(slots.length / parseInt(limit))
+            limit,
+            next_cursor,
+            has_more: next_cursor !== null,
+            ...(!cursor && {
+              page,
+              total,
+              pages: Math.ceil(total / limit)
+            })
           }
         }
       });
     } catch (error) {
-      console.error('Error searching available slots:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to search available slots'
+      if (!(error instanceof AppError)) {
+        console.error('Error searching available slots:', error);
+      }
+      sendErrorResponse(res, error, 'Failed to search available slots');
+    }
+  }
+
+  // Busy and open times of one or more therapists (service endpoint). Intervals are
+  // coalesced and given in the requested timezone; nothing about clients is returned.
+  static async getFreeBusy(req, res) {
+    try {
+      const { therapist_ids, start_date, end_date, timezone } = req.query;
+      const timeZone = normalizeTimeZone(timezone);
+      const range = resolveDateRange(start_date, end_date, timeZone);
+
+      if (range.end <= range.start) {
+        return res.status(400).json({
+          success: false,
+          message: 'end_date must be after start_date'
+        });
+      }
+
+      if (range.end - range.start > FREE_BUSY_MAX_DAYS * DAY_MS) {
+        return res.status(400).json({
+          success: false,
+          message: `Free/busy range cannot exceed ${FREE_BUSY_MAX_DAYS} days`
+        });
+      }
+
+      const freeBusy = await Availability.getFreeBusy(therapist_ids, range.start, range.end);
+      const found = new Set(freeBusy.map(entry => entry.therapist_id));
+      const toLocal = interval => ({
+        start: formatInTimeZone(interval.start, timeZone),
+        end: formatInTimeZone(interval.end, timeZone)
+      });
+
+      res.json({
+        success: true,
+        data: {
+          timezone: timeZone,
+          start: formatInTimeZone(range.start, timeZone),
+          end: formatInTimeZone(range.end, timeZone),
+          therapists: freeBusy.map(entry => ({
+            therapist_id: entry.therapist_id,
+            therapist_timezone: entry.timezone,
+            busy: entry.busy.map(toLocal),
+            open: entry.open.map(toLocal)
+          })),
+          unknown_therapist_ids: therapist_ids.filter(id => !found.has(id))
+        }
       });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error getting free/busy times:', error);
+      }
+      sendErrorResponse(res, error, 'Failed to get free/busy times');
     }
   }
 
@@ -90,7 +291,7 @@ class AvailabilityController {
         });
       }
 
-      const templateData = req.body;
+      const templateData = await withTemplateAppointmentType(therapist.id, req.body);
       const template = await Availability.createTemplate(therapist.id, templateData);
 
       // Log activity
@@ -109,10 +310,7 @@ class AvailabilityController {
       });
     } catch (error) {
       console.error('Error creating availability template:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to create availability template'
-      });
+      sendErrorResponse(res, error, 'Failed to create availability template');
     }
   }
 
@@ -130,7 +328,16 @@ class AvailabilityController {
         });
       }
 
-      const templateData = req.body;
+      const futureSlots = req.query.future_slots || 'keep';
+
+      if (!TEMPLATE_UPDATE_MODES.includes(futureSlots)) {
+        return res.status(400).json({
+          success: false,
+          message: `future_slots must be one of: ${TEMPLATE_UPDATE_MODES.join(', ')}`
+        });
+      }
+
+      const templateData = await withTemplateAppointmentType(therapist.id, req.body);
       const updatedTemplate = await Availability.updateTemplate(templateId, therapist.id, templateData);
 
       if (!updatedTemplate) {
@@ -140,25 +347,41 @@ class AvailabilityController {
         });
       }
 
+      // Bring future unbooked slots in line with the new hours, and report
+      // booked sessions that no longer fit them
+      const timeZone = normalizeTimeZone(therapist.timezone);
+      const futureSlotChanges = futureSlots === 'keep'
+        ? {
+          mode: futureSlots,
+          misfit_bookings: await Availability.findTemplateMisfitBookings(
+            templateId, therapist.id, new Date(), timeZone
+          )
+        }
+        : await Availability.propagateTemplateChange(updatedTemplate, futureSlots, timeZone);
+
       // Log activity
       await logActivity(therapist.id, 'template_updated', 'Availability template updated', {
         template_id: templateId,
-        updated_fields: Object.keys(templateData)
+        updated_fields: Object.keys(templateData),
+        future_slots: futureSlots,
+        slots_removed: futureSlotChanges.removed_slots || 0,
+        slots_created: futureSlotChanges.slots_created || 0,
+        misfit_bookings: futureSlotChanges.misfit_bookings.map(booking => booking.booking_id)
       });
 
       res.json({
         success: true,
-        message: 'Availability template updated successfully',
+        message: futureSlotChanges.misfit_bookings.length > 0
+          ? `Availability template updated; ${futureSlotChanges.misfit_bookings.length} booked sessions fall outside the new hours`
+          : 'Availability template updated successfully',
         data: {
-          template: updatedTemplate
+          template: updatedTemplate,
+          future_slots: futureSlotChanges
         }
       });
     } catch (error) {
       console.error('Error updating availability template:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to update availability template'
-      });
+      sendErrorResponse(res, error, 'Failed to update availability template');
     }
   }
 
@@ -176,6 +399,15 @@ class AvailabilityController {
         });
       }
 
+      const futureSlots = req.query.future_slots || 'keep';
+
+      if (!TEMPLATE_DELETE_MODES.includes(futureSlots)) {
+        return res.status(400).json({
+          success: false,
+          message: `future_slots must be one of: ${TEMPLATE_DELETE_MODES.join(', ')}`
+        });
+      }
+
       const deletedTemplate = await Availability.deleteTemplate(templateId, therapist.id);
 
       if (!deletedTemplate) {
@@ -185,14 +417,25 @@ class AvailabilityController {
         });
       }
 
+      const futureSlotChanges = futureSlots === 'remove'
+        ? await Availability.propagateTemplateChange(deletedTemplate, futureSlots, therapist.timezone)
+        : null;
+
       // Log activity
       await logActivity(therapist.id, 'template_deleted', 'Availability template deleted', {
-        template_id: templateId
+        template_id: templateId,
+        future_slots: futureSlots,
+        slots_removed: futureSlotChanges ? futureSlotChanges.removed_slots : 0
       });
 
       res.json({
         success: true,
-        message: 'Availability template deleted successfully'
+        message: futureSlotChanges && futureSlotChanges.misfit_bookings.length > 0
+          ? `Availability template deleted; ${futureSlotChanges.misfit_bookings.length} booked sessions from it are kept`
+          : 'Availability template deleted successfully',
+        data: {
+          future_slots: futureSlotChanges
+        }
       });
     } catch (error) {
       console.error('Error deleting availability template:', error);
@@ -216,12 +459,40 @@ class AvailabilityController {
         });
       }
 
-      const { template_id, start_date, end_date, exclude_dates } = req.body;
-      const slots = await Availability.generateSlotsFromTemplate(
+      const { template_id, start_date, end_date, exclude_dates, dry_run } = req.body;
+
+      // Preview: report what would be generated and store the plan for a later apply
+      if (dry_run) {
+        const plan = await Availability.planSlotsFromTemplate(
+          template_id,
+          start_date,
+          end_date,
+          exclude_dates || [],
+          therapist.id
+        );
+        const storedPlan = await GenerationPlan.create(therapist.id, plan);
+
+        return res.json({
+          success: true,
+          message: `Preview: ${plan.summary.slots_to_create} availability slots would be generated`,
+          data: {
+            plan_id: storedPlan.id,
+            expires_at: storedPlan.expires_at,
+            timezone: plan.timezone,
+            summary: plan.summary,
+            days: plan.days,
+            slots: plan.slots,
+            skipped: plan.skipped
+          }
+        });
+      }
+
+      const { slots, conflicts, time_off_skipped } = await Availability.generateSlotsFromTemplate(
         template_id, 
         start_date, 
         end_date, 
-        exclude_dates || []
+        exclude_dates || [],
+        therapist.id
       );
 
       // Log activity
@@ -229,81 +500,127 @@ class AvailabilityController {
         template_id,
         start_date,
         end_date,
-        slots_created: slots.length
+        slots_created: slots.length,
+        conflicts_skipped: conflicts.length,
+        time_off_skipped: time_off_skipped.length
       });
 
       res.status(201).json({
         success: true,
-        message: `${slots.length} availability slots generated successfully`,
+        message: conflicts.length > 0
+          ? `${slots.length} availability slots generated, ${conflicts.length} skipped due to overlapping slots`
+          : `${slots.length} availability slots generated successfully`,
         data: {
-          slots
+          slots,
+          conflicts,
+          time_off_skipped
         }
       });
     } catch (error) {
       console.error('Error generating slots from template:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to generate slots from template'
-      });
+      sendErrorResponse(res, error, 'Failed to generate slots from template');
     }
   }
 
-  // Get availability slots
-  static async getAvailabilitySlots(req, res) {
+  // Apply a previously previewed generation plan
+  static async applyGenerationPlan(req, res) {
     try {
       const authUserId = req.user.sub;
-      const userRole = req.user.role;
-      
-      let therapistId;
-      
-      if (userRole === 'psychiatrist') {
-        const therapist = await Therapist.findByAuthUserId(authUserId);
-        if (!therapist) {
-          return res.status(404).json({
-            success: false,
-            message: 'Therapist not found'
-          });
-        }
-        therapistId = therapist.id;
-      } else {
-        // For users, require therapist_id in query
-        therapistId = parseInt(req.query.therapist_id);
-        if (!therapistId) {
-          return res.status(400).json({
-            success: false,
-            message: 'Therapist ID is required'
-          });
-        }
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+      const planId = parseInt(req.params.planId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
       }
 
-      const { start_date, end_date, status } = req.query;
-      
-      if (!start_date || !end_date) {
-        return res.status(400).json({
+      const { slots, conflicts, time_off_skipped, template_id } = await GenerationPlan.apply(planId, therapist.id);
+
+      // Log activity
+      await logActivity(therapist.id, 'slots_generated', 'Availability slots generated from previewed plan', {
+        plan_id: planId,
+        template_id,
+        slots_created: slots.length,
+        conflicts_skipped: conflicts.length,
+        time_off_skipped: time_off_skipped.length
+      });
+
+      res.status(201).json({
+        success: true,
+        message: conflicts.length > 0
+          ? `${slots.length} availability slots generated, ${conflicts.length} skipped because they now overlap existing slots`
+          : `${slots.length} availability slots generated successfully`,
+        data: {
+          plan_id: planId,
+          slots,
+          conflicts,
+          time_off_skipped
+        }
+      });
+    } catch (error) {
+      console.error('Error applying generation plan:', error);
+      sendErrorResponse(res, error, 'Failed to apply generation plan');
+    }
+  }
+
+  // Get time-off blocks
+  static async getTimeOff(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+
+      if (!therapist) {
+        return res.status(404).json({
           success: false,
-          message: 'Start date and end date are required'
+          message: 'Therapist not found'
+        });
+      }
+
+      const { start_date, end_date } = req.query;
+      const timeZone = normalizeTimeZone(therapist.timezone);
+
+      if (start_date && end_date) {
+        // Expand recurring blocks into the concrete occurrences within the range
+        const range = resolveDateRange(start_date, end_date, timeZone);
+        const timeOff = await TimeOff.getByTherapist(therapist.id, range.start, range.end);
+        const occurrences = timeOff.flatMap(block =>
+          TimeOff.expandOccurrences(block, range.start, range.end, timeZone)
+        );
+
+        return res.json({
+          success: true,
+          data: {
+            time_off: timeOff,
+            occurrences: occurrences.map(occurrence => withSlotTimes({
+              time_off_id: occurrence.time_off_id,
+              start_datetime: occurrence.start,
+              end_datetime: occurrence.end
+            }, timeZone))
+          }
         });
       }
 
-      const slots = await Availability.getSlots(therapistId, start_date, end_date, status);
+      const timeOff = await TimeOff.getByTherapist(therapist.id);
 
       res.json({
         success: true,
         data: {
-          slots
+          time_off: timeOff
         }
       });
     } catch (error) {
-      console.error('Error getting availability slots:', error);
+      console.error('Error getting time off:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to get availability slots'
+        message: 'Failed to get time off'
       });
     }
   }
 
-  // Create availability slot
-  static async createAvailabilitySlot(req, res) {
+  // Create time-off block
+  static async createTimeOff(req, res) {
     try {
       const authUserId = req.user.sub;
       const therapist = await Therapist.findByAuthUserId(authUserId);
@@ -315,38 +632,59 @@ class AvailabilityController {
         });
       }
 
-      const slotData = req.body;
-      const slot = await Availability.createSlot(therapist.id, slotData);
+      const timeZone = normalizeTimeZone(therapist.timezone);
+      const timeOffData = {
+        ...req.body,
+        start_datetime: parseDateTimeInZone(req.body.start_datetime, timeZone),
+        end_datetime: parseDateTimeInZone(req.body.end_datetime, timeZone)
+      };
+
+      if (timeOffData.end_datetime <= timeOffData.start_datetime) {
+        return res.status(400).json({
+          success: false,
+          message: 'End time must be after start time'
+        });
+      }
+
+      const { timeOff, blocked_slots, affected_bookings } = await withTransaction(async (client) => {
+        const created = await TimeOff.create(therapist.id, timeOffData, { db: client });
+        return { timeOff: created, ...await TimeOff.apply(created, timeZone, { db: client }) };
+      });
 
       // Log activity
-      await logActivity(therapist.id, 'slot_created', 'Availability slot created', {
-        start_datetime: slot.start_datetime,
-        end_datetime: slot.end_datetime,
-        session_type: slot.session_type
+      await logActivity(therapist.id, 'time_off_created', 'Time off added', {
+        time_off_id: timeOff.id,
+        recurrence: timeOff.recurrence,
+        slots_blocked: blocked_slots.length,
+        bookings_flagged: affected_bookings.map(booking => booking.id)
       });
 
       res.status(201).json({
         success: true,
-        message: 'Availability slot created successfully',
+        message: affected_bookings.length > 0
+          ? `Time off added; ${affected_bookings.length} booked sessions fall inside it and need attention`
+          : 'Time off added successfully',
         data: {
-          slot
+          time_off: timeOff,
+          blocked_slots: blocked_slots.map(slot => withSlotTimes(slot, timeZone)),
+          affected_bookings
         }
       });
     } catch (error) {
-      console.error('Error creating availability slot:', error);
+      console.error('Error creating time off:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to create availability slot'
+        message: 'Failed to create time off'
       });
     }
   }
 
-  // Update availability slot
-  static async updateAvailabilitySlot(req, res) {
+  // Update time-off block
+  static async updateTimeOff(req, res) {
     try {
       const authUserId = req.user.sub;
       const therapist = await Therapist.findByAuthUserId(authUserId);
-      const slotId = parseInt(req.params.slotId);
+      const timeOffId = parseInt(req.params.timeOffId);
 
       if (!therapist) {
         return res.status(404).json({
@@ -355,44 +693,68 @@ class AvailabilityController {
         });
       }
 
-      const slotData = req.body;
-      const updatedSlot = await Availability.updateSlot(slotId, therapist.id, slotData);
+      const existing = await TimeOff.findById(timeOffId, therapist.id);
 
-      if (!updatedSlot) {
+      if (!existing) {
         return res.status(404).json({
           success: false,
-          message: 'Availability slot not found'
+          message: 'Time off not found'
+        });
+      }
+
+      const timeZone = normalizeTimeZone(therapist.timezone);
+      const timeOffData = {
+        ...req.body,
+        start_datetime: parseDateTimeInZone(req.body.start_datetime, timeZone),
+        end_datetime: parseDateTimeInZone(req.body.end_datetime, timeZone),
+        recurrence_until: req.body.recurrence_until || null
+      };
+
+      if (timeOffData.end_datetime <= timeOffData.start_datetime) {
+        return res.status(400).json({
+          success: false,
+          message: 'End time must be after start time'
         });
       }
 
+      // Undo the old block's effects before applying the new range
+      const { timeOff, blocked_slots, affected_bookings } = await withTransaction(async (client) => {
+        await TimeOff.release(existing, timeZone, { db: client });
+        const updated = await TimeOff.update(timeOffId, therapist.id, timeOffData, { db: client });
+        return { timeOff: updated, ...await TimeOff.apply(updated, timeZone, { db: client }) };
+      });
+
       // Log activity
-      await logActivity(therapist.id, 'slot_updated', 'Availability slot updated', {
-        slot_id: slotId,
-        updated_fields: Object.keys(slotData)
+      await logActivity(therapist.id, 'time_off_updated', 'Time off updated', {
+        time_off_id: timeOffId,
+        slots_blocked: blocked_slots.length,
+        bookings_flagged: affected_bookings.map(booking => booking.id)
       });
 
       res.json({
         success: true,
-        message: 'Availability slot updated successfully',
+        message: 'Time off updated successfully',
         data: {
-          slot: updatedSlot
+          time_off: timeOff,
+          blocked_slots: blocked_slots.map(slot => withSlotTimes(slot, timeZone)),
+          affected_bookings
         }
       });
     } catch (error) {
-      console.error('Error updating availability slot:', error);
+      console.error('Error updating time off:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to update availability slot'
+        message: 'Failed to update time off'
       });
     }
   }
 
-  // Delete availability slot
-  static async deleteAvailabilitySlot(req, res) {
+  // Delete time-off block
+  static async deleteTimeOff(req, res) {
     try {
       const authUserId = req.user.sub;
       const therapist = await Therapist.findByAuthUserId(authUserId);
-      const slotId = parseInt(req.params.slotId);
+      const timeOffId = parseInt(req.params.timeOffId);
 
       if (!therapist) {
         return res.status(404).json({
@@ -401,68 +763,78 @@ class AvailabilityController {
         });
       }
 
-      const deletedSlot = await Availability.deleteSlot(slotId, therapist.id);
+      const existing = await TimeOff.findById(timeOffId, therapist.id);
 
-      if (!deletedSlot) {
+      if (!existing) {
         return res.status(404).json({
           success: false,
-          message: 'Availability slot not found or cannot be deleted'
+          message: 'Time off not found'
         });
       }
 
+      const { reopened_slots } = await withTransaction(async (client) => {
+        const released = await TimeOff.release(existing, normalizeTimeZone(therapist.timezone), { db: client });
+        await TimeOff.delete(timeOffId, therapist.id, { db: client });
+        return released;
+      });
+
       // Log activity
-      await logActivity(therapist.id, 'slot_deleted', 'Availability slot deleted', {
-        slot_id: slotId
+      await logActivity(therapist.id, 'time_off_deleted', 'Time off removed', {
+        time_off_id: timeOffId,
+        slots_reopened: reopened_slots
       });
 
       res.json({
         success: true,
-        message: 'Availability slot deleted successfully'
+        message: 'Time off deleted successfully',
+        data: {
+          reopened_slots
+        }
       });
     } catch (error) {
-      console.error('Error deleting availability slot:', error);
+      console.error('Error deleting time off:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to delete availability slot'
+        message: 'Failed to delete time off'
       });
     }
   }
 
-  // Book availability slot
-  static async bookAvailabilitySlot(req, res) {
+  // Get imported external calendars
+  static async getCalendarImports(req, res) {
     try {
-      const slotId = parseInt(req.params.slotId);
-      const userId = req.user.sub;
-      const { session_type, notes } = req.body;
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
 
-      const bookingResult = await Availability.bookSlot(slotId, userId, {
-        session_type,
-        notes
-      });
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
 
-      res.status(201).json({
+      const calendarImports = await CalendarImport.getByTherapist(therapist.id);
+
+      res.json({
         success: true,
-        message: 'Availability slot booked successfully',
         data: {
-          slot: bookingResult.slot,
-          booking: bookingResult.booking
+          calendar_imports: calendarImports
         }
       });
     } catch (error) {
-      console.error('Error booking availability slot:', error);
+      console.error('Error getting calendar imports:', error);
       res.status(500).json({
         success: false,
-        message: error.message || 'Failed to book availability slot'
+        message: 'Failed to get calendar imports'
       });
     }
   }
 
-  // Cancel availability slot
-  static async cancelAvailabilitySlot(req, res) {
+  // Import busy times from an .ics file and block overlapping slots
+  static async importCalendar(req, res) {
     try {
       const authUserId = req.user.sub;
       const therapist = await Therapist.findByAuthUserId(authUserId);
-      const slotId = parseInt(req.params.slotId);
 
       if (!therapist) {
         return res.status(404).json({
@@ -471,43 +843,83 @@ class AvailabilityController {
         });
       }
 
-      const { reason } = req.body;
-      const cancelledSlot = await Availability.cancelSlot(slotId, therapist.id, reason);
+      const { source_name, calendar, window_start, window_end } = req.body;
+      const timeZone = normalizeTimeZone(therapist.timezone);
 
-      if (!cancelledSlot) {
-        return res.status(404).json({
+      // Expand recurring events over the requested window (default: the next six months)
+      const range = resolveDateRange(
+        window_start || new Date(),
+        window_end || new Date(Date.now() + (CALENDAR_IMPORT_DEFAULT_DAYS * DAY_MS)),
+        timeZone
+      );
+
+      if (range.end <= range.start) {
+        return res.status(400).json({
           success: false,
-          message: 'Availability slot not found'
+          message: 'Window end must be after window start'
+        });
+      }
+
+      if (range.end - range.start > CALENDAR_IMPORT_MAX_DAYS * DAY_MS) {
+        return res.status(400).json({
+          success: false,
+          message: `Import window cannot exceed ${CALENDAR_IMPORT_MAX_DAYS} days`
+        });
+      }
+
+      if (!/BEGIN:VCALENDAR/i.test(calendar)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Calendar is not a valid iCalendar file'
         });
       }
 
+      const events = parseCalendar(calendar);
+      const { occurrences, skipped } = expandEvents(events, range.start, range.end, timeZone);
+      const result = await CalendarImport.import(therapist.id, source_name, occurrences, range.start, range.end);
+
       // Log activity
-      await logActivity(therapist.id, 'slot_cancelled', 'Availability slot cancelled', {
-        slot_id: slotId,
-        reason
+      await logActivity(therapist.id, 'calendar_imported', `Imported busy times from ${source_name}`, {
+        calendar_import_id: result.calendar_import.id,
+        events: events.length,
+        busy_created: result.busy_created,
+        busy_removed: result.busy_removed,
+        slots_blocked: result.blocked_slots.length,
+        slots_reopened: result.reopened_slots,
+        bookings_conflicting: result.booked_conflicts.map(session => session.id)
       });
 
       res.json({
         success: true,
-        message: 'Availability slot cancelled successfully',
+        message: result.booked_conflicts.length > 0
+          ? `Calendar imported; ${result.booked_conflicts.length} booked sessions overlap imported busy times`
+          : 'Calendar imported successfully',
         data: {
-          slot: cancelledSlot
+          ...result,
+          blocked_slots: result.blocked_slots.map(slot => withSlotTimes(slot, timeZone)),
+          skipped_events: skipped,
+          window: {
+            start: range.start.toISOString(),
+            end: range.end.toISOString(),
+            timezone: timeZone
+          }
         }
       });
     } catch (error) {
-      console.error('Error cancelling availability slot:', error);
+      console.error('Error importing calendar:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to cancel availability slot'
+        message: 'Failed to import calendar'
       });
     }
   }
 
-  // Get therapist's calendar view
-  static async getTherapistCalendar(req, res) {
+  // Delete an imported calendar, reopening the slots it blocked
+  static async deleteCalendarImport(req, res) {
     try {
       const authUserId = req.user.sub;
       const therapist = await Therapist.findByAuthUserId(authUserId);
+      const importId = parseInt(req.params.importId);
 
       if (!therapist) {
         return res.status(404).json({
@@ -516,35 +928,844 @@ class AvailabilityController {
         });
       }
 
-      const { start_date, end_date } = req.query;
-      
-      if (!start_date || !end_date) {
-        return res.status(400).json({
+      const result = await CalendarImport.delete(importId, therapist.id);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Calendar import not found'
+        });
+      }
+
+      // Log activity
+      await logActivity(therapist.id, 'calendar_import_deleted', `Removed imported calendar ${result.calendar_import.source_name}`, {
+        calendar_import_id: importId,
+        slots_reopened: result.reopened_slots
+      });
+
+      res.json({
+        success: true,
+        message: 'Calendar import deleted successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error deleting calendar import:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete calendar import'
+      });
+    }
+  }
+
+  // Get appointment types
+  static async getAppointmentTypes(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const includeInactive = req.query.include_inactive === 'true';
+      const appointmentTypes = await AppointmentType.getByTherapist(therapist.id, includeInactive);
+
+      res.json({
+        success: true,
+        data: {
+          appointment_types: appointmentTypes
+        }
+      });
+    } catch (error) {
+      console.error('Error getting appointment types:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get appointment types'
+      });
+    }
+  }
+
+  // Create appointment type
+  static async createAppointmentType(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const appointmentType = await AppointmentType.create(therapist.id, req.body);
+
+      // Log activity
+      await logActivity(therapist.id, 'appointment_type_created', `Appointment type ${appointmentType.name} created`, {
+        appointment_type_id: appointmentType.id,
+        duration_minutes: appointmentType.duration_minutes
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Appointment type created successfully',
+        data: {
+          appointment_type: appointmentType
+        }
+      });
+    } catch (error) {
+      console.error('Error creating appointment type:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create appointment type'
+      });
+    }
+  }
+
+  // Update appointment type. Existing bookings keep the price they were booked at.
+  static async updateAppointmentType(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+      const typeId = parseInt(req.params.typeId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const appointmentType = await AppointmentType.update(typeId, therapist.id, req.body);
+
+      if (!appointmentType) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appointment type not found'
+        });
+      }
+
+      // Log activity
+      await logActivity(therapist.id, 'appointment_type_updated', `Appointment type ${appointmentType.name} updated`, {
+        appointment_type_id: typeId,
+        updated_fields: Object.keys(req.body)
+      });
+
+      res.json({
+        success: true,
+        message: 'Appointment type updated successfully',
+        data: {
+          appointment_type: appointmentType
+        }
+      });
+    } catch (error) {
+      console.error('Error updating appointment type:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update appointment type'
+      });
+    }
+  }
+
+  // Delete (deactivate) appointment type
+  static async deleteAppointmentType(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+      const typeId = parseInt(req.params.typeId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const appointmentType = await AppointmentType.delete(typeId, therapist.id);
+
+      if (!appointmentType) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appointment type not found'
+        });
+      }
+
+      // Log activity
+      await logActivity(therapist.id, 'appointment_type_deleted', `Appointment type ${appointmentType.name} deactivated`, {
+        appointment_type_id: typeId
+      });
+
+      res.json({
+        success: true,
+        message: 'Appointment type deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting appointment type:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete appointment type'
+      });
+    }
+  }
+
+  // Get availability slots
+  static async getAvailabilitySlots(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const userRole = req.user.role;
+      
+      let therapistId;
+      let timeZone;
+      
+      if (userRole === 'psychiatrist') {
+        const therapist = await Therapist.findByAuthUserId(authUserId);
+        if (!therapist) {
+          return res.status(404).json({
+            success: false,
+            message: 'Therapist not found'
+          });
+        }
+        therapistId = therapist.id;
+        timeZone = normalizeTimeZone(therapist.timezone);
+      } else {
+        // For users, require therapist_id in query
+        therapistId = parseInt(req.query.therapist_id);
+        if (!therapistId) {
+          return res.status(400).json({
+            success: false,
+            message: 'Therapist ID is required'
+          });
+        }
+        timeZone = await Availability.getTherapistTimezone(therapistId);
+      }
+
+      const { start_date, end_date, status } = req.query;
+      const includeArchived = req.query.include_archived === 'true';
+      
+      if (!start_date || !end_date) {
+        return res.status(400).json({
+          success: false,
+          message: 'Start date and end date are required'
+        });
+      }
+
+      // Date-only values are whole days in the therapist's timezone
+      const range = resolveDateRange(start_date, end_date, timeZone);
+      const slots = await Availability.getSlots(therapistId, range.start, range.end, status, { includeArchived });
+
+      res.json({
+        success: true,
+        data: {
+          slots,
+          timezone: timeZone
+        }
+      });
+    } catch (error) {
+      console.error('Error getting availability slots:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get availability slots'
+      });
+    }
+  }
+
+  // Create availability slot
+  static async createAvailabilitySlot(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      // Naive datetimes are wall-clock times in the therapist's timezone
+      const timeZone = normalizeTimeZone(therapist.timezone);
+      const slotData = {
+        ...req.body,
+        start_datetime: parseDateTimeInZone(req.body.start_datetime, timeZone),
+        end_datetime: parseDateTimeInZone(req.body.end_datetime, timeZone)
+      };
+      assertSlotRange(slotData.start_datetime, slotData.end_datetime);
+
+      // Slots offered for an appointment type take its session type
+      if (slotData.appointment_type_id) {
+        const type = await findOwnAppointmentType(therapist.id, slotData.appointment_type_id);
+        slotData.session_type = type.session_type;
+      }
+      assertCapacityAllowed(slotData.capacity, slotData.session_type);
+
+      const slot = withSlotTimes(await Availability.createSlot(therapist.id, slotData), timeZone);
+
+      // Log activity
+      await logActivity(therapist.id, 'slot_created', 'Availability slot created', {
+        start_datetime: slot.start_datetime,
+        end_datetime: slot.end_datetime,
+        session_type: slot.session_type
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Availability slot created successfully',
+        data: {
+          slot
+        }
+      });
+    } catch (error) {
+      console.error('Error creating availability slot:', error);
+      sendErrorResponse(res, error, 'Failed to create availability slot');
+    }
+  }
+
+  // Update availability slot
+  static async updateAvailabilitySlot(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+      const slotId = parseInt(req.params.slotId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const timeZone = normalizeTimeZone(therapist.timezone);
+      const slotData = {
+        ...req.body,
+        start_datetime: parseDateTimeInZone(req.body.start_datetime, timeZone),
+        end_datetime: parseDateTimeInZone(req.body.end_datetime, timeZone)
+      };
+      assertSlotRange(slotData.start_datetime, slotData.end_datetime);
+
+      if (slotData.appointment_type_id) {
+        const type = await findOwnAppointmentType(therapist.id, slotData.appointment_type_id);
+        slotData.session_type = type.session_type;
+      }
+      assertCapacityAllowed(slotData.capacity, slotData.session_type);
+
+      const updatedSlot = await Availability.updateSlot(slotId, therapist.id, slotData);
+
+      if (!updatedSlot) {
+        return res.status(404).json({
+          success: false,
+          message: 'Availability slot not found'
+        });
+      }
+
+      // Log activity
+      await logActivity(therapist.id, 'slot_updated', 'Availability slot updated', {
+        slot_id: slotId,
+        updated_fields: Object.keys(slotData)
+      });
+
+      res.json({
+        success: true,
+        message: 'Availability slot updated successfully',
+        data: {
+          slot: withSlotTimes(updatedSlot, timeZone)
+        }
+      });
+    } catch (error) {
+      console.error('Error updating availability slot:', error);
+      sendErrorResponse(res, error, 'Failed to update availability slot');
+    }
+  }
+
+  // Delete availability slot
+  static async deleteAvailabilitySlot(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+      const slotId = parseInt(req.params.slotId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const deletedSlot = await Availability.deleteSlot(slotId, therapist.id);
+
+      if (!deletedSlot) {
+        return res.status(404).json({
+          success: false,
+          message: 'Availability slot not found or cannot be deleted'
+        });
+      }
+
+      // Log activity
+      await logActivity(therapist.id, 'slot_deleted', 'Availability slot deleted', {
+        slot_id: slotId
+      });
+
+      res.json({
+        success: true,
+        message: 'Availability slot deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting availability slot:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete availability slot'
+      });
+    }
+  }
+
+  // Book availability slot
+  static async bookAvailabilitySlot(req, res) {
+    try {
+      const slotId = parseInt(req.params.slotId);
+      const userId = req.user.sub;
+      const { session_type, notes, appointment_type_id } = req.body;
+
+      const bookingResult = await Availability.bookSlot(slotId, userId, {
+        session_type,
+        notes,
+        appointment_type_id,
+        client_email: req.user.email
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Availability slot booked successfully',
+        data: {
+          slot: bookingResult.slot,
+          booking: bookingResult.booking
+        }
+      });
+    } catch (error) {
+      console.error('Error booking availability slot:', error);
+      sendErrorResponse(res, error, 'Failed to book availability slot');
+    }
+  }
+
+  // Hold a seat on a slot while the client checks out
+  static async holdAvailabilitySlot(req, res) {
+    try {
+      const slotId = parseInt(req.params.slotId);
+      const result = await SlotHold.create(slotId, req.user.sub);
+
+      res.status(201).json({
+        success: true,
+        message: 'Availability slot held successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error holding availability slot:', error);
+      sendErrorResponse(res, error, 'Failed to hold availability slot');
+    }
+  }
+
+  // Get the current client's active slot hold
+  static async getMySlotHold(req, res) {
+    try {
+      const hold = await SlotHold.getActiveByUser(req.user.sub);
+
+      res.json({
+        success: true,
+        data: {
+          hold
+        }
+      });
+    } catch (error) {
+      console.error('Error getting slot hold:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get slot hold'
+      });
+    }
+  }
+
+  // Confirm a slot hold, booking the held seat
+  static async confirmSlotHold(req, res) {
+    try {
+      const holdId = parseInt(req.params.holdId);
+      const { session_type, notes, appointment_type_id } = req.body;
+      const result = await SlotHold.confirm(holdId, req.user.sub, {
+        session_type,
+        notes,
+        appointment_type_id,
+        client_email: req.user.email
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Slot hold confirmed and session booked',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error confirming slot hold:', error);
+      sendErrorResponse(res, error, 'Failed to confirm slot hold');
+    }
+  }
+
+  // Release a slot hold before it expires
+  static async releaseSlotHold(req, res) {
+    try {
+      const holdId = parseInt(req.params.holdId);
+      const hold = await SlotHold.release(holdId, req.user.sub);
+
+      if (!hold) {
+        return res.status(404).json({
+          success: false,
+          message: 'Active slot hold not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Slot hold released successfully'
+      });
+    } catch (error) {
+      console.error('Error releasing slot hold:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to release slot hold'
+      });
+    }
+  }
+
+  // Get the roster of bookings on a slot (group sessions hold several)
+  static async getSlotRoster(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+      const slotId = parseInt(req.params.slotId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const roster = await Availability.getSlotRoster(slotId, therapist.id);
+
+      if (!roster) {
+        return res.status(404).json({
+          success: false,
+          message: 'Availability slot not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: roster
+      });
+    } catch (error) {
+      console.error('Error getting slot roster:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get slot roster'
+      });
+    }
+  }
+
+  // Cancel availability slot
+  static async cancelAvailabilitySlot(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+      const slotId = parseInt(req.params.slotId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const { reason, reopen = false } = req.body;
+
+      // With reopen the bookings are cancelled but the slot stays, and its freed
+      // seats are offered to the waitlist before returning to public availability
+      if (reopen === true) {
+        const released = await withTransaction(async (client) => {
+          const slot = await Availability.findSlotById(slotId, therapist.id, { lock: true, db: client });
+
+          if (!slot || !['available', 'booked'].includes(slot.status)) {
+            return null;
+          }
+
+          const cancelledBookings = await Availability.releaseSlotBookings(slotId, therapist.id, reason, { db: client });
+          const waitlistOffers = await Waitlist.offerOpenSeats(slotId, { db: client });
+          return { cancelledBookings, waitlistOffers };
+        });
+
+        if (!released) {
+          return res.status(404).json({
+            success: false,
+            message: 'Availability slot not found or cannot be reopened'
+          });
+        }
+
+        const { cancelledBookings, waitlistOffers } = released;
+
+        await logActivity(therapist.id, 'slot_reopened', 'Availability slot bookings cancelled and slot reopened', {
+          slot_id: slotId,
+          reason,
+          cancelled_bookings: cancelledBookings.map(booking => booking.id),
+          waitlist_offers: waitlistOffers.map(offer => offer.id)
+        });
+
+        return res.json({
+          success: true,
+          message: waitlistOffers.length > 0
+            ? `Slot reopened and offered to ${waitlistOffers.length} waitlisted clients`
+            : 'Slot reopened successfully',
+          data: {
+            slot: await Availability.findSlotById(slotId, therapist.id),
+            cancelled_bookings: cancelledBookings,
+            waitlist_offers: waitlistOffers
+          }
+        });
+      }
+
+      // The slot's bookings, waitlist offers and holds go with it, or none of them do
+      const cancelledSlot = await withTransaction(async (client) => {
+        const slot = await Availability.cancelSlot(slotId, therapist.id, reason, { db: client });
+
+        if (slot) {
+          await Waitlist.withdrawOffersForSlot(slotId, { db: client });
+          await SlotHold.releaseForSlot(slotId, { db: client });
+        }
+        return slot;
+      });
+
+      if (!cancelledSlot) {
+        return res.status(404).json({
+          success: false,
+          message: 'Availability slot not found'
+        });
+      }
+
+      // Log activity
+      await logActivity(therapist.id, 'slot_cancelled', 'Availability slot cancelled', {
+        slot_id: slotId,
+        reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Availability slot cancelled successfully',
+        data: {
+          slot: cancelledSlot
+        }
+      });
+    } catch (error) {
+      console.error('Error cancelling availability slot:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel availability slot'
+      });
+    }
+  }
+
+  // Join a therapist's waitlist (clients)
+  static async joinWaitlist(req, res) {
+    try {
+      const userId = req.user.sub;
+      const therapist = await Therapist.findById(req.body.therapist_id);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      if (req.body.appointment_type_id) {
+        await findOwnAppointmentType(therapist.id, req.body.appointment_type_id);
+      }
+
+      const entry = await Waitlist.join(userId, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: 'Joined waitlist successfully',
+        data: {
+          waitlist_entry: entry
+        }
+      });
+    } catch (error) {
+      console.error('Error joining waitlist:', error);
+      sendErrorResponse(res, error, 'Failed to join waitlist');
+    }
+  }
+
+  // Get the current client's waitlist entries and pending offers
+  static async getMyWaitlist(req, res) {
+    try {
+      const entries = await Waitlist.getByUser(req.user.sub);
+
+      res.json({
+        success: true,
+        data: {
+          waitlist: entries
+        }
+      });
+    } catch (error) {
+      console.error('Error getting waitlist entries:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get waitlist entries'
+      });
+    }
+  }
+
+  // Leave a waitlist
+  static async leaveWaitlist(req, res) {
+    try {
+      const entryId = parseInt(req.params.entryId);
+      const entry = await Waitlist.leave(entryId, req.user.sub);
+
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          message: 'Waitlist entry not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Left waitlist successfully'
+      });
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to leave waitlist'
+      });
+    }
+  }
+
+  // Get the therapist's waitlist in queue order
+  static async getTherapistWaitlist(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const entries = await Waitlist.getByTherapist(therapist.id);
+
+      res.json({
+        success: true,
+        data: {
+          waitlist: entries
+        }
+      });
+    } catch (error) {
+      console.error('Error getting therapist waitlist:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get waitlist'
+      });
+    }
+  }
+
+  // Accept a waitlist offer, booking the offered seat
+  static async acceptWaitlistOffer(req, res) {
+    try {
+      const offerId = parseInt(req.params.offerId);
+      const result = await Waitlist.acceptOffer(offerId, req.user.sub, {
+        ...req.body,
+        client_email: req.user.email
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Waitlist offer accepted and session booked',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error accepting waitlist offer:', error);
+      sendErrorResponse(res, error, 'Failed to accept waitlist offer');
+    }
+  }
+
+  // Decline a waitlist offer, passing the seat to the next client in line
+  static async declineWaitlistOffer(req, res) {
+    try {
+      const offerId = parseInt(req.params.offerId);
+      const offer = await Waitlist.declineOffer(offerId, req.user.sub);
+
+      res.json({
+        success: true,
+        message: 'Waitlist offer declined',
+        data: {
+          offer
+        }
+      });
+    } catch (error) {
+      console.error('Error declining waitlist offer:', error);
+      sendErrorResponse(res, error, 'Failed to decline waitlist offer');
+    }
+  }
+
+  // Get therapist's calendar view
+  static async getTherapistCalendar(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const { start_date, end_date } = req.query;
+      const includeArchived = req.query.include_archived === 'true';
+      
+      if (!start_date || !end_date) {
+        return res.status(400).json({
           success: false,
           message: 'Start date and end date are required'
         });
       }
 
-      // Get all slots (available, booked, cancelled)
-      const allSlots = await Availability.getSlots(therapist.id, start_date, end_date);
+      // Get all slots (available, booked, cancelled) for whole days in the therapist's timezone
+      const timeZone = normalizeTimeZone(therapist.timezone);
+      const range = resolveDateRange(start_date, end_date, timeZone);
+      const allSlots = await Availability.getSlots(therapist.id, range.start, range.end, null, { includeArchived });
 
       // Group slots by status
       const calendar = {
         available: allSlots.filter(slot => slot.status === 'available'),
         booked: allSlots.filter(slot => slot.status === 'booked'),
         cancelled: allSlots.filter(slot => slot.status === 'cancelled'),
-        blocked: allSlots.filter(slot => slot.status === 'blocked')
+        blocked: allSlots.filter(slot => slot.status === 'blocked'),
+        ...(includeArchived && { expired: allSlots.filter(slot => slot.status === 'expired') })
       };
 
-      // Calculate summary statistics
+      // Calculate summary statistics. Expired slots were offered but never booked.
+      const offeredSlots = calendar.available.length + calendar.booked.length +
+        (includeArchived ? calendar.expired.length : 0);
       const summary = {
         total_slots: allSlots.length,
         available_slots: calendar.available.length,
         booked_slots: calendar.booked.length,
         cancelled_slots: calendar.cancelled.length,
         blocked_slots: calendar.blocked.length,
-        utilization_rate: allSlots.length > 0 ? 
-          Math.round((calendar.booked.length / (calendar.available.length + calendar.booked.length)) * 100) : 0
+        ...(includeArchived && { expired_slots: calendar.expired.length }),
+        utilization_rate: offeredSlots > 0 ?
+          Math.round((calendar.booked.length / offeredSlots) * 100) : 0
       };
 
       res.json({
@@ -554,7 +1775,8 @@ class AvailabilityController {
           summary,
           date_range: {
             start_date,
-            end_date
+            end_date,
+            timezone: timeZone
           }
         }
       });
@@ -566,6 +1788,95 @@ class AvailabilityController {
       });
     }
   }
+
+  // iCalendar subscription feed (public, authenticated by the secret token in the URL)
+  static async getCalendarFeed(req, res) {
+    try {
+      const feedSecret = process.env.CALENDAR_FEED_SECRET;
+      if (!feedSecret) {
+        console.error('CALENDAR_FEED_SECRET not configured');
+        return res.status(500).json({
+          success: false,
+          message: 'Server configuration error'
+        });
+      }
+
+      const { token } = req.params;
+      const settings = await TherapistSettings.findByCalendarFeedToken(token);
+      const therapist = settings ? await Therapist.findById(settings.therapist_id) : null;
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Calendar feed not found'
+        });
+      }
+
+      const timeZone = normalizeTimeZone(therapist.timezone);
+      const rangeStart = new Date(Date.now() - (CALENDAR_FEED_PAST_DAYS * DAY_MS));
+      const rangeEnd = new Date(Date.now() + (CALENDAR_FEED_FUTURE_DAYS * DAY_MS));
+
+      const sessions = await Availability.getSessionsInRange(therapist.id, rangeStart, rangeEnd);
+      const events = sessions.map(session => {
+        const modified = laterOf(session.updated_at, session.slot_updated_at);
+        return {
+          uid: buildUid('session', session.id),
+          start: session.start_datetime,
+          end: session.end_datetime,
+          summary: `${session.session_type || 'individual'} session - ${buildClientPseudonym(feedSecret, therapist.id, session.user_id)}`,
+          status: isCancelledStatus(session.status) ? 'CANCELLED' : 'CONFIRMED',
+          sequence: session.ical_sequence || 0,
+          stamp: modified,
+          lastModified: modified
+        };
+      });
+
+      if (settings.calendar_feed_include_blocked) {
+        const timeOffOccurrences = await TimeOff.getOccurrences(therapist.id, rangeStart, rangeEnd, timeZone);
+        timeOffOccurrences.forEach(occurrence => {
+          events.push({
+            uid: buildUid(`time-off-${occurrence.time_off_id}`, occurrence.start.getTime()),
+            start: occurrence.start,
+            end: occurrence.end,
+            summary: 'Time off'
+          });
+        });
+
+        // Slots blocked by time off are already covered by the occurrences above
+        const blockedSlots = await Availability.getSlots(therapist.id, rangeStart, rangeEnd, 'blocked');
+        blockedSlots
+          .filter(slot => !slot.blocked_by_time_off_id)
+          .forEach(slot => {
+            events.push({
+              uid: buildUid('blocked', slot.id),
+              start: slot.start_datetime,
+              end: slot.end_datetime,
+              summary: 'Blocked',
+              stamp: slot.updated_at,
+              lastModified: slot.updated_at
+            });
+          });
+      }
+
+      const name = [therapist.first_name, therapist.last_name].filter(Boolean).join(' ');
+      const calendar = buildCalendar({
+        name: name ? `MindNest - ${name}` : 'MindNest sessions',
+        timeZone,
+        events
+      });
+
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', 'inline; filename="mindnest-sessions.ics"');
+      res.set('Cache-Control', 'private, max-age=300');
+      res.send(calendar);
+    } catch (error) {
+      console.error('Error getting calendar feed:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get calendar feed'
+      });
+    }
+  }
 }
 
 module.exports = AvailabilityController;
\ No newline at end of file
@@ -1,6 +1,40 @@
 const Therapist = require('../models/Therapist');
-const { query } = require('../config/database');
+const Availability = require('../models/Availability');
+const Waitlist = require('../models/Waitlist');
+const SessionBooking = require('../models/SessionBooking');
+const BookingSeries = require('../models/BookingSeries');
+const SessionReminder = require('../models/SessionReminder');
+const { query, withTransaction } = require('../config/database');
 const { logActivity } = require('../utils/activityLogger');
+const { sendErrorResponse } = require('../utils/errors');
+const { isCancelledStatus } = require('../utils/sessionLifecycle');
+
+// Sessions a request may act on: the therapist's own, or the client's own.
+// Null when a therapist account has no therapist record.
+const getSessionScope = async (req) => {
+  if (req.user.role === 'psychiatrist') {
+    const therapist = await Therapist.findByAuthUserId(req.user.sub);
+    return therapist ? { therapistId: therapist.id } : null;
+  }
+  return { userId: req.user.sub };
+};
+
+// Clients booking directly with a therapist become the therapist's active client
+const ensureClientRelationship = async (therapistId, userId) => {
+  const relationshipCheck = await query(
+    `SELECT * FROM therapist_clients 
+     WHERE therapist_id = $1 AND user_id = $2 AND relationship_status = 'active'`,
+    [therapistId, userId]
+  );
+
+  if (relationshipCheck.rows.length === 0) {
+    await query(
+      `INSERT INTO therapist_clients (therapist_id, user_id, relationship_status)
+       VALUES ($1, $2, 'active')`,
+      [therapistId, userId]
+    );
+  }
+};
 
 class ClientController {
   // Get therapist's clients
@@ -222,29 +256,29 @@ class ClientController {
 
       const { reason } = req.body;
 
-      const result = await query(
-        `UPDATE therapist_clients 
-         SET relationship_status = 'terminated', ended_date = CURRENT_DATE, notes = $3
-         WHERE therapist_id = $1 AND user_id = $2 
-         RETURNING *`,
-        [therapist.id, userId, reason]
-      );
+      // End the relationship and cancel any upcoming sessions together
+      const relationship = await withTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE therapist_clients 
+           SET relationship_status = 'terminated', ended_date = CURRENT_DATE, notes = $3
+           WHERE therapist_id = $1 AND user_id = $2 
+           RETURNING *`,
+          [therapist.id, userId, reason]
+        );
 
-      if (result.rows.length === 0) {
+        if (result.rows.length > 0) {
+          await SessionBooking.cancelForTherapist(therapist.id, { userId, changedBy: authUserId, reason, db: client });
+        }
+        return result.rows[0];
+      });
+
+      if (!relationship) {
         return res.status(404).json({
           success: false,
           message: 'Client relationship not found'
         });
       }
 
-      // Cancel any upcoming sessions
-      await query(
-        `UPDATE session_bookings 
-         SET status = 'cancelled' 
-         WHERE therapist_id = $1 AND user_id = $2 AND status = 'scheduled'`,
-        [therapist.id, userId]
-      );
-
       // Log activity
       await logActivity(therapist.id, 'client_relationship_ended', 'Client relationship terminated', {
         user_id: userId,
@@ -255,7 +289,7 @@ class ClientController {
         success: true,
         message: 'Client relationship ended successfully',
         data: {
-          relationship: result.rows[0]
+          relationship
         }
       });
     } catch (error) {
@@ -519,102 +553,87 @@ class ClientController {
   // Book session (simplified - uses availability booking)
   static async bookSession(req, res) {
     try {
-      const { therapist_id, availability_slot_id, session_type, notes } = req.body;
+      const { therapist_id, availability_slot_id, session_type, notes, appointment_type_id } = req.body;
       const userId = req.user.sub;
 
-      // Check if there's an active relationship
-      const relationshipCheck = await query(
-        `SELECT * FROM therapist_clients 
-         WHERE therapist_id = $1 AND user_id = $2 AND relationship_status = 'active'`,
-        [therapist_id, userId]
-      );
+      // Book the slot; the session type and price come from the slot and its
+      // appointment type, and a given therapist_id must be the slot's therapist
+      const { slot, booking } = await Availability.bookSlot(availability_slot_id, userId, {
+        therapist_id,
+        session_type,
+        notes,
+        appointment_type_id,
+        client_email: req.user.email
+      });
 
       // Create relationship if it doesn't exist (for direct booking)
-      if (relationshipCheck.rows.length === 0) {
-        await query(
-          `INSERT INTO therapist_clients (therapist_id, user_id, relationship_status)
-           VALUES ($1, $2, 'active')`,
-          [therapist_id, userId]
-        );
-      }
-
-      // Create session booking
-      const result = await query(
-        `INSERT INTO session_bookings (therapist_id, user_id, availability_slot_id, session_type, notes)
-         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-        [therapist_id, userId, availability_slot_id, session_type, notes]
-      );
-
-      // Update availability slot status
-      await query(
-        `UPDATE availability_slots SET status = 'booked' WHERE id = $1`,
-        [availability_slot_id]
-      );
+      await ensureClientRelationship(slot.therapist_id, userId);
 
       res.status(201).json({
         success: true,
         message: 'Session booked successfully',
         data: {
-          booking: result.rows[0]
+          booking
         }
       });
     } catch (error) {
       console.error('Error booking session:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to book session'
-      });
+      sendErrorResponse(res, error, 'Failed to book session');
     }
   }
 
-  // Update session
+  // Update a session's notes or move it along its lifecycle
   static async updateSession(req, res) {
     try {
       const sessionId = parseInt(req.params.sessionId);
-      const { notes, status } = req.body;
-      const authUserId = req.user.sub;
-
-      const fields = [];
-      const values = [];
-      let paramCount = 1;
+      const { notes, status, reason } = req.body;
+      const scope = await getSessionScope(req);
 
-      if (notes !== undefined) {
-        fields.push(`notes = $${paramCount++}`);
-        values.push(notes);
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
       }
 
-      if (status !== undefined) {
-        fields.push(`status = $${paramCount++}`);
-        values.push(status);
+      // Cancellations and no-shows carry fees, so they have their own endpoints
+      if (isCancelledStatus(status) || status === 'no_show') {
+        return res.status(400).json({
+          success: false,
+          message: status === 'no_show'
+            ? 'Use POST /api/clients/sessions/:sessionId/no-show to record a no-show'
+            : 'Use DELETE /api/clients/sessions/:sessionId to cancel a session'
+        });
       }
 
-      if (fields.length === 0) {
+      if (notes === undefined && status === undefined) {
         return res.status(400).json({
           success: false,
           message: 'No fields to update'
         });
       }
 
-      // Add session ID and user/therapist check
-      values.push(sessionId);
-      const userRole = req.user.role;
-      
-      let whereClause;
-      if (userRole === 'psychiatrist') {
-        const therapist = await Therapist.findByAuthUserId(authUserId);
-        whereClause = `WHERE id = $${paramCount++} AND therapist_id = $${paramCount}`;
-        values.push(therapist.id);
+      let session;
+
+      if (status !== undefined) {
+        // Notes sent along with a status change are saved with it, or not at all
+        session = await SessionBooking.transition(sessionId, scope, status, {
+          role: scope.therapistId ? 'therapist' : 'client',
+          changedBy: req.user.sub,
+          reason,
+          fields: notes !== undefined ? { notes } : {}
+        });
       } else {
-        whereClause = `WHERE id = $${paramCount++} AND user_id = $${paramCount}`;
-        values.push(authUserId);
+        const result = await query(
+          `UPDATE session_bookings SET notes = $2
+           WHERE id = $1 AND ($3::integer IS NULL OR user_id = $3) AND ($4::integer IS NULL OR therapist_id = $4)
+           RETURNING *`,
+          [sessionId, notes, scope.userId || null, scope.therapistId || null]
+        );
+        session = result.rows[0];
       }
 
-      const result = await query(
-        `UPDATE session_bookings SET ${fields.join(', ')} ${whereClause} RETURNING *`,
-        values
-      );
-
-      if (result.rows.length === 0) {
+      if (!session) {
         return res.status(404).json({
           success: false,
           message: 'Session not found or access denied'
@@ -625,72 +644,472 @@ class ClientController {
         success: true,
         message: 'Session updated successfully',
         data: {
-          session: result.rows[0]
+          session
         }
       });
     } catch (error) {
       console.error('Error updating session:', error);
+      sendErrorResponse(res, error, 'Failed to update session');
+    }
+  }
+
+  // Ended sessions waiting for the therapist to confirm attendance
+  static async getSessionsAwaitingAttendance(req, res) {
+    try {
+      const therapist = await Therapist.findByAuthUserId(req.user.sub);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const { sessions, unconfirmed_session_action } = await SessionBooking.getAwaitingAttendance(therapist.id);
+
+      res.json({
+        success: true,
+        data: {
+          sessions,
+          unconfirmed_session_action
+        }
+      });
+    } catch (error) {
+      console.error('Error getting sessions awaiting attendance:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to update session'
+        message: 'Failed to get sessions awaiting attendance'
       });
     }
   }
 
-  // Cancel session
-  static async cancelSession(req, res) {
+  // Get a session's status history
+  static async getSessionStatusHistory(req, res) {
     try {
       const sessionId = parseInt(req.params.sessionId);
-      const authUserId = req.user.sub;
-      const { reason } = req.body;
+      const scope = await getSessionScope(req);
 
-      const userRole = req.user.role;
-      let whereClause;
-      let values = [sessionId];
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
 
-      if (userRole === 'psychiatrist') {
-        const therapist = await Therapist.findByAuthUserId(authUserId);
-        whereClause = 'WHERE id = $1 AND therapist_id = $2';
-        values.push(therapist.id);
-      } else {
-        whereClause = 'WHERE id = $1 AND user_id = $2';
-        values.push(authUserId);
+      const { session, history } = await SessionBooking.getStatusHistory(sessionId, scope);
+
+      res.json({
+        success: true,
+        data: {
+          status: session.status,
+          history
+        }
+      });
+    } catch (error) {
+      console.error('Error getting session status history:', error);
+      sendErrorResponse(res, error, 'Failed to get session status history');
+    }
+  }
+
+  // Show what cancelling a session now would cost, before confirming it
+  static async getCancellationQuote(req, res) {
+    try {
+      const sessionId = parseInt(req.params.sessionId);
+      const scope = await getSessionScope(req);
+
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
       }
 
-      // Update session status
-      const result = await query(
-        `UPDATE session_bookings SET status = 'cancelled', notes = COALESCE(notes || ' | ', '') || $3 
-         ${whereClause} RETURNING *`,
-        [...values.slice(0, -1), reason || 'Session cancelled', values[values.length - 1]]
-      );
+      const quote = await SessionBooking.getCancellationQuote(sessionId, scope, scope.therapistId ? 'therapist' : 'client');
 
-      if (result.rows.length === 0) {
+      res.json({
+        success: true,
+        data: {
+          cancellation: quote
+        }
+      });
+    } catch (error) {
+      console.error('Error quoting session cancellation:', error);
+      sendErrorResponse(res, error, 'Failed to quote session cancellation');
+    }
+  }
+
+  // Cancel session, recording any late-cancellation fee
+  static async cancelSession(req, res) {
+    try {
+      const sessionId = parseInt(req.params.sessionId);
+      const { reason, accept_fee } = req.body;
+      const scope = await getSessionScope(req);
+
+      if (!scope) {
         return res.status(404).json({
           success: false,
-          message: 'Session not found or access denied'
+          message: 'Therapist not found'
         });
       }
 
-      // Update availability slot status back to available
-      await query(
-        `UPDATE availability_slots SET status = 'available' 
-         WHERE id = (SELECT availability_slot_id FROM session_bookings WHERE id = $1)`,
-        [sessionId]
-      );
+      const { session, quote } = await SessionBooking.cancel(sessionId, scope, {
+        cancelledByRole: scope.therapistId ? 'therapist' : 'client',
+        changedBy: req.user.sub,
+        reason,
+        acceptFee: accept_fee
+      });
+
+      // Free the seat, offering it to the therapist's waitlist before it
+      // returns to public availability
+      if (session.availability_slot_id) {
+        await Waitlist.offerOpenSeats(session.availability_slot_id);
+      }
 
       res.json({
         success: true,
         message: 'Session cancelled successfully',
         data: {
-          session: result.rows[0]
+          session,
+          cancellation: quote
         }
       });
     } catch (error) {
       console.error('Error cancelling session:', error);
+      sendErrorResponse(res, error, 'Failed to cancel session');
+    }
+  }
+
+  // Mark a session as a no-show, recording the therapist's no-show fee
+  static async markSessionNoShow(req, res) {
+    try {
+      const sessionId = parseInt(req.params.sessionId);
+      const therapist = await Therapist.findByAuthUserId(req.user.sub);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const result = await SessionBooking.markNoShow(sessionId, therapist.id, {
+        changedBy: req.user.sub,
+        reason: req.body.reason
+      });
+
+      await logActivity(therapist.id, 'session_no_show', 'Session marked as no-show', {
+        session_id: sessionId,
+        fee: result.fee,
+        currency: result.currency
+      });
+
+      res.json({
+        success: true,
+        message: 'Session marked as no-show',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error marking session as no-show:', error);
+      sendErrorResponse(res, error, 'Failed to mark session as no-show');
+    }
+  }
+
+  // Move a session to another slot in one step (client or therapist)
+  static async rescheduleSession(req, res) {
+    try {
+      const sessionId = parseInt(req.params.sessionId);
+      const { availability_slot_id, reason } = req.body;
+      const scope = await getSessionScope(req);
+
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const result = await Availability.rescheduleBooking(sessionId, availability_slot_id, {
+        ...scope,
+        rescheduledBy: req.user.sub,
+        rescheduledByRole: scope.therapistId ? 'therapist' : 'client',
+        reason
+      });
+
+      // The freed seat goes to the therapist's waitlist before public availability
+      await Waitlist.offerOpenSeats(result.reschedule.from_slot_id);
+
+      await logActivity(result.booking.therapist_id, 'session_rescheduled', 'Session rescheduled', {
+        session_id: sessionId,
+        from_slot_id: result.reschedule.from_slot_id,
+        to_slot_id: result.reschedule.to_slot_id,
+        rescheduled_by_role: result.reschedule.rescheduled_by_role,
+        reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Session rescheduled successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error rescheduling session:', error);
+      sendErrorResponse(res, error, 'Failed to reschedule session');
+    }
+  }
+
+  // Get a session's reschedule history
+  static async getSessionReschedules(req, res) {
+    try {
+      const sessionId = parseInt(req.params.sessionId);
+      const scope = await getSessionScope(req);
+
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const reschedules = await Availability.getRescheduleHistory(sessionId, scope);
+
+      res.json({
+        success: true,
+        data: {
+          reschedules
+        }
+      });
+    } catch (error) {
+      console.error('Error getting session reschedules:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get session reschedules'
+      });
+    }
+  }
+
+  // Get a session's reminders and their delivery status
+  static async getSessionReminders(req, res) {
+    try {
+      const sessionId = parseInt(req.params.sessionId);
+      const scope = await getSessionScope(req);
+
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const { reminders } = await SessionReminder.getForSession(sessionId, scope);
+
+      res.json({
+        success: true,
+        data: {
+          reminders
+        }
+      });
+    } catch (error) {
+      console.error('Error getting session reminders:', error);
+      sendErrorResponse(res, error, 'Failed to get session reminders');
+    }
+  }
+
+  // Book a recurring series of sessions from a first slot
+  static async createBookingSeries(req, res) {
+    try {
+      const { availability_slot_id, therapist_id, frequency, occurrences, until_date, appointment_type_id, notes } = req.body;
+      const userId = req.user.sub;
+
+      const { series, bookings, conflicts } = await BookingSeries.create(availability_slot_id, userId, {
+        therapistId: therapist_id,
+        frequency,
+        occurrences,
+        untilDate: until_date,
+        appointmentTypeId: appointment_type_id,
+        notes,
+        clientEmail: req.user.email
+      });
+
+      await ensureClientRelationship(series.therapist_id, userId);
+
+      await logActivity(series.therapist_id, 'session_series_booked', 'Recurring session series booked', {
+        series_id: series.id,
+        frequency: series.frequency,
+        sessions_booked: bookings.length,
+        conflicts: conflicts.length
+      });
+
+      res.status(201).json({
+        success: true,
+        message: conflicts.length > 0
+          ? `Booked ${bookings.length} sessions; ${conflicts.length} could not be booked`
+          : `Booked ${bookings.length} sessions`,
+        data: {
+          series,
+          bookings,
+          conflicts
+        }
+      });
+    } catch (error) {
+      console.error('Error booking session series:', error);
+      sendErrorResponse(res, error, 'Failed to book session series');
+    }
+  }
+
+  // Get the caller's booking series
+  static async getBookingSeriesList(req, res) {
+    try {
+      const scope = await getSessionScope(req);
+
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const series = await BookingSeries.listForScope(scope);
+
+      res.json({
+        success: true,
+        data: {
+          series
+        }
+      });
+    } catch (error) {
+      console.error('Error getting booking series:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get booking series'
+      });
+    }
+  }
+
+  // Get a booking series with its sessions
+  static async getBookingSeries(req, res) {
+    try {
+      const seriesId = parseInt(req.params.seriesId);
+      const scope = await getSessionScope(req);
+
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const series = await BookingSeries.findForScope(seriesId, scope);
+
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: 'Booking series not found or access denied'
+        });
+      }
+
+      const sessions = await BookingSeries.getSessions(seriesId);
+
+      res.json({
+        success: true,
+        data: {
+          series,
+          sessions
+        }
+      });
+    } catch (error) {
+      console.error('Error getting booking series:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to cancel session'
+        message: 'Failed to get booking series'
+      });
+    }
+  }
+
+  // Cancel every upcoming session of a series and end it
+  static async cancelBookingSeries(req, res) {
+    try {
+      const seriesId = parseInt(req.params.seriesId);
+      const { reason, accept_fee } = req.body;
+      const scope = await getSessionScope(req);
+
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const result = await BookingSeries.cancelUpcoming(seriesId, scope, {
+        cancelledByRole: scope.therapistId ? 'therapist' : 'client',
+        changedBy: req.user.sub,
+        reason,
+        acceptFee: accept_fee
+      });
+
+      // Freed seats go to the therapist's waitlist before public availability
+      for (const session of result.cancelled) {
+        await Waitlist.offerOpenSeats(session.availability_slot_id);
+      }
+
+      await logActivity(result.series.therapist_id, 'session_series_cancelled', 'Recurring session series cancelled', {
+        series_id: seriesId,
+        sessions_cancelled: result.cancelled.length,
+        total_fee: result.total_fee,
+        reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Booking series cancelled successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Error cancelling booking series:', error);
+      sendErrorResponse(res, error, 'Failed to cancel booking series');
+    }
+  }
+
+  // Move every upcoming session of a series to a new day and time
+  static async rescheduleBookingSeries(req, res) {
+    try {
+      const seriesId = parseInt(req.params.seriesId);
+      const { availability_slot_id, reason } = req.body;
+      const scope = await getSessionScope(req);
+
+      if (!scope) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const result = await BookingSeries.rescheduleUpcoming(seriesId, availability_slot_id, scope, {
+        rescheduledBy: req.user.sub,
+        rescheduledByRole: scope.therapistId ? 'therapist' : 'client',
+        reason
       });
+
+      for (const moved of result.rescheduled) {
+        await Waitlist.offerOpenSeats(moved.reschedule.from_slot_id);
+      }
+
+      await logActivity(result.series.therapist_id, 'session_series_rescheduled', 'Recurring session series rescheduled', {
+        series_id: seriesId,
+        sessions_rescheduled: result.rescheduled.length,
+        conflicts: result.conflicts.length,
+        reason
+      });
+
+      res.json({
+        success: true,
+        message: result.conflicts.length > 0
+          ? `Moved ${result.rescheduled.length} sessions; ${result.conflicts.length} could not be moved`
+          : `Moved ${result.rescheduled.length} sessions`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error rescheduling booking series:', error);
+      sendErrorResponse(res, error, 'Failed to reschedule booking series');
     }
   }
 
@@ -1,7 +1,19 @@
 const Therapist = require('../models/Therapist');
 const TherapistProfile = require('../models/TherapistProfile');
+const TherapistSettings = require('../models/TherapistSettings');
 const { logActivity } = require('../utils/activityLogger');
 
+// Attach the subscription URL for the therapist's calendar feed token, if any
+const withCalendarFeedUrl = (req, settings) => {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return {
+    ...settings,
+    calendar_feed_url: settings.calendar_feed_token
+      ? `${baseUrl}/api/availability/calendar/feed/${settings.calendar_feed_token}.ics`
+      : null
+  };
+};
+
 class ProfileController {
   // Get current therapist's profile
   static async getCurrentTherapistProfile(req, res) {
@@ -319,6 +331,141 @@ class ProfileController {
     }
   }
 
+  // Get current therapist's settings
+  static async getTherapistSettings(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const settings = await TherapistSettings.findByTherapistId(therapist.id);
+
+      res.json({
+        success: true,
+        data: {
+          settings: withCalendarFeedUrl(req, settings)
+        }
+      });
+    } catch (error) {
+      console.error('Error getting therapist settings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get settings'
+      });
+    }
+  }
+
+  // Update current therapist's settings
+  static async updateTherapistSettings(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const settingsData = req.body;
+      const settings = await TherapistSettings.upsert(therapist.id, settingsData);
+
+      // Log activity
+      await logActivity(therapist.id, 'settings_update', 'Therapist settings updated', {
+        updated_fields: Object.keys(settingsData)
+      });
+
+      res.json({
+        success: true,
+        message: 'Settings updated successfully',
+        data: {
+          settings: withCalendarFeedUrl(req, settings)
+        }
+      });
+    } catch (error) {
+      console.error('Error updating therapist settings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update settings'
+      });
+    }
+  }
+
+  // Create or rotate the calendar feed token; the previous URL stops working
+  static async rotateCalendarFeedToken(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const settings = await TherapistSettings.rotateCalendarFeedToken(therapist.id);
+
+      // Log activity
+      await logActivity(therapist.id, 'calendar_feed_rotated', 'Calendar feed URL generated');
+
+      res.json({
+        success: true,
+        message: 'Calendar feed URL generated successfully',
+        data: {
+          settings: withCalendarFeedUrl(req, settings)
+        }
+      });
+    } catch (error) {
+      console.error('Error rotating calendar feed token:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate calendar feed URL'
+      });
+    }
+  }
+
+  // Revoke the calendar feed token
+  static async revokeCalendarFeedToken(req, res) {
+    try {
+      const authUserId = req.user.sub;
+      const therapist = await Therapist.findByAuthUserId(authUserId);
+
+      if (!therapist) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found'
+        });
+      }
+
+      const settings = await TherapistSettings.revokeCalendarFeedToken(therapist.id);
+
+      // Log activity
+      await logActivity(therapist.id, 'calendar_feed_revoked', 'Calendar feed URL revoked');
+
+      res.json({
+        success: true,
+        message: 'Calendar feed URL revoked successfully',
+        data: {
+          settings: withCalendarFeedUrl(req, settings)
+        }
+      });
+    } catch (error) {
+      console.error('Error revoking calendar feed token:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke calendar feed URL'
+      });
+    }
+  }
+
   // Get available specializations
   static async getAvailableSpecializations(req, res) {
     try {
@@ -1,6 +1,14 @@
 const Therapist = require('../models/Therapist');
 const TherapistProfile = require('../models/TherapistProfile');
+const AppointmentType = require('../models/AppointmentType');
+const Availability = require('../models/Availability');
 const { logActivity } = require('../utils/activityLogger');
+const { normalizeTimeZone, resolveDateRange } = require('../utils/timezone');
+
+// Default and longest windows searched for a therapist's first available slot
+const FIRST_AVAILABLE_DEFAULT_DAYS = 14;
+const FIRST_AVAILABLE_MAX_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class TherapistController {
   // Create new therapist (called by auth service)
@@ -212,6 +220,46 @@ class TherapistController {
     }
   }
 
+  // Get a therapist's bookable appointment types (public endpoint)
+  static async getPublicAppointmentTypes(req, res) {
+    try {
+      const therapistId = parseInt(req.params.id);
+      const therapist = await Therapist.findById(therapistId);
+
+      if (!therapist || !therapist.is_verified) {
+        return res.status(404).json({
+          success: false,
+          message: 'Therapist not found or not verified'
+        });
+      }
+
+      const appointmentTypes = await AppointmentType.getByTherapist(therapist.id);
+
+      res.json({
+        success: true,
+        data: {
+          appointment_types: appointmentTypes.map(type => ({
+            id: type.id,
+            name: type.name,
+            description: type.description,
+            duration_minutes: type.duration_minutes,
+            price: type.price,
+            currency: type.currency,
+            modality: type.modality,
+            session_type: type.session_type,
+            first_session_only: type.first_session_only
+          }))
+        }
+      });
+    } catch (error) {
+      console.error('Error getting public appointment types:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get appointment types'
+      });
+    }
+  }
+
   static async getPublicTherapistProfileByAuthId(req, res) {
     try {
       const therapistId = parseInt(req.params.id);
@@ -269,7 +317,7 @@ class TherapistController {
     try {
       const {
         specializations, approaches, languages, min_rating, max_rate,
-        location, availability_date, page = 1, limit = 20, sort_by, search
+        location, page = 1, limit = 20, sort_by, search
       } = req.query;
 
       const filters = {
@@ -334,6 +382,72 @@ class TherapistController {
     }
   }
 
+  // Search verified therapists by their soonest open slot (public endpoint)
+  static async searchFirstAvailable(req, res) {
+    try {
+      const {
+        specializations, approaches, languages, max_rate, session_type, duration,
+        appointment_type_id, start_date, end_date, timezone, slots_per_therapist, page, limit
+      } = req.query;
+
+      // Date filters are read in the viewer's timezone; date-only values are whole local days
+      const range = resolveDateRange(start_date || new Date(), end_date || new Date(), normalizeTimeZone(timezone));
+      const startDate = range.start;
+      const endDate = end_date ? range.end : new Date(startDate.getTime() + FIRST_AVAILABLE_DEFAULT_DAYS * DAY_MS);
+
+      if (endDate <= startDate) {
+        return res.status(400).json({
+          success: false,
+          message: 'end_date must be after start_date'
+        });
+      }
+      if (endDate - startDate > FIRST_AVAILABLE_MAX_DAYS * DAY_MS) {
+        return res.status(400).json({
+          success: false,
+          message: `The search window can't be longer than ${FIRST_AVAILABLE_MAX_DAYS} days`
+        });
+      }
+
+      const { therapists, total } = await Availability.findFirstAvailableTherapists({
+        specializations, approaches, languages, max_rate, session_type, duration,
+        appointment_type_id, slots_per_therapist,
+        start_date: startDate,
+        end_date: endDate,
+        limit,
+        offset: (page - 1) * limit
+      });
+
+      const therapistsWithAvatars = therapists.map(therapist => ({
+        ...therapist,
+        profile_picture_url: therapist.profile_picture_url || 
+          `https://ui-avatars.com/api/?name=${encodeURIComponent((therapist.first_name || '') + ' ' + (therapist.last_name || '')).trim() || 'Therapist'}&size=64&background=10B981&color=ffffff`
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          therapists: therapistsWithAvatars,
+          window: {
+            start_date: startDate.toISOString(),
+            end_date: endDate.toISOString()
+          },
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error searching available therapists:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search available therapists'
+      });
+    }
+  }
+
   // Update current therapist basic info
   static async updateCurrentTherapist(req, res) {
     try {
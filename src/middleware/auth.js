@@ -180,6 +180,9 @@ const requireClientAccess = (req, res, next) => {
 // Admin-only access
 const requireAdmin = requireRole(['admin']);
 
+// Other MindNest services, calling with a service token
+const requireService = requireRole(['service']);
+
 module.exports = {
   verifyToken,
   requireRole,
@@ -188,5 +191,6 @@ module.exports = {
   requireAuth,
   requireTherapistSelfAccess,
   requireClientAccess,
-  requireAdmin
+  requireAdmin,
+  requireService
 };
\ No newline at end of file
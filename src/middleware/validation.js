@@ -1,4 +1,29 @@
 const Joi = require('joi');
+const { isValidTimeZone, parseDateTimeInZone } = require('../utils/timezone');
+const { SESSION_STATUSES } = require('../utils/sessionLifecycle');
+
+// ISO 8601 datetime; the offset is optional so naive times can be read in the therapist's timezone
+const isoDateTimePattern = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// IANA timezone name (e.g. 'America/New_York')
+const timeZoneValidator = (value, helpers) => {
+  if (!isValidTimeZone(value)) {
+    return helpers.message('"timezone" must be a valid IANA timezone');
+  }
+  return value;
+};
+
+// A slot must end after it starts. Naive times are both read in the therapist's
+// timezone, so they compare as wall-clock times; a naive time against one with an
+// offset is left to the controller, which knows the therapist's timezone.
+const slotRangeValidator = (value, helpers) => {
+  const hasOffset = (time) => /(Z|[+-]\d{2}:?\d{2})$/i.test(time);
+  if (hasOffset(value.start_datetime) === hasOffset(value.end_datetime) &&
+      parseDateTimeInZone(value.end_datetime, 'UTC') <= parseDateTimeInZone(value.start_datetime, 'UTC')) {
+    return helpers.message('"end_datetime" must be after "start_datetime"');
+  }
+  return value;
+};
 
 // Validation middleware factory
 const validate = (schema) => {
@@ -22,6 +47,28 @@ const validate = (schema) => {
   };
 };
 
+// Same as validate, for the query string of GET routes
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errors = error.details.map(detail => detail.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
 // Therapist creation from auth service schema
 const createTherapistSchema = Joi.object({
   auth_user_id: Joi.number().integer().positive().required(),
@@ -44,26 +91,90 @@ const therapistProfileSchema = Joi.object({
   license_state: Joi.string().max(50).trim(),
   session_rate: Joi.number().precision(2).min(0).max(999999.99),
   currency: Joi.string().length(3).uppercase().default('USD'),
-  timezone: Joi.string().max(50)
+  timezone: Joi.string().max(50).custom(timeZoneValidator)
 });
 
+// Therapist settings schema
+const therapistSettingsSchema = Joi.object({
+  availability_horizon_weeks: Joi.number().integer().min(0).max(52),
+  calendar_feed_include_blocked: Joi.boolean(),
+  waitlist_offer_minutes: Joi.number().integer().min(5).max(1440),
+  slot_hold_minutes: Joi.number().integer().min(1).max(60),
+  booking_min_notice_minutes: Joi.number().integer().min(0).max(20160),
+  booking_max_advance_days: Joi.number().integer().min(1).max(730).allow(null),
+  max_sessions_per_day: Joi.number().integer().min(1).max(50).allow(null),
+  max_sessions_per_week: Joi.number().integer().min(1).max(200).allow(null),
+  max_new_clients_per_week: Joi.number().integer().min(1).max(100).allow(null),
+  cancellation_window_hours: Joi.number().integer().min(0).max(720),
+  late_cancel_fee_type: Joi.string().valid('fixed', 'percentage').allow(null),
+  late_cancel_fee_amount: Joi.number().precision(2).min(0).allow(null)
+    .when('late_cancel_fee_type', { is: 'percentage', then: Joi.number().max(100) }),
+  no_show_fee_type: Joi.string().valid('fixed', 'percentage').allow(null),
+  no_show_fee_amount: Joi.number().precision(2).min(0).allow(null)
+    .when('no_show_fee_type', { is: 'percentage', then: Joi.number().max(100) }),
+  attendance_grace_minutes: Joi.number().integer().min(0).max(1440),
+  attendance_confirmation_hours: Joi.number().integer().min(1).max(336),
+  unconfirmed_session_action: Joi.string().valid('complete', 'needs_attention'),
+  reminder_offsets_minutes: Joi.array().items(Joi.number().integer().min(5).max(10080)).unique().max(5)
+}).min(1);
+
 // Availability template schema
 const availabilityTemplateSchema = Joi.object({
   day_of_week: Joi.number().integer().min(0).max(6).required(),
   start_time: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
   end_time: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required(),
-  session_duration: Joi.number().integer().min(15).max(180).default(60),
+  session_duration: Joi.number().integer().min(15).max(180),
   break_between_sessions: Joi.number().integer().min(0).max(60).default(15),
-  is_active: Joi.boolean().default(true)
+  is_active: Joi.boolean().default(true),
+  appointment_type_id: Joi.number().integer().positive().allow(null),
+  capacity: Joi.number().integer().min(1).max(50)
 });
 
 // Availability slot schema
 const availabilitySlotSchema = Joi.object({
-  start_datetime: Joi.date().iso().required(),
-  end_datetime: Joi.date().iso().required(),
+  start_datetime: Joi.string().pattern(isoDateTimePattern).required(),
+  end_datetime: Joi.string().pattern(isoDateTimePattern).required(),
   status: Joi.string().valid('available', 'booked', 'blocked', 'cancelled').default('available'),
   session_type: Joi.string().valid('individual', 'group', 'couples', 'family').default('individual'),
-  notes: Joi.string().max(500)
+  notes: Joi.string().max(500),
+  appointment_type_id: Joi.number().integer().positive().allow(null),
+  capacity: Joi.number().integer().min(1).max(50)
+}).custom(slotRangeValidator);
+
+// Appointment type schema
+const appointmentTypeSchema = Joi.object({
+  name: Joi.string().min(1).max(100).trim().required(),
+  description: Joi.string().max(1000).allow(''),
+  duration_minutes: Joi.number().integer().min(15).max(480).required(),
+  price: Joi.number().precision(2).min(0).max(999999.99),
+  currency: Joi.string().length(3).uppercase().default('USD'),
+  modality: Joi.string().valid('video', 'in_person', 'phone').default('video'),
+  session_type: Joi.string().valid('individual', 'group', 'couples', 'family').default('individual'),
+  first_session_only: Joi.boolean().default(false),
+  is_active: Joi.boolean().default(true)
+});
+
+// Time off schema
+const timeOffSchema = Joi.object({
+  start_datetime: Joi.string().pattern(isoDateTimePattern).required(),
+  end_datetime: Joi.string().pattern(isoDateTimePattern).required(),
+  reason: Joi.string().max(500),
+  recurrence: Joi.string().valid('none', 'daily', 'weekly', 'yearly').default('none'),
+  recurrence_until: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+});
+
+// Calendar (.ics) import schema
+const calendarImportSchema = Joi.object({
+  source_name: Joi.string().trim().max(255).required(),
+  calendar: Joi.string().required(),
+  window_start: Joi.alternatives().try(
+    Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    Joi.string().pattern(isoDateTimePattern)
+  ),
+  window_end: Joi.alternatives().try(
+    Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    Joi.string().pattern(isoDateTimePattern)
+  )
 });
 
 // Therapist specializations schema
@@ -95,8 +206,57 @@ const clientRelationshipSchema = Joi.object({
 // Session booking schema
 const sessionBookingSchema = Joi.object({
   user_id: Joi.number().integer().positive().required(),
+  therapist_id: Joi.number().integer().positive(),
   availability_slot_id: Joi.number().integer().positive().required(),
   session_type: Joi.string().valid('individual', 'group', 'couples', 'family').default('individual'),
+  notes: Joi.string().max(500),
+  appointment_type_id: Joi.number().integer().positive()
+});
+
+// Session update schema
+const sessionUpdateSchema = Joi.object({
+  notes: Joi.string().max(2000).allow(''),
+  status: Joi.string().valid(...SESSION_STATUSES),
+  reason: Joi.string().max(500)
+});
+
+// Session cancellation schema
+const sessionCancellationSchema = Joi.object({
+  reason: Joi.string().max(500),
+  accept_fee: Joi.boolean().default(false)
+});
+
+// Session reschedule schema
+const sessionRescheduleSchema = Joi.object({
+  availability_slot_id: Joi.number().integer().positive().required(),
+  reason: Joi.string().max(500)
+});
+
+// Recurring booking series schema: a number of occurrences or an end date
+const bookingSeriesSchema = Joi.object({
+  availability_slot_id: Joi.number().integer().positive().required(),
+  therapist_id: Joi.number().integer().positive(),
+  frequency: Joi.string().valid('weekly', 'biweekly').default('weekly'),
+  occurrences: Joi.number().integer().min(2).max(52),
+  until_date: Joi.date().iso(),
+  appointment_type_id: Joi.number().integer().positive(),
+  notes: Joi.string().max(500)
+}).xor('occurrences', 'until_date');
+
+// Slot booking schema
+const slotBookingSchema = Joi.object({
+  session_type: Joi.string().valid('individual', 'group', 'couples', 'family'),
+  notes: Joi.string().max(500),
+  appointment_type_id: Joi.number().integer().positive()
+});
+
+// Waitlist schema; preferred hours are wall-clock times in the therapist's timezone
+const waitlistSchema = Joi.object({
+  therapist_id: Joi.number().integer().positive().required(),
+  appointment_type_id: Joi.number().integer().positive(),
+  preferred_days: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().max(7),
+  preferred_start_time: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
+  preferred_end_time: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/),
   notes: Joi.string().max(500)
 });
 
@@ -115,7 +275,66 @@ const searchTherapistsSchema = Joi.object({
   min_rating: Joi.number().min(1).max(5),
   max_rate: Joi.number().min(0),
   location: Joi.string(),
-  availability_date: Joi.date().iso(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+// Public slot search. Date-only values are whole days in the viewer's timezone.
+// Pages follow next_cursor, or page numbers without a cursor.
+const slotSearchSchema = Joi.object({
+  therapist_id: Joi.number().integer().positive(),
+  start_date: Joi.alternatives().try(
+    Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    Joi.string().pattern(isoDateTimePattern)
+  ),
+  end_date: Joi.alternatives().try(
+    Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    Joi.string().pattern(isoDateTimePattern)
+  ),
+  timezone: Joi.string().max(50).custom(timeZoneValidator).default('UTC'),
+  session_type: Joi.string().valid('individual', 'group', 'couples', 'family'),
+  duration: Joi.number().integer().min(15).max(180),
+  appointment_type_id: Joi.number().integer().positive(),
+  cursor: Joi.string().max(200),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Free/busy lookup by other services. Date-only values are whole days in the timezone.
+const freeBusyQuerySchema = Joi.object({
+  therapist_ids: Joi.array().items(Joi.number().integer().positive()).single().unique().min(1).max(50).required(),
+  start_date: Joi.alternatives().try(
+    Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    Joi.string().pattern(isoDateTimePattern)
+  ).required(),
+  end_date: Joi.alternatives().try(
+    Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    Joi.string().pattern(isoDateTimePattern)
+  ).required(),
+  timezone: Joi.string().max(50).custom(timeZoneValidator).default('UTC')
+});
+
+// First-available search: therapist filters plus the window to look for open slots in.
+// Repeated list parameters and single values both parse as arrays. Date-only values
+// are whole days in the viewer's timezone.
+const firstAvailableSearchSchema = Joi.object({
+  specializations: Joi.array().items(Joi.string()).single(),
+  approaches: Joi.array().items(Joi.string()).single(),
+  languages: Joi.array().items(Joi.string()).single(),
+  max_rate: Joi.number().min(0),
+  session_type: Joi.string().valid('individual', 'group', 'couples', 'family'),
+  duration: Joi.number().integer().min(15).max(180),
+  appointment_type_id: Joi.number().integer().positive(),
+  start_date: Joi.alternatives().try(
+    Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    Joi.string().pattern(isoDateTimePattern)
+  ),
+  end_date: Joi.alternatives().try(
+    Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+    Joi.string().pattern(isoDateTimePattern)
+  ),
+  timezone: Joi.string().max(50).custom(timeZoneValidator).default('UTC'),
+  slots_per_therapist: Joi.number().integer().min(1).max(10).default(3),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(50).default(20)
 });
@@ -139,21 +358,36 @@ const bulkAvailabilitySchema = Joi.object({
   template_id: Joi.number().integer().positive().required(),
   start_date: Joi.date().iso().required(),
   end_date: Joi.date().iso().required(),
-  exclude_dates: Joi.array().items(Joi.date().iso()).default([])
+  exclude_dates: Joi.array().items(Joi.date().iso()).default([]),
+  dry_run: Joi.boolean().default(false)
 });
 
 module.exports = {
   validate,
+  validateQuery,
   createTherapistSchema,
   therapistProfileSchema,
+  therapistSettingsSchema,
   availabilityTemplateSchema,
   availabilitySlotSchema,
+  appointmentTypeSchema,
+  timeOffSchema,
+  calendarImportSchema,
   therapistSpecializationsSchema,
   therapistApproachesSchema,
   clientRelationshipSchema,
   sessionBookingSchema,
+  sessionUpdateSchema,
+  sessionCancellationSchema,
+  sessionRescheduleSchema,
+  bookingSeriesSchema,
+  slotBookingSchema,
+  waitlistSchema,
   reviewSchema,
   searchTherapistsSchema,
+  firstAvailableSearchSchema,
+  slotSearchSchema,
+  freeBusyQuerySchema,
   availabilityQuerySchema,
   updateVerificationSchema,
   bulkAvailabilitySchema
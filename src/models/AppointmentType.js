@@ -0,0 +1,160 @@
+const { query } = require('../config/database');
+const { ConflictError, NotFoundError } = require('../utils/errors');
+const { CANCELLED_STATUSES_SQL } = require('../utils/sessionLifecycle');
+
+class AppointmentType {
+  // Create an appointment type
+  static async create(therapistId, typeData) {
+    try {
+      const {
+        name, description, duration_minutes, price, currency = 'USD', modality = 'video',
+        session_type = 'individual', first_session_only = false, is_active = true
+      } = typeData;
+
+      const result = await query(
+        `INSERT INTO appointment_types (
+          therapist_id, name, description, duration_minutes, price, currency,
+          modality, session_type, first_session_only, is_active
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+        [
+          therapistId, name, description, duration_minutes, price, currency,
+          modality, session_type, first_session_only, is_active
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating appointment type:', error);
+      throw error;
+    }
+  }
+
+  // Get a therapist's appointment types
+  static async getByTherapist(therapistId, includeInactive = false) {
+    try {
+      const result = await query(
+        `SELECT * FROM appointment_types
+         WHERE therapist_id = $1 AND ($2 OR is_active = true)
+         ORDER BY duration_minutes, name`,
+        [therapistId, includeInactive]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting appointment types:', error);
+      throw error;
+    }
+  }
+
+  // Get an appointment type by ID, optionally scoped to a therapist
+  static async findById(typeId, therapistId = null, { db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `SELECT * FROM appointment_types
+         WHERE id = $1 AND ($2::integer IS NULL OR therapist_id = $2)`,
+        [typeId, therapistId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding appointment type:', error);
+      throw error;
+    }
+  }
+
+  // Update an appointment type
+  static async update(typeId, therapistId, typeData) {
+    try {
+      const fields = [];
+      const values = [];
+      let paramCount = 1;
+
+      Object.entries(typeData).forEach(([key, value]) => {
+        if (value !== undefined) {
+          fields.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      if (fields.length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      values.push(typeId, therapistId);
+      const result = await query(
+        `UPDATE appointment_types SET ${fields.join(', ')}
+         WHERE id = $${paramCount++} AND therapist_id = $${paramCount}
+         RETURNING *`,
+        values
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error updating appointment type:', error);
+      throw error;
+    }
+  }
+
+  // Deactivate an appointment type (kept for existing bookings and templates)
+  static async delete(typeId, therapistId) {
+    try {
+      const result = await query(
+        `UPDATE appointment_types SET is_active = false
+         WHERE id = $1 AND therapist_id = $2 RETURNING *`,
+        [typeId, therapistId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error deleting appointment type:', error);
+      throw error;
+    }
+  }
+
+  // Work out the appointment type a booking of a slot uses and the booking fields
+  // it implies. Without an explicit type the slot's own type (if any) applies. A
+  // booking being moved to the slot doesn't count as an earlier session.
+  static async resolveForBooking(slot, appointmentTypeId, userId, { excludeBookingId = null, db = { query } } = {}) {
+    const typeId = appointmentTypeId || slot.appointment_type_id;
+    if (!typeId) {
+      return null;
+    }
+
+    const type = await this.findById(typeId, slot.therapist_id, { db });
+    if (!type || !type.is_active) {
+      throw new NotFoundError('Appointment type not found', 'APPOINTMENT_TYPE_NOT_FOUND');
+    }
+
+    if (slot.appointment_type_id && slot.appointment_type_id !== type.id) {
+      throw new ConflictError('This slot is reserved for a different appointment type', 'APPOINTMENT_TYPE_MISMATCH', {
+        slot_appointment_type_id: slot.appointment_type_id
+      });
+    }
+
+    const slotMinutes = (new Date(slot.end_datetime) - new Date(slot.start_datetime)) / 60000;
+    if (slotMinutes < type.duration_minutes) {
+      throw new ConflictError('This slot is too short for the appointment type', 'SLOT_TOO_SHORT', {
+        slot_minutes: slotMinutes,
+        duration_minutes: type.duration_minutes
+      });
+    }
+
+    if (type.first_session_only) {
+      const previous = await db.query(
+        `SELECT 1 FROM session_bookings
+         WHERE therapist_id = $1 AND user_id = $2 AND status NOT IN ${CANCELLED_STATUSES_SQL} AND id IS DISTINCT FROM $3::integer
+         LIMIT 1`,
+        [slot.therapist_id, userId, excludeBookingId]
+      );
+      if (previous.rows.length > 0) {
+        throw new ConflictError('This appointment type is only available for a first session', 'FIRST_SESSION_ONLY');
+      }
+    }
+
+    return {
+      appointment_type_id: type.id,
+      session_type: type.session_type,
+      session_rate: type.price,
+      currency: type.currency
+    };
+  }
+}
+
+module.exports = AppointmentType;
@@ -1,4 +1,112 @@
-const { query } = require('../config/database');
+const { query, withTransaction } = require('../config/database');
+const TimeOff = require('./TimeOff');
+const CalendarImport = require('./CalendarImport');
+const AppointmentType = require('./AppointmentType');
+const BookingPolicy = require('./BookingPolicy');
+const SessionBooking = require('./SessionBooking');
+const Therapist = require('./Therapist');
+const { AppError, ConflictError, NotFoundError, PG_ERRORS } = require('../utils/errors');
+const { CANCELLED_STATUSES_SQL, OPEN_STATUSES_SQL } = require('../utils/sessionLifecycle');
+const {
+  normalizeTimeZone, zonedTimeToUtc, timeToMinutes, minutesToTime, formatInTimeZone,
+  toDateString, addDays, getDayOfWeek, getZonedDateString, withSlotTimes
+} = require('../utils/timezone');
+
+// Seats on a slot (aliased ast) taken by bookings that haven't been cancelled
+const BOOKED_SEATS_SQL = `(SELECT COUNT(*)::integer FROM session_bookings sb
+  WHERE sb.availability_slot_id = ast.id AND sb.status NOT IN ${CANCELLED_STATUSES_SQL})`;
+
+// Seats on a slot held for waitlisted clients by pending offers and for clients
+// checking out by unexpired holds. The optional parameter placeholders leave out the
+// offer being claimed and the booking client's own holds.
+const heldSeatsSql = (offerParam = null, userParam = null) => `((SELECT COUNT(*)::integer
+  FROM availability_waitlist_offers wo
+  WHERE wo.slot_id = ast.id AND wo.status = 'pending'${offerParam ? ` AND wo.id IS DISTINCT FROM ${offerParam}::integer` : ''})
+  + (SELECT COUNT(*)::integer FROM availability_slot_holds sh
+  WHERE sh.slot_id = ast.id AND sh.status = 'active' AND sh.expires_at > NOW()${userParam ? ` AND sh.user_id <> ${userParam}` : ''}))`;
+
+const HELD_SEATS_SQL = heldSeatsSql();
+
+// Conditions picking out the open slots (aliased ast, with apt, tp and ts joined)
+// a client could book, narrowed by the slot search filters. Appends their values.
+const availableSlotConditions = (filters, values) => {
+  // Slots of a deactivated appointment type can no longer be booked
+  let conditions = `ast.status = 'available' AND ast.start_datetime > NOW()
+    AND (apt.id IS NULL OR apt.is_active = true)`;
+
+  if (filters.therapist_id) {
+    values.push(filters.therapist_id);
+    conditions += ` AND ast.therapist_id = $${values.length}`;
+  }
+
+  if (filters.start_date) {
+    values.push(filters.start_date);
+    conditions += ` AND ast.start_datetime >= $${values.length}`;
+  }
+
+  if (filters.end_date) {
+    values.push(filters.end_date);
+    conditions += ` AND ast.end_datetime <= $${values.length}`;
+  }
+
+  if (filters.session_type) {
+    values.push(filters.session_type);
+    conditions += ` AND ast.session_type = $${values.length}`;
+  }
+
+  if (filters.duration) {
+    values.push(filters.duration);
+    conditions += ` AND EXTRACT(EPOCH FROM (ast.end_datetime - ast.start_datetime))/60 >= $${values.length}`;
+  }
+
+  // Slots offered for the type, or untyped slots of its therapist long enough for it
+  if (filters.appointment_type_id) {
+    values.push(filters.appointment_type_id);
+    conditions += ` AND EXISTS (
+      SELECT 1 FROM appointment_types req
+      WHERE req.id = $${values.length} AND req.is_active = true
+        AND (ast.appointment_type_id = req.id OR (
+          ast.appointment_type_id IS NULL AND ast.therapist_id = req.therapist_id
+          AND EXTRACT(EPOCH FROM (ast.end_datetime - ast.start_datetime))/60 >= req.duration_minutes
+        ))
+    )`;
+  }
+
+  // Leave out slots the therapist's booking policies would refuse
+  return conditions + BookingPolicy.searchConditions(BOOKED_SEATS_SQL);
+};
+
+// Slot search cursors carry the start time and id of the last slot on a page
+const encodeSlotCursor = (slot) => Buffer.from(JSON.stringify({
+  start_datetime: new Date(slot.start_datetime).toISOString(),
+  id: slot.id
+})).toString('base64url');
+
+const decodeSlotCursor = (cursor) => {
+  let after = null;
+  try {
+    after = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    after = null;
+  }
+
+  if (!after || !Number.isInteger(after.id) || Number.isNaN(new Date(after.start_datetime).getTime())) {
+    throw new AppError('Invalid search cursor', 400, 'INVALID_CURSOR');
+  }
+  return after;
+};
+
+// Turn the database's booking constraint violations into the errors the booking
+// checks would have raised
+const toBookingError = (error) => {
+  if (error.code === PG_ERRORS.UNIQUE_VIOLATION && error.constraint === 'idx_session_bookings_active_slot_user') {
+    return new ConflictError('You already have a booking for this slot', 'ALREADY_BOOKED');
+  }
+  if (error.code === PG_ERRORS.CHECK_VIOLATION && error.constraint === 'session_bookings_slot_capacity') {
+    return new ConflictError('This slot is full', 'SLOT_FULL');
+  }
+  return error;
+};
 
 class Availability {
   // Create availability template (recurring schedule)
@@ -6,15 +114,18 @@ class Availability {
     try {
       const {
         day_of_week, start_time, end_time, session_duration = 60,
-        break_between_sessions = 15, is_active = true
+        break_between_sessions = 15, is_active = true, appointment_type_id = null, capacity = 1
       } = templateData;
 
       const result = await query(
         `INSERT INTO availability_templates (
           therapist_id, day_of_week, start_time, end_time,
-          session_duration, break_between_sessions, is_active
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
-        [therapistId, day_of_week, start_time, end_time, session_duration, break_between_sessions, is_active]
+          session_duration, break_between_sessions, is_active, appointment_type_id, capacity
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [
+          therapistId, day_of_week, start_time, end_time,
+          session_duration, break_between_sessions, is_active, appointment_type_id, capacity
+        ]
       );
 
       return result.rows[0];
@@ -88,57 +199,300 @@ class Availability {
     }
   }
 
-  // Create specific availability slot
+  // Apply a template change to the future slots generated from it. Unbooked slots
+  // from tomorrow (therapist-local) on are removed; with 'regenerate' the dates that
+  // had been generated are rebuilt from the template's current hours. With 'remove'
+  // those dates stay marked as generated, so the rolling horizon job doesn't bring
+  // the slots back. Booked slots are never touched; those that no longer fit the
+  // template are reported.
+  static async propagateTemplateChange(template, mode, timeZone) {
+    try {
+      const zone = normalizeTimeZone(timeZone);
+      const fromDate = addDays(getZonedDateString(new Date(), zone), 1);
+      const fromInstant = zonedTimeToUtc(fromDate, '00:00', zone);
+
+      // Slots with booking history are cancelled rather than deleted, since
+      // their (cancelled) bookings still reference them
+      const removed = await query(
+        `DELETE FROM availability_slots ast
+         WHERE ast.template_id = $1 AND ast.therapist_id = $2
+           AND ast.status IN ('available', 'blocked') AND ast.start_datetime >= $3
+           AND NOT EXISTS (SELECT 1 FROM session_bookings sb WHERE sb.availability_slot_id = ast.id)
+         RETURNING ast.id`,
+        [template.id, template.therapist_id, fromInstant]
+      );
+      const cancelled = await query(
+        `UPDATE availability_slots ast
+         SET status = 'cancelled', notes = 'Removed after availability template change'
+         WHERE ast.template_id = $1 AND ast.therapist_id = $2
+           AND ast.status IN ('available', 'blocked') AND ast.start_datetime >= $3
+           AND ${BOOKED_SEATS_SQL} = 0
+         RETURNING ast.id`,
+        [template.id, template.therapist_id, fromInstant]
+      );
+
+      let generated = { slots: [], conflicts: [], time_off_skipped: [] };
+      if (mode === 'regenerate') {
+        // Forget the generated dates so they can be rebuilt
+        const ledger = await query(
+          `DELETE FROM availability_generated_dates
+           WHERE template_id = $1 AND generated_date >= $2
+           RETURNING TO_CHAR(generated_date, 'YYYY-MM-DD') as generated_date`,
+          [template.id, fromDate]
+        );
+        const lastGeneratedDate = ledger.rows.map(row => row.generated_date).sort().pop() || null;
+
+        if (template.is_active && lastGeneratedDate) {
+          // Regenerate through the end of the week that was generated, so a
+          // day_of_week change still covers the same horizon
+          generated = await this.generateSlotsFromTemplate(
+            template.id, fromDate, addDays(lastGeneratedDate, 6), [], template.therapist_id
+          );
+        }
+      }
+
+      const misfitBookings = await this.findTemplateMisfitBookings(
+        template.id, template.therapist_id, fromInstant, zone
+      );
+
+      return {
+        mode,
+        from_date: fromDate,
+        removed_slots: removed.rowCount + cancelled.rowCount,
+        slots_created: generated.slots.length,
+        slots: generated.slots,
+        conflicts: generated.conflicts,
+        time_off_skipped: generated.time_off_skipped,
+        misfit_bookings: misfitBookings
+      };
+    } catch (error) {
+      console.error('Error propagating template change:', error);
+      throw error;
+    }
+  }
+
+  // Future booked sessions on slots from a template that fall outside its current
+  // day and hours (all of them once the template is deactivated)
+  static async findTemplateMisfitBookings(templateId, therapistId, fromInstant, timeZone) {
+    try {
+      const result = await query(
+        `SELECT sb.id as booking_id, sb.user_id, sb.status as booking_status,
+                ast.id as slot_id, ast.start_datetime, ast.end_datetime,
+                at.day_of_week, at.start_time, at.end_time, at.is_active
+         FROM session_bookings sb
+         JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+         JOIN availability_templates at ON ast.template_id = at.id
+         WHERE at.id = $1 AND ast.therapist_id = $2
+           AND sb.status IN ${OPEN_STATUSES_SQL} AND ast.start_datetime >= $3
+         ORDER BY ast.start_datetime`,
+        [templateId, therapistId, fromInstant]
+      );
+
+      return result.rows
+        .filter(row => {
+          if (!row.is_active) {
+            return true;
+          }
+          const startLocal = formatInTimeZone(row.start_datetime, timeZone);
+          const endLocal = formatInTimeZone(row.end_datetime, timeZone);
+          const startMinutes = timeToMinutes(startLocal.slice(11, 16));
+          const endMinutes = endLocal.slice(0, 10) === startLocal.slice(0, 10)
+            ? timeToMinutes(endLocal.slice(11, 16))
+            : 24 * 60;
+
+          return getDayOfWeek(startLocal.slice(0, 10)) !== row.day_of_week ||
+            startMinutes < timeToMinutes(row.start_time) ||
+            endMinutes > timeToMinutes(row.end_time);
+        })
+        .map(({ day_of_week, start_time, end_time, is_active, ...booking }) => withSlotTimes(booking, timeZone));
+    } catch (error) {
+      console.error('Error finding bookings outside template hours:', error);
+      throw error;
+    }
+  }
+
+  // Create specific availability slot.
+  // Overlaps are rejected by the availability_slots_no_overlap constraint.
   static async createSlot(therapistId, slotData) {
     try {
       const {
         start_datetime, end_datetime, status = 'available',
-        session_type = 'individual', notes
+        session_type = 'individual', notes, appointment_type_id, capacity = 1
       } = slotData;
 
       const result = await query(
         `INSERT INTO availability_slots (
-          therapist_id, start_datetime, end_datetime, status, session_type, notes
-        ) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-        [therapistId, start_datetime, end_datetime, status, session_type, notes]
+          therapist_id, start_datetime, end_datetime, status, session_type, notes, appointment_type_id, capacity
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [
+          therapistId, start_datetime, end_datetime, status, session_type, notes,
+          appointment_type_id || null, capacity
+        ]
       );
 
       return result.rows[0];
     } catch (error) {
+      if (error.code === PG_ERRORS.EXCLUSION_VIOLATION) {
+        throw await this.buildOverlapError(therapistId, slotData.start_datetime, slotData.end_datetime);
+      }
       console.error('Error creating availability slot:', error);
       throw error;
     }
   }
 
-  // Get availability slots for therapist within date range
-  static async getSlots(therapistId, startDate, endDate, status = null) {
+  // Create a slot unless it overlaps an existing one (returns null on overlap)
+  static async createSlotIfFree(therapistId, slotData) {
     try {
-      let whereClause = `WHERE therapist_id = $1 AND start_datetime >= $2 AND end_datetime <= $3`;
+      const {
+        start_datetime, end_datetime, status = 'available',
+        session_type = 'individual', notes, blocked_by_external_busy_id, block_reason, template_id,
+        appointment_type_id, capacity = 1
+      } = slotData;
+
+      const result = await query(
+        `INSERT INTO availability_slots (
+          therapist_id, start_datetime, end_datetime, status, session_type, notes,
+          blocked_by_external_busy_id, block_reason, template_id, appointment_type_id, capacity
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT DO NOTHING
+        RETURNING *`,
+        [
+          therapistId, start_datetime, end_datetime, status, session_type, notes,
+          blocked_by_external_busy_id || null, block_reason || null, template_id || null, appointment_type_id || null, capacity
+        ]
+      );
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error creating availability slot:', error);
+      throw error;
+    }
+  }
+
+  // Find a therapist's non-cancelled slots overlapping a time range
+  static async findOverlappingSlots(therapistId, startDatetime, endDatetime, excludeSlotId = null) {
+    try {
+      const result = await query(
+        `SELECT id, start_datetime, end_datetime, status, session_type
+         FROM availability_slots
+         WHERE therapist_id = $1 AND status <> 'cancelled'
+           AND tstzrange(start_datetime, end_datetime) && tstzrange($2, $3)
+           AND ($4::integer IS NULL OR id <> $4)
+         ORDER BY start_datetime`,
+        [therapistId, startDatetime, endDatetime, excludeSlotId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding overlapping slots:', error);
+      throw error;
+    }
+  }
+
+  // Build a 409 error listing the slots a time range conflicts with
+  static async buildOverlapError(therapistId, startDatetime, endDatetime, excludeSlotId = null) {
+    const conflicts = await this.findOverlappingSlots(therapistId, startDatetime, endDatetime, excludeSlotId);
+    return new ConflictError('Availability slot overlaps existing slots', 'SLOT_OVERLAP', { conflicts });
+  }
+
+  // Get a therapist's timezone from their profile (UTC when not set)
+  static async getTherapistTimezone(therapistId) {
+    try {
+      const result = await query(
+        `SELECT timezone FROM therapist_profiles WHERE therapist_id = $1`,
+        [therapistId]
+      );
+      return normalizeTimeZone(result.rows[0] && result.rows[0].timezone);
+    } catch (error) {
+      console.error('Error getting therapist timezone:', error);
+      throw error;
+    }
+  }
+
+  // Get availability slots for therapist within date range. Expired slots are only
+  // included when asked for, by status or includeArchived.
+  static async getSlots(therapistId, startDate, endDate, status = null, { includeArchived = false } = {}) {
+    try {
+      let whereClause = `WHERE ast.therapist_id = $1 AND ast.start_datetime >= $2 AND ast.end_datetime <= $3`;
       const values = [therapistId, startDate, endDate];
       let paramCount = 4;
 
       if (status) {
-        whereClause += ` AND status = $${paramCount++}`;
+        whereClause += ` AND ast.status = $${paramCount++}`;
         values.push(status);
+      } else if (!includeArchived) {
+        whereClause += ` AND ast.status <> 'expired'`;
       }
 
       const result = await query(
-        `SELECT * FROM availability_slots 
+        `SELECT ast.*, tp.timezone, ${BOOKED_SEATS_SQL} as booked_seats
+         FROM availability_slots ast
+         LEFT JOIN therapist_profiles tp ON ast.therapist_id = tp.therapist_id
          ${whereClause}
-         ORDER BY start_datetime`,
+         ORDER BY ast.start_datetime`,
         values
       );
 
-      return result.rows;
+      return result.rows.map(slot => withSlotTimes(slot));
     } catch (error) {
       console.error('Error getting availability slots:', error);
       throw error;
     }
   }
 
-  // Update availability slot
+  // Get a therapist's slot by ID; with lock the slot row stays locked until the
+  // caller's transaction ends
+  static async findSlotById(slotId, therapistId, { lock = false, db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `SELECT * FROM availability_slots WHERE id = $1 AND therapist_id = $2
+         ${lock ? 'FOR UPDATE' : ''}`,
+        [slotId, therapistId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding availability slot:', error);
+      throw error;
+    }
+  }
+
+  // Get a therapist's booked sessions (including cancelled ones) with their slot times
+  static async getSessionsInRange(therapistId, startDate, endDate) {
+    try {
+      const result = await query(
+        `SELECT sb.id, sb.user_id, sb.session_type, sb.status, sb.ical_sequence,
+                sb.created_at, sb.updated_at, sb.availability_slot_id,
+                ast.start_datetime, ast.end_datetime, ast.updated_at as slot_updated_at
+         FROM session_bookings sb
+         JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+         WHERE sb.therapist_id = $1 AND ast.start_datetime < $3 AND ast.end_datetime > $2
+         ORDER BY ast.start_datetime`,
+        [therapistId, startDate, endDate]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting sessions in range:', error);
+      throw error;
+    }
+  }
+
+  // Update availability slot. Capacity can't drop below the seats already booked,
+  // and the slot is marked full or reopened to match its new capacity.
   static async updateSlot(slotId, therapistId, slotData) {
     try {
+      if (slotData.capacity !== undefined) {
+        const seats = await query(
+          `SELECT ${BOOKED_SEATS_SQL} as booked_seats
+           FROM availability_slots ast WHERE ast.id = $1 AND ast.therapist_id = $2`,
+          [slotId, therapistId]
+        );
+        const bookedSeats = seats.rows[0] ? seats.rows[0].booked_seats : 0;
+        if (slotData.capacity < bookedSeats) {
+          throw new ConflictError('Capacity cannot be lower than the seats already booked', 'CAPACITY_BELOW_BOOKINGS', {
+            booked_seats: bookedSeats
+          });
+        }
+      }
+
       const fields = [];
       const values = [];
       let paramCount = 1;
@@ -162,261 +516,1123 @@ class Availability {
         values
       );
 
+      if (result.rows[0] && slotData.capacity !== undefined) {
+        return (await this.syncSlotFullness(slotId)) || result.rows[0];
+      }
+
       return result.rows[0];
     } catch (error) {
+      if (error.code === PG_ERRORS.EXCLUSION_VIOLATION) {
+        throw await this.buildOverlapError(therapistId, slotData.start_datetime, slotData.end_datetime, slotId);
+      }
       console.error('Error updating availability slot:', error);
       throw error;
     }
   }
 
-  // Delete availability slot
+  // Delete availability slot. A slot whose bookings were all cancelled keeps them
+  // as history, so it is cancelled instead.
   static async deleteSlot(slotId, therapistId) {
     try {
       const result = await query(
-        `DELETE FROM availability_slots 
-         WHERE id = $1 AND therapist_id = $2 AND status = 'available' 
+        `DELETE FROM availability_slots ast
+         WHERE ast.id = $1 AND ast.therapist_id = $2 AND ast.status = 'available'
+           AND NOT EXISTS (SELECT 1 FROM session_bookings sb WHERE sb.availability_slot_id = ast.id)
          RETURNING *`,
         [slotId, therapistId]
       );
-      return result.rows[0];
+      if (result.rows[0]) {
+        return result.rows[0];
+      }
+
+      const cancelled = await query(
+        `UPDATE availability_slots ast SET status = 'cancelled'
+         WHERE ast.id = $1 AND ast.therapist_id = $2 AND ast.status = 'available'
+           AND ${BOOKED_SEATS_SQL} = 0
+         RETURNING *`,
+        [slotId, therapistId]
+      );
+      return cancelled.rows[0];
     } catch (error) {
       console.error('Error deleting availability slot:', error);
       throw error;
     }
   }
 
-  // Generate slots from template for date range
-  static async generateSlotsFromTemplate(templateId, startDate, endDate, excludeDates = []) {
+  // Get an active template along with the therapist's timezone and the session
+  // type of its appointment type
+  static async getTemplateById(templateId, therapistId = null) {
     try {
-      // Get template details
-      const templateResult = await query(
-        `SELECT * FROM availability_templates WHERE id = $1 AND is_active = true`,
-        [templateId]
+      const result = await query(
+        `SELECT at.*, tp.timezone, apt.session_type as appointment_session_type
+         FROM availability_templates at
+         LEFT JOIN therapist_profiles tp ON at.therapist_id = tp.therapist_id
+         LEFT JOIN appointment_types apt ON at.appointment_type_id = apt.id
+         WHERE at.id = $1 AND at.is_active = true AND ($2::integer IS NULL OR at.therapist_id = $2)`,
+        [templateId, therapistId]
       );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error getting availability template:', error);
+      throw error;
+    }
+  }
+
+  // Time off and imported busy times affecting generated slots in a range
+  static async getGenerationBlockers(therapistId, rangeStart, rangeEnd, timeZone) {
+    const timeOff = await TimeOff.getOccurrences(therapistId, rangeStart, rangeEnd, timeZone);
+    const externalBusy = await CalendarImport.getBusyIntervals(therapistId, rangeStart, rangeEnd);
+    return { timeOff, externalBusy };
+  }
+
+  // Decide what happens to a generated slot: slots inside time off are skipped, and
+  // slots overlapping imported busy time are created blocked so they reopen if the
+  // external event is later removed
+  static classifyGeneratedSlot(slotData, blockers) {
+    const start = new Date(slotData.start_datetime);
+    const end = new Date(slotData.end_datetime);
+
+    const timeOff = blockers.timeOff.find(occurrence => occurrence.start < end && occurrence.end > start);
+    if (timeOff) {
+      return { skip: true, time_off_id: timeOff.time_off_id };
+    }
+
+    const busy = blockers.externalBusy.find(interval => interval.start_datetime < end && interval.end_datetime > start);
+    return {
+      skip: false,
+      status: busy ? 'blocked' : 'available',
+      block_reason: busy ? CalendarImport.buildBlockReason(busy) : null,
+      blocked_by_external_busy_id: busy ? busy.id : null
+    };
+  }
 
-      if (templateResult.rows.length === 0) {
-        throw new Error('Template not found');
+  // Work out which slots generating a template over a date range would create,
+  // without writing anything. The plan lists the slots to create, every skipped
+  // date or slot with its reason, and per-day counts.
+  static async planSlotsFromTemplate(templateId, startDate, endDate, excludeDates = [], therapistId = null) {
+    try {
+      const template = await this.getTemplateById(templateId, therapistId);
+
+      if (!template) {
+        throw new NotFoundError('Template not found', 'TEMPLATE_NOT_FOUND');
       }
 
-      const template = templateResult.rows[0];
-      const slots = [];
+      const timeZone = normalizeTimeZone(template.timezone);
+      const excluded = excludeDates.map(toDateString);
+
+      // Walk the range as calendar dates in the therapist's timezone
+      const firstDate = toDateString(startDate);
+      const lastDate = toDateString(endDate);
+
+      // Dates this template has already been expanded for are skipped
+      const generatedDates = await this.getGeneratedDates(templateId, firstDate, lastDate);
+      const blockers = await this.getGenerationBlockers(
+        template.therapist_id,
+        zonedTimeToUtc(firstDate, '00:00', timeZone),
+        zonedTimeToUtc(addDays(lastDate, 1), '00:00', timeZone),
+        timeZone
+      );
+
+      const plan = {
+        template_id: template.id,
+        therapist_id: template.therapist_id,
+        template_updated_at: template.updated_at,
+        appointment_type_id: template.appointment_type_id,
+        session_type: template.appointment_session_type || 'individual',
+        capacity: template.capacity || 1,
+        timezone: timeZone,
+        start_date: firstDate,
+        end_date: lastDate,
+        dates: [],
+        slots: [],
+        skipped: [],
+        days: []
+      };
+
+      for (let currentDate = firstDate; currentDate <= lastDate; currentDate = addDays(currentDate, 1)) {
+        // Only dates matching the template's day_of_week (0 = Sunday, 6 = Saturday)
+        if (getDayOfWeek(currentDate) !== template.day_of_week) {
+          continue;
+        }
+
+        const day = {
+          date: currentDate,
+          status: 'planned',
+          slots_to_create: 0,
+          slots_blocked: 0,
+          skipped_overlap: 0,
+          skipped_time_off: 0
+        };
+        plan.days.push(day);
+
+        if (excluded.includes(currentDate) || generatedDates.includes(currentDate)) {
+          day.status = excluded.includes(currentDate) ? 'excluded' : 'already_generated';
+          plan.skipped.push({ date: currentDate, reason: day.status });
+          continue;
+        }
 
-      // Generate slots for each matching day in the date range
-      const currentDate = new Date(startDate);
-      const endDateTime = new Date(endDate);
-
-      while (currentDate <= endDateTime) {
-        // Check if current date matches template day_of_week (0 = Sunday, 6 = Saturday)
-        if (currentDate.getDay() === template.day_of_week) {
-          const dateStr = currentDate.toISOString().split('T')[0];
-          
-          // Skip if date is in exclude list
-          if (!excludeDates.includes(dateStr)) {
-            // Generate time slots for this day
-            const daySlots = this.generateTimeSlotsForDay(
-              dateStr,
-              template.start_time,
-              template.end_time,
-              template.session_duration,
-              template.break_between_sessions
-            );
-
-            // Create slots in database
-            for (const slotData of daySlots) {
-              const slot = await this.createSlot(template.therapist_id, {
-                start_datetime: slotData.start_datetime,
-                end_datetime: slotData.end_datetime,
-                status: 'available',
-                session_type: 'individual'
-              });
-              slots.push(slot);
-            }
+        const daySlots = this.generateTimeSlotsForDay(
+          currentDate,
+          template.start_time,
+          template.end_time,
+          template.session_duration,
+          template.break_between_sessions,
+          timeZone
+        );
+
+        for (const slotData of daySlots) {
+          const outcome = this.classifyGeneratedSlot(slotData, blockers);
+
+          if (outcome.skip) {
+            plan.skipped.push({
+              date: currentDate,
+              reason: 'time_off',
+              ...withSlotTimes(slotData, timeZone),
+              time_off_id: outcome.time_off_id
+            });
+            day.skipped_time_off++;
+            continue;
+          }
+
+          const overlapping = await this.findOverlappingSlots(
+            template.therapist_id, slotData.start_datetime, slotData.end_datetime
+          );
+
+          if (overlapping.length > 0) {
+            plan.skipped.push({
+              date: currentDate,
+              reason: 'overlap',
+              ...withSlotTimes(slotData, timeZone),
+              conflicting_slots: overlapping.map(slot => withSlotTimes(slot, timeZone))
+            });
+            day.skipped_overlap++;
+            continue;
+          }
+
+          plan.slots.push({
+            date: currentDate,
+            ...withSlotTimes(slotData, timeZone),
+            status: outcome.status,
+            block_reason: outcome.block_reason,
+            blocked_by_external_busy_id: outcome.blocked_by_external_busy_id
+          });
+          day.slots_to_create++;
+          if (outcome.status === 'blocked') {
+            day.slots_blocked++;
           }
         }
-        
-        // Move to next day
-        currentDate.setDate(currentDate.getDate() + 1);
+
+        plan.dates.push(currentDate);
       }
 
-      return slots;
+      const countDays = (status) => plan.days.filter(day => day.status === status).length;
+      const sumDays = (field) => plan.days.reduce((total, day) => total + day[field], 0);
+      plan.summary = {
+        days_planned: plan.dates.length,
+        days_excluded: countDays('excluded'),
+        days_already_generated: countDays('already_generated'),
+        slots_to_create: sumDays('slots_to_create'),
+        slots_blocked: sumDays('slots_blocked'),
+        skipped_overlap: sumDays('skipped_overlap'),
+        skipped_time_off: sumDays('skipped_time_off')
+      };
+
+      return plan;
     } catch (error) {
-      console.error('Error generating slots from template:', error);
+      console.error('Error planning slots from template:', error);
       throw error;
     }
   }
 
-  // Helper method to generate time slots for a specific day
-  static generateTimeSlotsForDay(date, startTime, endTime, sessionDuration, breakTime) {
-    const slots = [];
-    
-    // Parse times
-    const [startHour, startMinute] = startTime.split(':').map(Number);
-    const [endHour, endMinute] = endTime.split(':').map(Number);
-    
-    // Create start and end datetime objects
-    let currentTime = new Date(`${date}T${startTime}:00`);
-    const endDateTime = new Date(`${date}T${endTime}:00`);
-    
-    while (currentTime < endDateTime) {
-      // Calculate slot end time
-      const slotEnd = new Date(currentTime.getTime() + (sessionDuration * 60000));
-      
-      // Check if slot fits within available time
-      if (slotEnd <= endDateTime) {
-        slots.push({
-          start_datetime: new Date(currentTime),
-          end_datetime: slotEnd
+  // Create the slots of a generation plan and record its dates as generated.
+  // Time off and imported busy times are checked again, and slots that have
+  // started to overlap since planning are returned as conflicts.
+  static async applyGenerationPlan(plan) {
+    try {
+      const timeZone = normalizeTimeZone(plan.timezone);
+      const blockers = await this.getGenerationBlockers(
+        plan.therapist_id,
+        zonedTimeToUtc(plan.start_date, '00:00', timeZone),
+        zonedTimeToUtc(addDays(plan.end_date, 1), '00:00', timeZone),
+        timeZone
+      );
+
+      const slots = [];
+      const conflicts = [];
+      const timeOffSkipped = [];
+      const createdPerDate = {};
+
+      for (const planned of plan.slots) {
+        const slotData = {
+          start_datetime: new Date(planned.start_datetime),
+          end_datetime: new Date(planned.end_datetime)
+        };
+        const outcome = this.classifyGeneratedSlot(slotData, blockers);
+
+        if (outcome.skip) {
+          timeOffSkipped.push({ ...withSlotTimes(slotData, timeZone), time_off_id: outcome.time_off_id });
+          continue;
+        }
+
+        const slot = await this.createSlotIfFree(plan.therapist_id, {
+          ...slotData,
+          status: outcome.status,
+          session_type: plan.session_type || 'individual',
+          block_reason: outcome.block_reason,
+          blocked_by_external_busy_id: outcome.blocked_by_external_busy_id,
+          template_id: plan.template_id,
+          appointment_type_id: plan.appointment_type_id,
+          capacity: plan.capacity || 1
         });
-        
-        // Move to next slot (session + break)
-        currentTime = new Date(slotEnd.getTime() + (breakTime * 60000));
-      } else {
-        break;
+
+        if (slot) {
+          slots.push(withSlotTimes(slot, timeZone));
+          createdPerDate[planned.date] = (createdPerDate[planned.date] || 0) + 1;
+        } else {
+          const overlapping = await this.findOverlappingSlots(
+            plan.therapist_id, slotData.start_datetime, slotData.end_datetime
+          );
+          conflicts.push({
+            ...withSlotTimes(slotData, timeZone),
+            conflicting_slots: overlapping.map(existing => withSlotTimes(existing, timeZone))
+          });
+        }
+      }
+
+      for (const date of plan.dates) {
+        await this.markDateGenerated(plan.template_id, date, createdPerDate[date] || 0);
       }
+
+      return { slots, conflicts, time_off_skipped: timeOffSkipped };
+    } catch (error) {
+      console.error('Error applying generation plan:', error);
+      throw error;
     }
-    
-    return slots;
   }
 
-  // Find available slots for booking
-  static async findAvailableSlots(filters = {}) {
+  // Generate slots from template for date range
+  static async generateSlotsFromTemplate(templateId, startDate, endDate, excludeDates = [], therapistId = null) {
     try {
-      let whereClause = `WHERE status = 'available' AND start_datetime > NOW()`;
-      const values = [];
-      let paramCount = 1;
+      const plan = await this.planSlotsFromTemplate(templateId, startDate, endDate, excludeDates, therapistId);
+      const result = await this.applyGenerationPlan(plan);
 
-      if (filters.therapist_id) {
-        whereClause += ` AND therapist_id = $${paramCount++}`;
-        values.push(filters.therapist_id);
-      }
+      const skippedFor = (reason) => plan.skipped
+        .filter(skipped => skipped.reason === reason)
+        .map(({ date, reason: skipReason, ...slot }) => slot);
+
+      return {
+        slots: result.slots,
+        conflicts: [...skippedFor('overlap'), ...result.conflicts],
+        time_off_skipped: [...skippedFor('time_off'), ...result.time_off_skipped]
+      };
+    } catch (error) {
+      console.error('Error generating slots from template:', error);
+      throw error;
+    }
+  }
+
+  // Get dates (YYYY-MM-DD) already generated from a template within a range
+  static async getGeneratedDates(templateId, startDate, endDate) {
+    try {
+      const result = await query(
+        `SELECT TO_CHAR(generated_date, 'YYYY-MM-DD') as generated_date
+         FROM availability_generated_dates
+         WHERE template_id = $1 AND generated_date BETWEEN $2 AND $3`,
+        [templateId, startDate, endDate]
+      );
+      return result.rows.map(row => row.generated_date);
+    } catch (error) {
+      console.error('Error getting generated dates:', error);
+      throw error;
+    }
+  }
+
+  // Record that a template has been expanded for a date
+  static async markDateGenerated(templateId, date, slotsCreated) {
+    try {
+      await query(
+        `INSERT INTO availability_generated_dates (template_id, generated_date, slots_created)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (template_id, generated_date) DO NOTHING`,
+        [templateId, date, slotsCreated]
+      );
+    } catch (error) {
+      console.error('Error recording generated date:', error);
+      throw error;
+    }
+  }
 
-      if (filters.start_date) {
-        whereClause += ` AND start_datetime >= $${paramCount++}`;
-        values.push(filters.start_date);
+  // Get therapists whose availability should be generated automatically
+  static async getTherapistsForAutoGeneration(defaultHorizonWeeks) {
+    try {
+      const result = await query(
+        `SELECT t.id, tp.timezone,
+                COALESCE(ts.availability_horizon_weeks, $1) as horizon_weeks
+         FROM therapists t
+         LEFT JOIN therapist_profiles tp ON t.id = tp.therapist_id
+         LEFT JOIN therapist_settings ts ON t.id = ts.therapist_id
+         WHERE t.is_active = true
+           AND COALESCE(ts.availability_horizon_weeks, $1) > 0
+           AND EXISTS (
+             SELECT 1 FROM availability_templates at
+             WHERE at.therapist_id = t.id AND at.is_active = true
+           )
+         ORDER BY t.id`,
+        [defaultHorizonWeeks]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting therapists for auto generation:', error);
+      throw error;
+    }
+  }
+
+  // Keep a therapist's slots generated from all active templates up to N weeks ahead.
+  // The horizon starts tomorrow in the therapist's timezone so no slot is created in the past.
+  static async extendAvailabilityHorizon(therapistId, horizonWeeks, timeZone) {
+    try {
+      const zone = normalizeTimeZone(timeZone);
+      const startDate = addDays(getZonedDateString(new Date(), zone), 1);
+      const endDate = addDays(startDate, (horizonWeeks * 7) - 1);
+      const templates = await this.getTemplates(therapistId);
+
+      const results = [];
+      for (const template of templates) {
+        const { slots, conflicts, time_off_skipped: timeOffSkipped } =
+          await this.generateSlotsFromTemplate(template.id, startDate, endDate);
+        results.push({
+          template_id: template.id,
+          slots_created: slots.length,
+          conflicts_skipped: conflicts.length,
+          time_off_skipped: timeOffSkipped.length
+        });
       }
 
-      if (filters.end_date) {
-        whereClause += ` AND end_datetime <= $${paramCount++}`;
-        values.push(filters.end_date);
+      return {
+        start_date: startDate,
+        end_date: endDate,
+        templates: results,
+        slots_created: results.reduce((total, result) => total + result.slots_created, 0)
+      };
+    } catch (error) {
+      console.error('Error extending availability horizon:', error);
+      throw error;
+    }
+  }
+
+  // Helper method to generate time slots for a specific day.
+  // Start and end times are wall-clock times in the given timezone, so a 09:00 start
+  // stays at 09:00 local across DST changes. On the day of a change every slot still
+  // lasts the full session; slots that would overlap the previous one (a skipped hour)
+  // or end after the day's end time are left out.
+  static generateTimeSlotsForDay(date, startTime, endTime, sessionDuration, breakTime, timeZone = 'UTC') {
+    const slots = [];
+    const dayEnd = timeToMinutes(endTime);
+    const latestEnd = zonedTimeToUtc(date, endTime, timeZone);
+    let current = timeToMinutes(startTime);
+
+    while (current + sessionDuration <= dayEnd) {
+      const start = zonedTimeToUtc(date, minutesToTime(current), timeZone);
+      const end = new Date(start.getTime() + sessionDuration * 60000);
+      const previous = slots[slots.length - 1];
+
+      if ((!previous || start >= previous.end_datetime) && end <= latestEnd) {
+        slots.push({ start_datetime: start, end_datetime: end });
       }
 
-      if (filters.session_type) {
-        whereClause += ` AND session_type = $${paramCount++}`;
-        values.push(filters.session_type);
+      // Move to next slot (session + break)
+      current += sessionDuration + breakTime;
+    }
+
+    return slots;
+  }
+
+  // Find a page of available slots for booking, in start time order. Pages follow
+  // the opaque cursor of the previous page, or skip `offset` slots without one.
+  static async findAvailableSlots(filters = {}) {
+    try {
+      const values = [];
+      let whereClause = `WHERE ${availableSlotConditions(filters, values)}`;
+
+      if (filters.cursor) {
+        const after = decodeSlotCursor(filters.cursor);
+        values.push(after.start_datetime, after.id);
+        whereClause += ` AND (ast.start_datetime, ast.id) > ($${values.length - 1}::timestamptz, $${values.length}::integer)`;
       }
 
-      if (filters.duration) {
-        whereClause += ` AND EXTRACT(EPOCH FROM (end_datetime - start_datetime))/60 >= $${paramCount++}`;
-        values.push(filters.duration);
+      // One extra row tells whether another page follows
+      const limit = filters.limit || 20;
+      values.push(limit + 1);
+      let pageClause = `LIMIT $${values.length}`;
+      if (!filters.cursor && filters.offset) {
+        values.push(filters.offset);
+        pageClause += ` OFFSET $${values.length}`;
       }
 
       const result = await query(
         `SELECT ast.*, t.id as therapist_id, 
-                tp.first_name, tp.last_name, tp.session_rate, tp.currency
+                tp.first_name, tp.last_name, tp.session_rate, tp.currency, tp.timezone,
+                ${BOOKED_SEATS_SQL} as booked_seats, ${HELD_SEATS_SQL} as held_seats,
+                CASE WHEN apt.id IS NULL THEN NULL ELSE json_build_object(
+                  'id', apt.id, 'name', apt.name, 'duration_minutes', apt.duration_minutes,
+                  'price', apt.price, 'currency', apt.currency, 'modality', apt.modality,
+                  'first_session_only', apt.first_session_only
+                ) END as appointment_type
          FROM availability_slots ast
          JOIN therapists t ON ast.therapist_id = t.id
          LEFT JOIN therapist_profiles tp ON t.id = tp.therapist_id
+         LEFT JOIN appointment_types apt ON ast.appointment_type_id = apt.id
+         LEFT JOIN therapist_settings ts ON ast.therapist_id = ts.therapist_id
          ${whereClause}
-         ORDER BY ast.start_datetime`,
+         ORDER BY ast.start_datetime, ast.id
+         ${pageClause}`,
         values
       );
 
-      return result.rows;
+      const hasMore = result.rows.length > limit;
+      const slots = result.rows.slice(0, limit).map(slot => withSlotTimes({
+        ...slot,
+        seats_remaining: Math.max(slot.capacity - slot.booked_seats - slot.held_seats, 0)
+      }));
+
+      return {
+        slots,
+        next_cursor: hasMore ? encodeSlotCursor(slots[slots.length - 1]) : null
+      };
     } catch (error) {
-      console.error('Error finding available slots:', error);
+      if (!(error instanceof AppError)) {
+        console.error('Error finding available slots:', error);
+      }
       throw error;
     }
   }
 
-  // Book an availability slot
-  static async bookSlot(slotId, userId, sessionData = {}) {
+  // Count the available slots a search matches
+  static async countAvailableSlots(filters = {}) {
     try {
-      // First, check if slot is available
-      const slotResult = await query(
-        `SELECT * FROM availability_slots 
-         WHERE id = $1 AND status = 'available'`,
-        [slotId]
+      const values = [];
+      const result = await query(
+        `SELECT COUNT(*)::integer as total
+         FROM availability_slots ast
+         JOIN therapists t ON ast.therapist_id = t.id
+         LEFT JOIN therapist_profiles tp ON t.id = tp.therapist_id
+         LEFT JOIN appointment_types apt ON ast.appointment_type_id = apt.id
+         LEFT JOIN therapist_settings ts ON ast.therapist_id = ts.therapist_id
+         WHERE ${availableSlotConditions(filters, values)}`,
+        values
       );
 
-      if (slotResult.rows.length === 0) {
-        throw new Error('Availability slot not found or not available');
+      return result.rows[0].total;
+    } catch (error) {
+      console.error('Error counting available slots:', error);
+      throw error;
+    }
+  }
+
+  // Clip {start, end} intervals to a range and merge the ones that overlap or touch
+  static coalesceIntervals(intervals, rangeStart, rangeEnd) {
+    const from = new Date(rangeStart).getTime();
+    const to = new Date(rangeEnd).getTime();
+    const clipped = intervals
+      .map(interval => ({
+        start: Math.max(new Date(interval.start).getTime(), from),
+        end: Math.min(new Date(interval.end).getTime(), to)
+      }))
+      .filter(interval => interval.end > interval.start)
+      .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const interval of clipped) {
+      const last = merged[merged.length - 1];
+      if (last && interval.start <= last.end) {
+        last.end = Math.max(last.end, interval.end);
+      } else {
+        merged.push({ ...interval });
       }
+    }
+    return merged.map(interval => ({ start: new Date(interval.start), end: new Date(interval.end) }));
+  }
 
-      const slot = slotResult.rows[0];
+  // Busy and open time of therapists over a range, without client details. Busy time
+  // is sessions that haven't been cancelled, blocked slots, time off and imported busy
+  // times; open time is slots a client could book. Both are coalesced per therapist.
+  static async getFreeBusy(therapistIds, rangeStart, rangeEnd) {
+    try {
+      const therapistsResult = await query(
+        `SELECT t.id, tp.timezone
+         FROM therapists t
+         LEFT JOIN therapist_profiles tp ON t.id = tp.therapist_id
+         WHERE t.id = ANY($1::integer[]) AND t.is_active = true
+         ORDER BY t.id`,
+        [therapistIds]
+      );
+      const therapists = therapistsResult.rows;
+      const ids = therapists.map(therapist => therapist.id);
 
-      // Update slot status to booked
-      await query(
-        `UPDATE availability_slots SET status = 'booked' WHERE id = $1`,
-        [slotId]
+      const busyResult = await query(
+        `SELECT ast.therapist_id, ast.start_datetime, ast.end_datetime
+         FROM session_bookings sb
+         JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+         WHERE sb.therapist_id = ANY($1::integer[]) AND sb.status NOT IN ${CANCELLED_STATUSES_SQL}
+           AND ast.start_datetime < $3 AND ast.end_datetime > $2
+         UNION ALL
+         SELECT ast.therapist_id, ast.start_datetime, ast.end_datetime
+         FROM availability_slots ast
+         WHERE ast.therapist_id = ANY($1::integer[]) AND ast.status = 'blocked'
+           AND ast.start_datetime < $3 AND ast.end_datetime > $2
+         UNION ALL
+         SELECT aeb.therapist_id, aeb.start_datetime, aeb.end_datetime
+         FROM availability_external_busy aeb
+         WHERE aeb.therapist_id = ANY($1::integer[])
+           AND aeb.start_datetime < $3 AND aeb.end_datetime > $2`,
+        [ids, rangeStart, rangeEnd]
       );
 
-      // Create session booking
-      const bookingResult = await query(
-        `INSERT INTO session_bookings (
-          therapist_id, user_id, availability_slot_id, session_type, notes
-        ) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-        [
-          slot.therapist_id,
-          userId,
-          slotId,
-          sessionData.session_type || 'individual',
-          sessionData.notes || null
-        ]
+      const values = [ids, rangeStart, rangeEnd];
+      const openResult = await query(
+        `SELECT ast.therapist_id, ast.start_datetime, ast.end_datetime
+         FROM availability_slots ast
+         JOIN therapists t ON ast.therapist_id = t.id
+         LEFT JOIN therapist_profiles tp ON t.id = tp.therapist_id
+         LEFT JOIN appointment_types apt ON ast.appointment_type_id = apt.id
+         LEFT JOIN therapist_settings ts ON ast.therapist_id = ts.therapist_id
+         WHERE ast.therapist_id = ANY($1::integer[])
+           AND ast.start_datetime < $3 AND ast.end_datetime > $2
+           AND ${availableSlotConditions({}, values)}`,
+        values
       );
 
-      return {
-        slot: { ...slot, status: 'booked' },
-        booking: bookingResult.rows[0]
-      };
+      const timeZones = new Map(therapists.map(therapist => [therapist.id, normalizeTimeZone(therapist.timezone)]));
+      const timeOffByTherapist = await TimeOff.getOccurrencesByTherapist(timeZones, rangeStart, rangeEnd);
+
+      const toInterval = row => ({ start: row.start_datetime, end: row.end_datetime });
+      const freeBusy = [];
+      for (const therapist of therapists) {
+        const timeZone = timeZones.get(therapist.id);
+        const timeOff = timeOffByTherapist.get(therapist.id);
+        const busy = busyResult.rows
+          .filter(row => row.therapist_id === therapist.id)
+          .map(toInterval)
+          .concat(timeOff);
+        const open = openResult.rows
+          .filter(row => row.therapist_id === therapist.id)
+          .map(toInterval);
+
+        freeBusy.push({
+          therapist_id: therapist.id,
+          timezone: timeZone,
+          busy: this.coalesceIntervals(busy, rangeStart, rangeEnd),
+          open: this.coalesceIntervals(open, rangeStart, rangeEnd)
+        });
+      }
+
+      return freeBusy;
     } catch (error) {
-      console.error('Error booking availability slot:', error);
+      console.error('Error getting free/busy times:', error);
       throw error;
     }
   }
 
-  // Cancel a booked slot
-  static async cancelSlot(slotId, therapistId, reason = null) {
+  // Verified therapists matching the profile filters, ordered by their soonest open
+  // slot in the search window, each with its next few open slots. max_rate applies
+  // to the slot's price: its appointment type's, else the therapist's session rate.
+  static async findFirstAvailableTherapists(filters = {}) {
     try {
-      // Update slot status
+      const values = [];
+      let whereClause = `WHERE t.is_active = true AND t.is_verified = true
+        AND ${availableSlotConditions(filters, values)}`;
+      whereClause += Therapist.profileSearchConditions(filters, values);
+
+      if (filters.max_rate !== undefined) {
+        values.push(filters.max_rate);
+        whereClause += ` AND COALESCE(apt.price, tp.session_rate) <= $${values.length}`;
+      }
+
+      const slotsPerTherapist = filters.slots_per_therapist || 3;
+      values.push(slotsPerTherapist, filters.limit || 20, filters.offset || 0);
+      const slotsParam = values.length - 2;
+
       const result = await query(
-        `UPDATE availability_slots 
-         SET status = 'cancelled', notes = $3
-         WHERE id = $1 AND therapist_id = $2 
-         RETURNING *`,
-        [slotId, therapistId, reason]
+        `WITH open_slots AS (
+           SELECT ast.id, ast.therapist_id, ast.start_datetime, ast.end_datetime,
+                  ast.session_type, ast.capacity,
+                  ast.capacity - ${BOOKED_SEATS_SQL} - ${HELD_SEATS_SQL} as seats_remaining,
+                  COALESCE(apt.price, tp.session_rate) as price,
+                  COALESCE(apt.currency, tp.currency) as currency,
+                  CASE WHEN apt.id IS NULL THEN NULL ELSE json_build_object(
+                    'id', apt.id, 'name', apt.name, 'duration_minutes', apt.duration_minutes,
+                    'price', apt.price, 'currency', apt.currency, 'modality', apt.modality,
+                    'first_session_only', apt.first_session_only
+                  ) END as appointment_type,
+                  ROW_NUMBER() OVER (PARTITION BY ast.therapist_id ORDER BY ast.start_datetime, ast.id) as slot_rank
+           FROM availability_slots ast
+           JOIN therapists t ON ast.therapist_id = t.id
+           LEFT JOIN therapist_profiles tp ON t.id = tp.therapist_id
+           LEFT JOIN appointment_types apt ON ast.appointment_type_id = apt.id
+           LEFT JOIN therapist_settings ts ON ast.therapist_id = ts.therapist_id
+           ${whereClause}
+         ),
+         first_available AS (
+           SELECT therapist_id, MIN(start_datetime) as first_available_at,
+                  COUNT(*)::integer as open_slot_count,
+                  json_agg(json_build_object(
+                    'id', id, 'start_datetime', start_datetime, 'end_datetime', end_datetime,
+                    'session_type', session_type, 'capacity', capacity,
+                    'seats_remaining', GREATEST(seats_remaining, 0),
+                    'price', price, 'currency', currency, 'appointment_type', appointment_type
+                  ) ORDER BY start_datetime, id) FILTER (WHERE slot_rank <= $${slotsParam}) as next_slots
+           FROM open_slots
+           GROUP BY therapist_id
+         )
+         SELECT t.id, tp.first_name, tp.last_name, tp.title, tp.bio, tp.years_experience,
+                tp.languages_spoken, tp.session_rate, tp.currency, tp.timezone, tp.profile_picture_url,
+                (SELECT COALESCE(ROUND(AVG(tr.rating), 2), 0) FROM therapist_reviews tr
+                 WHERE tr.therapist_id = t.id AND tr.is_public = true) as average_rating,
+                (SELECT COUNT(*) FROM therapist_reviews tr
+                 WHERE tr.therapist_id = t.id AND tr.is_public = true) as review_count,
+                ARRAY(SELECT s.name FROM therapist_specializations tsp
+                      JOIN specializations s ON tsp.specialization_id = s.id
+                      WHERE tsp.therapist_id = t.id ORDER BY s.name) as specializations,
+                ARRAY(SELECT a.name FROM therapist_approaches ta
+                      JOIN therapy_approaches a ON ta.approach_id = a.id
+                      WHERE ta.therapist_id = t.id ORDER BY a.name) as approaches,
+                fa.first_available_at, fa.open_slot_count, fa.next_slots,
+                COUNT(*) OVER () as total_count
+         FROM first_available fa
+         JOIN therapists t ON fa.therapist_id = t.id
+         LEFT JOIN therapist_profiles tp ON t.id = tp.therapist_id
+         ORDER BY fa.first_available_at, t.id
+         LIMIT $${slotsParam + 1} OFFSET $${slotsParam + 2}`,
+        values
       );
 
-      // Update associated booking
-      await query(
-        `UPDATE session_bookings 
-         SET status = 'cancelled' 
-         WHERE availability_slot_id = $1`,
+      const total = result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+      const therapists = result.rows.map(({ total_count, ...therapist }) => ({
+        ...therapist,
+        timezone: normalizeTimeZone(therapist.timezone),
+        next_slots: therapist.next_slots.map(slot => withSlotTimes({
+          ...slot,
+          start_datetime: new Date(slot.start_datetime),
+          end_datetime: new Date(slot.end_datetime)
+        }, therapist.timezone))
+      }));
+
+      return { therapists, total };
+    } catch (error) {
+      console.error('Error finding first available therapists:', error);
+      throw error;
+    }
+  }
+
+  // Book a seat on an availability slot. This is the one booking path: both booking
+  // routes, waitlist offers and slot holds go through it. Everything runs in one
+  // transaction holding a lock on the slot row, so concurrent bookings of a slot are
+  // checked and written one at a time and a failure leaves nothing behind.
+  //
+  // The booking takes its session type and price from the requested appointment
+  // type, or the slot's own type when none is given. The slot only becomes 'booked'
+  // once all its seats are taken. Seats held by waitlist offers and slot holds count
+  // as taken, except for the offer being claimed and the client's own hold, both of
+  // which the booking converts. The therapist's booking policies are checked before
+  // the booking is made. Runs in its own transaction, or in the caller's under a
+  // savepoint, so the caller can carry on after a refused booking.
+  static async bookSlot(slotId, userId, sessionData = {}, { db = { query } } = {}) {
+    try {
+      const book = async (client) => {
+        const offerId = sessionData.waitlist_offer_id || null;
+        if (offerId) {
+          // Lock the offer before the slot, as declining and expiring offers do
+          await client.query(`SELECT id FROM availability_waitlist_offers WHERE id = $1 FOR UPDATE`, [offerId]);
+        }
+        const { slot } = await this.assertSeatBookable(slotId, userId, { offerId, lock: true, db: client });
+
+        if (sessionData.therapist_id && sessionData.therapist_id !== slot.therapist_id) {
+          throw new ConflictError('This slot belongs to a different therapist', 'SLOT_THERAPIST_MISMATCH');
+        }
+
+        const appointment = await AppointmentType.resolveForBooking(slot, sessionData.appointment_type_id, userId, { db: client });
+
+        // Create session booking
+        const bookingResult = await client.query(
+          `INSERT INTO session_bookings (
+            therapist_id, user_id, availability_slot_id, session_type, notes,
+            appointment_type_id, session_rate, currency, series_id, client_email
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 'USD'), $9, $10) RETURNING *`,
+          [
+            slot.therapist_id,
+            userId,
+            slotId,
+            appointment ? appointment.session_type : (sessionData.session_type || slot.session_type || 'individual'),
+            sessionData.notes || null,
+            appointment ? appointment.appointment_type_id : null,
+            appointment ? appointment.session_rate : null,
+            appointment ? appointment.currency : null,
+            sessionData.series_id || null,
+            sessionData.client_email || null
+          ]
+        );
+        const booking = bookingResult.rows[0];
+        await SessionBooking.recordStatusChange(booking.id, null, booking.status, { role: 'client', changedBy: userId, db: client });
+
+        await client.query(
+          `UPDATE availability_slot_holds SET status = 'converted', booking_id = $3
+           WHERE slot_id = $1 AND user_id = $2 AND status = 'active'`,
+          [slotId, userId, booking.id]
+        );
+
+        if (offerId) {
+          const accepted = await client.query(
+            `UPDATE availability_waitlist_offers
+             SET status = 'accepted', responded_at = NOW(), booking_id = $2
+             WHERE id = $1 AND slot_id = $3 AND status = 'pending' AND expires_at > NOW()
+             RETURNING waitlist_id`,
+            [offerId, booking.id, slotId]
+          );
+          if (accepted.rows.length === 0) {
+            throw new ConflictError('Waitlist offer is no longer open', 'WAITLIST_OFFER_CLOSED');
+          }
+          await client.query(
+            `UPDATE availability_waitlist SET status = 'fulfilled' WHERE id = $1`,
+            [accepted.rows[0].waitlist_id]
+          );
+        }
+
+        // Booking the therapist directly fulfils the client's waiting place on their
+        // waitlist. Entries locked elsewhere (e.g. being left) are not waited on.
+        await client.query(
+          `UPDATE availability_waitlist SET status = 'fulfilled'
+           WHERE id IN (
+             SELECT id FROM availability_waitlist
+             WHERE therapist_id = $1 AND user_id = $2 AND status = 'waiting'
+             FOR UPDATE SKIP LOCKED
+           )`,
+          [slot.therapist_id, userId]
+        );
+
+        // Mark the slot booked once its last seat is taken
+        const updatedSlot = await this.syncSlotFullness(slotId, { db: client });
+
+        return {
+          slot: updatedSlot || slot,
+          booking
+        };
+      };
+
+      return await withTransaction(book, { db, savepoint: 'book_slot' });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error booking availability slot:', error);
+      }
+      // The database constraints back up the checks above
+      throw toBookingError(error);
+    }
+  }
+
+  // Move a scheduled booking to another of its therapist's slots in one transaction.
+  // The new slot goes through the same checks as booking it, the old slot's seat is
+  // freed, and the move is recorded with its original and new times. Scope the
+  // booking to the client (userId) or therapist (therapistId) moving it.
+  static async rescheduleBooking(bookingId, newSlotId, { userId = null, therapistId = null, rescheduledBy, rescheduledByRole, reason = null }) {
+    try {
+      return await withTransaction(async (client) => {
+        const bookingResult = await client.query(
+          `SELECT sb.*, ast.start_datetime, ast.end_datetime
+           FROM session_bookings sb
+           JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+           WHERE sb.id = $1
+             AND ($2::integer IS NULL OR sb.user_id = $2)
+             AND ($3::integer IS NULL OR sb.therapist_id = $3)
+           FOR UPDATE OF sb`,
+          [bookingId, userId, therapistId]
+        );
+        const booking = bookingResult.rows[0];
+
+        if (!booking) {
+          throw new NotFoundError('Session not found or access denied', 'SESSION_NOT_FOUND');
+        }
+        if (booking.status !== 'scheduled') {
+          throw new ConflictError('Only scheduled sessions can be rescheduled', 'SESSION_NOT_RESCHEDULABLE', {
+            session_status: booking.status
+          });
+        }
+        if (booking.availability_slot_id === newSlotId) {
+          throw new ConflictError('The session is already booked in this slot', 'SAME_SLOT');
+        }
+
+        // Lock both slots in id order so opposite moves between them can't deadlock
+        await client.query(
+          `SELECT id FROM availability_slots WHERE id = ANY($1) ORDER BY id FOR UPDATE`,
+          [[booking.availability_slot_id, newSlotId]]
+        );
+
+        await BookingPolicy.assertCanReschedule(booking, { db: client });
+
+        const { slot } = await this.assertSeatBookable(newSlotId, booking.user_id, {
+          excludeBookingId: booking.id,
+          db: client
+        });
+
+        if (slot.therapist_id !== booking.therapist_id) {
+          throw new ConflictError('Sessions can only move to the same therapist\'s slots', 'SLOT_THERAPIST_MISMATCH');
+        }
+
+        // The session keeps its appointment type and price, so the new slot must suit it
+        await AppointmentType.resolveForBooking(slot, booking.appointment_type_id, booking.user_id, {
+          excludeBookingId: booking.id,
+          db: client
+        });
+
+        const updated = await client.query(
+          `UPDATE session_bookings SET availability_slot_id = $2 WHERE id = $1 RETURNING *`,
+          [booking.id, newSlotId]
+        );
+
+        await client.query(
+          `UPDATE availability_slot_holds SET status = 'converted', booking_id = $3
+           WHERE slot_id = $1 AND user_id = $2 AND status = 'active'`,
+          [newSlotId, booking.user_id, booking.id]
+        );
+
+        const reschedule = await client.query(
+          `INSERT INTO session_booking_reschedules (
+            booking_id, from_slot_id, to_slot_id, from_start_datetime, from_end_datetime,
+            to_start_datetime, to_end_datetime, rescheduled_by, rescheduled_by_role, reason
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+          [
+            booking.id, booking.availability_slot_id, newSlotId, booking.start_datetime, booking.end_datetime,
+            slot.start_datetime, slot.end_datetime, rescheduledBy, rescheduledByRole, reason
+          ]
+        );
+
+        const previousSlot = await this.syncSlotFullness(booking.availability_slot_id, { db: client });
+        const newSlot = await this.syncSlotFullness(newSlotId, { db: client });
+
+        return {
+          booking: updated.rows[0],
+          slot: newSlot || slot,
+          previous_slot: previousSlot,
+          reschedule: reschedule.rows[0]
+        };
+      });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error rescheduling booking:', error);
+      }
+      throw toBookingError(error);
+    }
+  }
+
+  // Get the reschedule history of a booking, oldest first, scoped like rescheduleBooking
+  static async getRescheduleHistory(bookingId, { userId = null, therapistId = null } = {}) {
+    try {
+      const result = await query(
+        `SELECT r.*
+         FROM session_booking_reschedules r
+         JOIN session_bookings sb ON r.booking_id = sb.id
+         WHERE r.booking_id = $1
+           AND ($2::integer IS NULL OR sb.user_id = $2)
+           AND ($3::integer IS NULL OR sb.therapist_id = $3)
+         ORDER BY r.created_at, r.id`,
+        [bookingId, userId, therapistId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting reschedule history:', error);
+      throw error;
+    }
+  }
+
+  // Check a client can take a seat on a slot: it is open, has a free seat, the client
+  // isn't already booked on it and the therapist's booking policies allow it. Seats
+  // held for the client, by their own hold or the offer they claim, count as free.
+  // With lock the slot row stays locked until the caller's transaction ends. A
+  // booking being moved to the slot is left out of the policy checks.
+  static async assertSeatBookable(slotId, userId, { offerId = null, excludeBookingId = null, lock = false, db = { query } } = {}) {
+    // Lock before counting seats, so the counts include whatever the previous
+    // holder of the lock committed
+    if (lock) {
+      await db.query(`SELECT id FROM availability_slots WHERE id = $1 FOR UPDATE`, [slotId]);
+    }
+
+    const slotResult = await db.query(
+      `SELECT ast.*, tp.timezone, ${BOOKED_SEATS_SQL} as booked_seats, ${heldSeatsSql('$2', '$3')} as held_seats
+       FROM availability_slots ast
+       LEFT JOIN therapist_profiles tp ON ast.therapist_id = tp.therapist_id
+       WHERE ast.id = $1 AND ast.status IN ('available', 'booked')`,
+      [slotId, offerId || null, userId]
+    );
+
+    if (slotResult.rows.length === 0) {
+      throw new NotFoundError('Availability slot not found or not available', 'SLOT_NOT_AVAILABLE');
+    }
+
+    const { booked_seats: bookedSeats, held_seats: heldSeats, timezone, ...slot } = slotResult.rows[0];
+
+    if (bookedSeats + heldSeats >= slot.capacity) {
+      throw new ConflictError('This slot is full', 'SLOT_FULL');
+    }
+
+    const existing = await db.query(
+      `SELECT id FROM session_bookings
+       WHERE availability_slot_id = $1 AND user_id = $2 AND status NOT IN ${CANCELLED_STATUSES_SQL}`,
+      [slotId, userId]
+    );
+
+    if (existing.rows.length > 0) {
+      throw new ConflictError('You already have a booking for this slot', 'ALREADY_BOOKED', {
+        booking_id: existing.rows[0].id
+      });
+    }
+
+    await BookingPolicy.assertCanBook(slot, userId, {
+      bookedSeats,
+      timeZone: normalizeTimeZone(timezone),
+      excludeBookingId,
+      db
+    });
+
+    return { slot, bookedSeats, heldSeats };
+  }
+
+  // Set an open slot to 'booked' when its seats are all booked or held and back to
+  // 'available' when a seat frees up. Blocked and cancelled slots are left alone.
+  static async syncSlotFullness(slotId, { db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `UPDATE availability_slots ast
+         SET status = CASE WHEN ${BOOKED_SEATS_SQL} + ${HELD_SEATS_SQL} >= ast.capacity
+                           THEN 'booked' ELSE 'available' END
+         WHERE ast.id = $1 AND ast.status IN ('available', 'booked')
+         RETURNING ast.*, ${BOOKED_SEATS_SQL} as booked_seats`,
         [slotId]
       );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error updating slot fullness:', error);
+      throw error;
+    }
+  }
 
-      return result.rows[0];
+  // Get the bookings on a therapist's slot, including cancelled ones
+  static async getSlotRoster(slotId, therapistId) {
+    try {
+      const slotResult = await query(
+        `SELECT ast.*, tp.timezone, ${BOOKED_SEATS_SQL} as booked_seats, ${HELD_SEATS_SQL} as held_seats
+         FROM availability_slots ast
+         LEFT JOIN therapist_profiles tp ON ast.therapist_id = tp.therapist_id
+         WHERE ast.id = $1 AND ast.therapist_id = $2`,
+        [slotId, therapistId]
+      );
+
+      if (slotResult.rows.length === 0) {
+        return null;
+      }
+
+      const bookings = await query(
+        `SELECT id, user_id, status, session_type, appointment_type_id, session_rate, currency,
+                notes, created_at, updated_at
+         FROM session_bookings
+         WHERE availability_slot_id = $1
+         ORDER BY created_at`,
+        [slotId]
+      );
+
+      const slot = slotResult.rows[0];
+      return {
+        slot: withSlotTimes({
+          ...slot,
+          seats_remaining: Math.max(slot.capacity - slot.booked_seats - slot.held_seats, 0)
+        }),
+        bookings: bookings.rows
+      };
+    } catch (error) {
+      console.error('Error getting slot roster:', error);
+      throw error;
+    }
+  }
+
+  // Cancel a booked slot along with its bookings. Joins the caller's transaction
+  // when given one.
+  static async cancelSlot(slotId, therapistId, reason = null, { db = { query } } = {}) {
+    try {
+      return await withTransaction(async (client) => {
+        // Update slot status
+        const result = await client.query(
+          `UPDATE availability_slots 
+           SET status = 'cancelled', notes = $3
+           WHERE id = $1 AND therapist_id = $2 
+           RETURNING *`,
+          [slotId, therapistId, reason]
+        );
+
+        // Cancel associated bookings
+        if (result.rows.length > 0) {
+          await SessionBooking.cancelForTherapist(therapistId, { slotId, reason, db: client });
+        }
+
+        return result.rows[0];
+      }, { db });
     } catch (error) {
       console.error('Error cancelling availability slot:', error);
       throw error;
     }
   }
 
-  // Clean up expired slots
-  static async cleanupExpiredSlots() {
+  // Cancel the bookings on a therapist's slot but keep the slot itself, so its
+  // seats can be offered again
+  static async releaseSlotBookings(slotId, therapistId, reason = null, { db = { query } } = {}) {
+    try {
+      return await SessionBooking.cancelForTherapist(therapistId, {
+        slotId,
+        reason,
+        note: reason || 'Session cancelled by therapist',
+        db
+      });
+    } catch (error) {
+      console.error('Error releasing slot bookings:', error);
+      throw error;
+    }
+  }
+
+  // Mark past slots nobody booked as expired. They stay in the table, out of search,
+  // for calendar and utilisation history.
+  static async expirePastSlots() {
     try {
       const result = await query(
-        `DELETE FROM availability_slots 
-         WHERE status = 'available' AND end_datetime < NOW() - INTERVAL '1 hour'
-         RETURNING id`
+        `UPDATE availability_slots ast SET status = 'expired', expired_at = NOW()
+         WHERE ast.status = 'available' AND ast.end_datetime < NOW() - INTERVAL '1 hour'
+           AND ${BOOKED_SEATS_SQL} = 0
+         RETURNING ast.id`
       );
 
-      console.log(`🧹 Cleaned up ${result.rowCount} expired availability slots`);
       return result.rowCount;
     } catch (error) {
-      console.error('Error cleaning up expired slots:', error);
+      console.error('Error expiring past slots:', error);
+      throw error;
+    }
+  }
+
+  // Delete expired and cancelled slots that ended more than `retentionDays` ago.
+  // Slots with any booking, even a cancelled one, are kept with their bookings.
+  static async purgeArchivedSlots(retentionDays) {
+    try {
+      const result = await query(
+        `DELETE FROM availability_slots ast
+         WHERE ast.status IN ('expired', 'cancelled')
+           AND ast.end_datetime < NOW() - $1 * INTERVAL '1 day'
+           AND NOT EXISTS (SELECT 1 FROM session_bookings sb WHERE sb.availability_slot_id = ast.id)
+         RETURNING ast.id`,
+        [retentionDays]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error purging archived slots:', error);
       throw error;
     }
   }
 }
 
+Availability.HELD_SEATS_SQL = HELD_SEATS_SQL;
+
 module.exports = Availability;
\ No newline at end of file
@@ -0,0 +1,188 @@
+const { query } = require('../config/database');
+const TherapistSettings = require('./TherapistSettings');
+const { BookingPolicyError } = require('../utils/errors');
+const { CANCELLED_STATUSES_SQL } = require('../utils/sessionLifecycle');
+const {
+  normalizeTimeZone, zonedTimeToUtc, getZonedDateString, addDays, getDayOfWeek
+} = require('../utils/timezone');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Number of distinct sessions (slots with live bookings) a slot's therapist has in
+// the same therapist-local day or week as the slot. Expects the slot aliased ast and
+// the therapist profile aliased tp; weeks start on Monday.
+const sessionsInPeriodSql = (unit) => `(SELECT COUNT(DISTINCT other.id)::integer
+  FROM availability_slots other
+  JOIN session_bookings osb ON osb.availability_slot_id = other.id AND osb.status NOT IN ${CANCELLED_STATUSES_SQL}
+  WHERE other.therapist_id = ast.therapist_id
+    AND date_trunc('${unit}', other.start_datetime AT TIME ZONE COALESCE(tp.timezone, 'UTC'))
+      = date_trunc('${unit}', ast.start_datetime AT TIME ZONE COALESCE(tp.timezone, 'UTC')))`;
+
+class BookingPolicy {
+  // SQL conditions keeping slots that break a booking policy out of search results.
+  // Expects slots aliased ast, therapist profiles tp and therapist settings ts.
+  // The new-client cap depends on who is booking, so it is only checked at booking.
+  static searchConditions(bookedSeatsSql) {
+    return `
+      AND ast.start_datetime >= NOW() + COALESCE(ts.booking_min_notice_minutes, 0) * INTERVAL '1 minute'
+      AND (ts.booking_max_advance_days IS NULL
+           OR ast.start_datetime <= NOW() + ts.booking_max_advance_days * INTERVAL '1 day')
+      AND (ts.max_sessions_per_day IS NULL OR ${bookedSeatsSql} > 0
+           OR ${sessionsInPeriodSql('day')} < ts.max_sessions_per_day)
+      AND (ts.max_sessions_per_week IS NULL OR ${bookedSeatsSql} > 0
+           OR ${sessionsInPeriodSql('week')} < ts.max_sessions_per_week)`;
+  }
+
+  // Whether a slot starts inside the therapist's booking window
+  static isWithinBookingWindow(slot, settings, now = new Date()) {
+    const start = new Date(slot.start_datetime).getTime();
+    const earliest = now.getTime() + (settings.booking_min_notice_minutes || 0) * MINUTE_MS;
+    const latest = settings.booking_max_advance_days
+      ? now.getTime() + settings.booking_max_advance_days * DAY_MS
+      : Infinity;
+    return start >= earliest && start <= latest;
+  }
+
+  // Therapist-local day and Monday-based week containing an instant, as UTC ranges
+  static getPeriods(instant, timeZone) {
+    const zone = normalizeTimeZone(timeZone);
+    const date = getZonedDateString(instant, zone);
+    const weekStart = addDays(date, -((getDayOfWeek(date) + 6) % 7));
+    return {
+      day: { start: zonedTimeToUtc(date, '00:00', zone), end: zonedTimeToUtc(addDays(date, 1), '00:00', zone) },
+      week: { start: zonedTimeToUtc(weekStart, '00:00', zone), end: zonedTimeToUtc(addDays(weekStart, 7), '00:00', zone) }
+    };
+  }
+
+  // Count a therapist's sessions (slots with live bookings) starting in a range,
+  // optionally leaving out a booking that is being moved
+  static async countSessions(therapistId, rangeStart, rangeEnd, { excludeBookingId = null, db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `SELECT COUNT(DISTINCT ast.id)::integer as sessions
+         FROM availability_slots ast
+         JOIN session_bookings sb ON sb.availability_slot_id = ast.id AND sb.status NOT IN ${CANCELLED_STATUSES_SQL}
+         WHERE ast.therapist_id = $1 AND ast.start_datetime >= $2 AND ast.start_datetime < $3
+           AND sb.id IS DISTINCT FROM $4::integer`,
+        [therapistId, rangeStart, rangeEnd, excludeBookingId]
+      );
+      return result.rows[0].sessions;
+    } catch (error) {
+      console.error('Error counting sessions:', error);
+      throw error;
+    }
+  }
+
+  // Count clients whose first live session with a therapist starts in a range,
+  // optionally leaving out a booking that is being moved
+  static async countNewClients(therapistId, rangeStart, rangeEnd, { excludeBookingId = null, db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `SELECT COUNT(*)::integer as new_clients
+         FROM (
+           SELECT sb.user_id, MIN(ast.start_datetime) as first_start
+           FROM session_bookings sb
+           JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+           WHERE sb.therapist_id = $1 AND sb.status NOT IN ${CANCELLED_STATUSES_SQL} AND sb.id IS DISTINCT FROM $4::integer
+           GROUP BY sb.user_id
+         ) first_sessions
+         WHERE first_start >= $2 AND first_start < $3`,
+        [therapistId, rangeStart, rangeEnd, excludeBookingId]
+      );
+      return result.rows[0].new_clients;
+    } catch (error) {
+      console.error('Error counting new clients:', error);
+      throw error;
+    }
+  }
+
+  // Check a booked session may still be moved: rescheduling needs the same notice
+  // before the session's current start as booking does
+  static async assertCanReschedule(booking, { db = { query } } = {}) {
+    const settings = await TherapistSettings.findByTherapistId(booking.therapist_id, { db });
+    const minNotice = settings.booking_min_notice_minutes || 0;
+
+    if (new Date(booking.start_datetime).getTime() < Date.now() + minNotice * MINUTE_MS) {
+      throw new BookingPolicyError(
+        `Sessions can only be rescheduled at least ${minNotice} minutes before they start`,
+        'RESCHEDULE_TOO_LATE',
+        { min_notice_minutes: minNotice }
+      );
+    }
+  }
+
+  // Check a client may book a seat on a slot under the therapist's policies.
+  // Joining a session that already has bookings (a group seat) adds no session,
+  // so the daily and weekly caps only apply to empty slots. A booking being moved
+  // to the slot is left out of the counts.
+  static async assertCanBook(slot, userId, { bookedSeats = 0, timeZone, excludeBookingId = null, db = { query } } = {}) {
+    const settings = await TherapistSettings.findByTherapistId(slot.therapist_id, { db });
+    const now = new Date();
+    const start = new Date(slot.start_datetime);
+
+    if (start.getTime() < now.getTime() + (settings.booking_min_notice_minutes || 0) * MINUTE_MS) {
+      throw new BookingPolicyError(
+        `Sessions must be booked at least ${settings.booking_min_notice_minutes} minutes in advance`,
+        'BOOKING_TOO_SOON',
+        { min_notice_minutes: settings.booking_min_notice_minutes }
+      );
+    }
+
+    if (settings.booking_max_advance_days && start.getTime() > now.getTime() + settings.booking_max_advance_days * DAY_MS) {
+      throw new BookingPolicyError(
+        `Sessions can be booked at most ${settings.booking_max_advance_days} days in advance`,
+        'BOOKING_TOO_FAR_AHEAD',
+        { max_advance_days: settings.booking_max_advance_days }
+      );
+    }
+
+    const needsPeriods = settings.max_sessions_per_day || settings.max_sessions_per_week || settings.max_new_clients_per_week;
+    if (!needsPeriods) {
+      return;
+    }
+
+    // Inside a transaction, bookings counted against the same caps queue up here
+    await db.query(`SELECT id FROM therapists WHERE id = $1 FOR NO KEY UPDATE`, [slot.therapist_id]);
+
+    const periods = this.getPeriods(start, timeZone);
+
+    if (bookedSeats === 0 && settings.max_sessions_per_day) {
+      const sessions = await this.countSessions(slot.therapist_id, periods.day.start, periods.day.end, { excludeBookingId, db });
+      if (sessions >= settings.max_sessions_per_day) {
+        throw new BookingPolicyError('The therapist has no more sessions available that day', 'DAILY_LIMIT_REACHED', {
+          max_sessions_per_day: settings.max_sessions_per_day
+        });
+      }
+    }
+
+    if (bookedSeats === 0 && settings.max_sessions_per_week) {
+      const sessions = await this.countSessions(slot.therapist_id, periods.week.start, periods.week.end, { excludeBookingId, db });
+      if (sessions >= settings.max_sessions_per_week) {
+        throw new BookingPolicyError('The therapist has no more sessions available that week', 'WEEKLY_LIMIT_REACHED', {
+          max_sessions_per_week: settings.max_sessions_per_week
+        });
+      }
+    }
+
+    if (settings.max_new_clients_per_week) {
+      const previous = await db.query(
+        `SELECT 1 FROM session_bookings
+         WHERE therapist_id = $1 AND user_id = $2 AND status NOT IN ${CANCELLED_STATUSES_SQL} AND id IS DISTINCT FROM $3::integer
+         LIMIT 1`,
+        [slot.therapist_id, userId, excludeBookingId]
+      );
+
+      if (previous.rows.length === 0) {
+        const newClients = await this.countNewClients(slot.therapist_id, periods.week.start, periods.week.end, { excludeBookingId, db });
+        if (newClients >= settings.max_new_clients_per_week) {
+          throw new BookingPolicyError('The therapist is not taking more new clients that week', 'NEW_CLIENT_LIMIT_REACHED', {
+            max_new_clients_per_week: settings.max_new_clients_per_week
+          });
+        }
+      }
+    }
+  }
+}
+
+module.exports = BookingPolicy;
@@ -0,0 +1,354 @@
+const { query, withTransaction } = require('../config/database');
+const Availability = require('./Availability');
+const SessionBooking = require('./SessionBooking');
+const { AppError, ConflictError, NotFoundError } = require('../utils/errors');
+const { normalizeTimeZone, zonedTimeToUtc, formatInTimeZone, addDays, toDateString } = require('../utils/timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days between occurrences for each series frequency
+const FREQUENCY_DAYS = {
+  weekly: 7,
+  biweekly: 14
+};
+
+// Most occurrences a series books, whatever its end date
+const MAX_OCCURRENCES = 52;
+
+// Therapist-local date and wall time of an instant
+const toLocalParts = (instant, timeZone) => {
+  const local = formatInTimeZone(instant, timeZone);
+  return { date: local.slice(0, 10), time: local.slice(11, 16) };
+};
+
+// Record why an occurrence couldn't be booked or moved
+const toConflict = (startDatetime, error, slotId = null, sessionId = null) => ({
+  start_datetime: startDatetime,
+  slot_id: slotId,
+  session_id: sessionId,
+  code: error.code,
+  message: error.message
+});
+
+class BookingSeries {
+  // Start times of a series' occurrences: the first slot's therapist-local wall time
+  // every 7 or 14 days, so sessions keep their local time across DST changes
+  static getOccurrenceStarts(firstStart, timeZone, frequency, { occurrences = null, untilDate = null } = {}) {
+    const zone = normalizeTimeZone(timeZone);
+    const { date, time } = toLocalParts(firstStart, zone);
+    const lastDate = untilDate ? toDateString(untilDate) : null;
+    const count = Math.min(occurrences || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const starts = [];
+
+    for (let index = 0; index < count; index++) {
+      const occurrenceDate = addDays(date, index * FREQUENCY_DAYS[frequency]);
+      if (lastDate && occurrenceDate > lastDate) {
+        break;
+      }
+      starts.push(zonedTimeToUtc(occurrenceDate, time, zone));
+    }
+
+    return starts;
+  }
+
+  // A therapist's slots starting at the given instants with the given length, keyed
+  // by start time
+  static async findSlotsAt(therapistId, starts, durationMs) {
+    const result = await query(
+      `SELECT id, start_datetime, end_datetime
+       FROM availability_slots
+       WHERE therapist_id = $1 AND start_datetime = ANY($2::timestamptz[])
+         AND status IN ('available', 'booked')
+         AND EXTRACT(EPOCH FROM (end_datetime - start_datetime)) * 1000 = $3`,
+      [therapistId, starts, durationMs]
+    );
+    return new Map(result.rows.map(slot => [new Date(slot.start_datetime).getTime(), slot]));
+  }
+
+  // Get a slot with its therapist's timezone
+  static async getSlotWithTimezone(slotId) {
+    const result = await query(
+      `SELECT ast.*, tp.timezone
+       FROM availability_slots ast
+       LEFT JOIN therapist_profiles tp ON ast.therapist_id = tp.therapist_id
+       WHERE ast.id = $1`,
+      [slotId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Availability slot not found or not available', 'SLOT_NOT_AVAILABLE');
+    }
+    return result.rows[0];
+  }
+
+  // Book a client's recurring series starting from a slot. Each occurrence is booked
+  // on the therapist's slot at the same local time, with the same checks as a single
+  // booking; occurrences that can't be booked are reported as conflicts and skipped.
+  // The series and its bookings are created in one transaction.
+  static async create(firstSlotId, userId, { therapistId = null, frequency, occurrences = null, untilDate = null, appointmentTypeId = null, notes = null, clientEmail = null }) {
+    try {
+      const firstSlot = await this.getSlotWithTimezone(firstSlotId);
+
+      if (therapistId && therapistId !== firstSlot.therapist_id) {
+        throw new ConflictError('This slot belongs to a different therapist', 'SLOT_THERAPIST_MISMATCH');
+      }
+
+      const firstStart = new Date(firstSlot.start_datetime);
+      const durationMs = new Date(firstSlot.end_datetime).getTime() - firstStart.getTime();
+      const starts = this.getOccurrenceStarts(firstStart, firstSlot.timezone, frequency, { occurrences, untilDate });
+      const slots = await this.findSlotsAt(firstSlot.therapist_id, starts, durationMs);
+
+      return await withTransaction(async (client) => {
+        const seriesResult = await client.query(
+          `INSERT INTO session_booking_series (therapist_id, user_id, frequency, occurrences, until_date, appointment_type_id)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [firstSlot.therapist_id, userId, frequency, occurrences, untilDate, appointmentTypeId]
+        );
+        const series = seriesResult.rows[0];
+
+        const bookings = [];
+        const conflicts = [];
+        for (const start of starts) {
+          const slot = slots.get(start.getTime());
+          if (!slot) {
+            conflicts.push(toConflict(start, {
+              code: 'NO_MATCHING_SLOT',
+              message: 'The therapist has no slot at this time'
+            }));
+            continue;
+          }
+
+          try {
+            const { booking } = await Availability.bookSlot(slot.id, userId, {
+              appointment_type_id: appointmentTypeId,
+              notes,
+              series_id: series.id,
+              client_email: clientEmail
+            }, { db: client });
+            bookings.push({ ...booking, start_datetime: slot.start_datetime, end_datetime: slot.end_datetime });
+          } catch (error) {
+            if (!(error instanceof AppError)) {
+              throw error;
+            }
+            conflicts.push(toConflict(start, error, slot.id));
+          }
+        }
+
+        // Nothing booked: the series row is rolled back with the error
+        if (bookings.length === 0) {
+          throw new ConflictError('None of the series sessions could be booked', 'SERIES_NOT_BOOKED', { conflicts });
+        }
+
+        return { series, bookings, conflicts };
+      });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error creating booking series:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Get a series as seen by its client (userId) or therapist (therapistId); with lock
+  // the series row stays locked until the caller's transaction ends
+  static async findForScope(seriesId, { userId = null, therapistId = null } = {}, { lock = false, db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `SELECT * FROM session_booking_series
+         WHERE id = $1
+           AND ($2::integer IS NULL OR user_id = $2)
+           AND ($3::integer IS NULL OR therapist_id = $3)
+         ${lock ? 'FOR UPDATE' : ''}`,
+        [seriesId, userId, therapistId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding booking series:', error);
+      throw error;
+    }
+  }
+
+  // Get a series' sessions with their slot times, in order
+  static async getSessions(seriesId, { db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `SELECT sb.*, ast.start_datetime, ast.end_datetime
+         FROM session_bookings sb
+         JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+         WHERE sb.series_id = $1
+         ORDER BY ast.start_datetime, sb.id`,
+        [seriesId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting series sessions:', error);
+      throw error;
+    }
+  }
+
+  // Get a client's or therapist's series, most recent first
+  static async listForScope({ userId = null, therapistId = null } = {}) {
+    try {
+      const result = await query(
+        `SELECT sbs.*,
+                COUNT(sb.id) FILTER (WHERE sb.status IN ('requested', 'scheduled') AND ast.start_datetime > NOW())::integer as upcoming_sessions,
+                MIN(ast.start_datetime) FILTER (WHERE sb.status IN ('requested', 'scheduled') AND ast.start_datetime > NOW()) as next_session_at
+         FROM session_booking_series sbs
+         LEFT JOIN session_bookings sb ON sb.series_id = sbs.id
+         LEFT JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+         WHERE ($1::integer IS NULL OR sbs.user_id = $1)
+           AND ($2::integer IS NULL OR sbs.therapist_id = $2)
+         GROUP BY sbs.id
+         ORDER BY sbs.created_at DESC`,
+        [userId, therapistId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error listing booking series:', error);
+      throw error;
+    }
+  }
+
+  // Get an active series and its upcoming sessions that can still be changed
+  static async getActiveWithUpcoming(seriesId, scope, { lock = false, db = { query } } = {}) {
+    const series = await this.findForScope(seriesId, scope, { lock, db });
+    if (!series) {
+      throw new NotFoundError('Booking series not found or access denied', 'SERIES_NOT_FOUND');
+    }
+    if (series.status !== 'active') {
+      throw new ConflictError('This booking series has been cancelled', 'SERIES_CANCELLED');
+    }
+
+    const sessions = await this.getSessions(seriesId, { db });
+    const upcoming = sessions.filter(session =>
+      ['requested', 'scheduled'].includes(session.status) && new Date(session.start_datetime) > new Date()
+    );
+    return { series, upcoming };
+  }
+
+  // Cancel every upcoming session of a series and end the series, all in one
+  // transaction: if any session can't be cancelled, nothing is. Any late-cancel
+  // fees are quoted together and must be accepted before anything is cancelled.
+  static async cancelUpcoming(seriesId, scope, { cancelledByRole, changedBy = null, reason = null, acceptFee = false }) {
+    try {
+      return await withTransaction(async (client) => {
+        const { series, upcoming } = await this.getActiveWithUpcoming(seriesId, scope, { lock: true, db: client });
+
+        const quotes = [];
+        for (const session of upcoming) {
+          quotes.push(await SessionBooking.getCancellationQuote(session.id, scope, cancelledByRole));
+        }
+        const totalFee = Math.round(quotes.reduce((sum, quote) => sum + quote.fee * 100, 0)) / 100;
+
+        if (totalFee > 0 && !acceptFee) {
+          throw new ConflictError(
+            `Cancelling the series now carries late-cancellation fees of ${totalFee.toFixed(2)} ${quotes[0].currency}`,
+            'CANCELLATION_FEE_NOT_ACCEPTED',
+            { total_fee: totalFee, quotes }
+          );
+        }
+
+        const cancelled = [];
+        for (const session of upcoming) {
+          const result = await SessionBooking.cancel(session.id, scope, {
+            cancelledByRole, changedBy, reason, acceptFee, db: client
+          });
+          cancelled.push(result.session);
+        }
+
+        const updated = await client.query(
+          `UPDATE session_booking_series SET status = 'cancelled', cancelled_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+          [series.id]
+        );
+
+        return { series: updated.rows[0], cancelled, total_fee: totalFee };
+      });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error cancelling booking series:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Move every upcoming session of a series to a new day and time, starting from a
+  // new first slot. Later sessions keep their spacing and land on the therapist's
+  // slots at the new local time; sessions that can't move are reported as conflicts
+  // and keep their current slot.
+  static async rescheduleUpcoming(seriesId, newFirstSlotId, scope, { rescheduledBy, rescheduledByRole, reason = null }) {
+    try {
+      const { series, upcoming } = await this.getActiveWithUpcoming(seriesId, scope);
+
+      if (upcoming.length === 0) {
+        throw new ConflictError('This booking series has no upcoming sessions to move', 'SERIES_HAS_NO_UPCOMING_SESSIONS');
+      }
+
+      const newFirstSlot = await this.getSlotWithTimezone(newFirstSlotId);
+      if (newFirstSlot.therapist_id !== series.therapist_id) {
+        throw new ConflictError('This slot belongs to a different therapist', 'SLOT_THERAPIST_MISMATCH');
+      }
+
+      const zone = normalizeTimeZone(newFirstSlot.timezone);
+      const newFirst = toLocalParts(newFirstSlot.start_datetime, zone);
+      const currentFirstDate = toLocalParts(upcoming[0].start_datetime, zone).date;
+      const durationMs = new Date(newFirstSlot.end_datetime).getTime() - new Date(newFirstSlot.start_datetime).getTime();
+
+      const targets = upcoming.map(session => {
+        const offsetDays = Math.round(
+          (Date.parse(toLocalParts(session.start_datetime, zone).date) - Date.parse(currentFirstDate)) / DAY_MS
+        );
+        return { session, start: zonedTimeToUtc(addDays(newFirst.date, offsetDays), newFirst.time, zone) };
+      });
+      const slots = await this.findSlotsAt(series.therapist_id, targets.map(target => target.start), durationMs);
+
+      // Moving later, start from the last session so each one moves into a slot
+      // the next one has already left
+      const movingLater = targets[0].start > new Date(upcoming[0].start_datetime);
+      const ordered = movingLater ? [...targets].reverse() : targets;
+
+      const rescheduled = [];
+      const conflicts = [];
+      for (const { session, start } of ordered) {
+        const slot = slots.get(start.getTime());
+        if (!slot) {
+          conflicts.push(toConflict(start, {
+            code: 'NO_MATCHING_SLOT',
+            message: 'The therapist has no slot at this time'
+          }, null, session.id));
+          continue;
+        }
+        if (slot.id === session.availability_slot_id) {
+          continue;
+        }
+
+        try {
+          rescheduled.push(await Availability.rescheduleBooking(session.id, slot.id, {
+            ...scope,
+            rescheduledBy,
+            rescheduledByRole,
+            reason
+          }));
+        } catch (error) {
+          if (!(error instanceof AppError)) {
+            throw error;
+          }
+          conflicts.push(toConflict(start, error, slot.id, session.id));
+        }
+      }
+
+      conflicts.sort((a, b) => a.start_datetime - b.start_datetime);
+
+      return { series, rescheduled, conflicts };
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error rescheduling booking series:', error);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = BookingSeries;
@@ -0,0 +1,227 @@
+const { query, withTransaction } = require('../config/database');
+const { OPEN_STATUSES_SQL } = require('../utils/sessionLifecycle');
+
+class CalendarImport {
+  // Get a therapist's imported calendars
+  static async getByTherapist(therapistId) {
+    try {
+      const result = await query(
+        `SELECT * FROM availability_calendar_imports WHERE therapist_id = $1 ORDER BY source_name`,
+        [therapistId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting calendar imports:', error);
+      throw error;
+    }
+  }
+
+  // Get imported busy occurrences overlapping a range
+  static async getBusyIntervals(therapistId, startDate, endDate) {
+    try {
+      const result = await query(
+        `SELECT aeb.*, aci.source_name
+         FROM availability_external_busy aeb
+         JOIN availability_calendar_imports aci ON aeb.import_id = aci.id
+         WHERE aeb.therapist_id = $1 AND aeb.start_datetime < $3 AND aeb.end_datetime > $2
+         ORDER BY aeb.start_datetime`,
+        [therapistId, startDate, endDate]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting external busy intervals:', error);
+      throw error;
+    }
+  }
+
+  // Reason stored on slots blocked by an imported event
+  static buildBlockReason(busy) {
+    return `Busy: ${busy.summary || 'External event'} (imported from ${busy.source_name}, UID ${busy.event_uid})`;
+  }
+
+  // Replace a source's busy times within a window with freshly expanded occurrences,
+  // in one transaction. Re-importing the same file changes nothing; occurrences that
+  // disappeared from the file are removed and the future slots they blocked are reopened.
+  static async import(therapistId, sourceName, occurrences, windowStart, windowEnd) {
+    try {
+      return await withTransaction(async (client) => {
+        // The upsert locks the import row, so concurrent imports of a source run one at a time
+        const importResult = await client.query(
+          `INSERT INTO availability_calendar_imports (therapist_id, source_name)
+           VALUES ($1, $2)
+           ON CONFLICT (therapist_id, source_name) DO UPDATE SET source_name = EXCLUDED.source_name
+           RETURNING *`,
+          [therapistId, sourceName]
+        );
+        const calendarImport = importResult.rows[0];
+
+        // Remove busy times in the window that are no longer in the file
+        const keyOf = (uid, occurrenceStart) => `${uid}|${new Date(occurrenceStart).getTime()}`;
+        const incomingKeys = new Set(occurrences.map(occurrence => keyOf(occurrence.uid, occurrence.occurrence_start)));
+
+        const existing = await client.query(
+          `SELECT id, event_uid, occurrence_start FROM availability_external_busy
+           WHERE import_id = $1 AND start_datetime < $3 AND end_datetime > $2`,
+          [calendarImport.id, windowStart, windowEnd]
+        );
+        const staleIds = existing.rows
+          .filter(row => !incomingKeys.has(keyOf(row.event_uid, row.occurrence_start)))
+          .map(row => row.id);
+
+        let reopenedSlots = 0;
+        if (staleIds.length > 0) {
+          reopenedSlots += await this.reopenSlots(staleIds, { db: client });
+          await client.query(`DELETE FROM availability_external_busy WHERE id = ANY($1)`, [staleIds]);
+        }
+
+        // Upsert incoming occurrences and reopen slots left behind by moved ones
+        const busyRows = [];
+        let created = 0;
+        for (const occurrence of occurrences) {
+          const result = await client.query(
+            `INSERT INTO availability_external_busy (
+              import_id, therapist_id, event_uid, occurrence_start, start_datetime, end_datetime, summary
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+            ON CONFLICT (import_id, event_uid, occurrence_start) DO UPDATE SET
+              start_datetime = EXCLUDED.start_datetime,
+              end_datetime = EXCLUDED.end_datetime,
+              summary = EXCLUDED.summary
+            RETURNING *, (xmax = 0) as inserted`,
+            [
+              calendarImport.id, therapistId, occurrence.uid, occurrence.occurrence_start,
+              occurrence.start, occurrence.end, occurrence.summary
+            ]
+          );
+          const busy = { ...result.rows[0], source_name: sourceName };
+          if (busy.inserted) {
+            created++;
+          }
+          busyRows.push(busy);
+
+          reopenedSlots += await this.reopenSlots([busy.id], {
+            outside: { start: busy.start_datetime, end: busy.end_datetime },
+            db: client
+          });
+        }
+
+        // Block future available slots overlapping busy times, and report booked
+        // sessions that clash so the therapist can deal with them. Slots time off
+        // already blocks are tagged as well, so they stay blocked while either remains.
+        const blockedSlots = [];
+        const bookedConflicts = [];
+        for (const busy of busyRows) {
+          const blocked = await client.query(
+            `UPDATE availability_slots
+             SET status = 'blocked', blocked_by_external_busy_id = $2, block_reason = $5
+             WHERE therapist_id = $1 AND start_datetime > NOW()
+               AND (status = 'available' OR (
+                 status = 'blocked' AND blocked_by_external_busy_id IS NULL AND blocked_by_time_off_id IS NOT NULL
+               ))
+               AND tstzrange(start_datetime, end_datetime) && tstzrange($3, $4)
+             RETURNING *`,
+            [therapistId, busy.id, busy.start_datetime, busy.end_datetime, this.buildBlockReason(busy)]
+          );
+          blockedSlots.push(...blocked.rows);
+
+          const booked = await client.query(
+            `SELECT sb.id, sb.user_id, sb.status, ast.id as slot_id, ast.start_datetime, ast.end_datetime
+             FROM session_bookings sb
+             JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+             WHERE ast.therapist_id = $1 AND sb.status IN ${OPEN_STATUSES_SQL} AND ast.start_datetime > NOW()
+               AND tstzrange(ast.start_datetime, ast.end_datetime) && tstzrange($2, $3)`,
+            [therapistId, busy.start_datetime, busy.end_datetime]
+          );
+          booked.rows.forEach(session => {
+            bookedConflicts.push({ ...session, event_uid: busy.event_uid, summary: busy.summary });
+          });
+        }
+
+        const updatedImport = await client.query(
+          `UPDATE availability_calendar_imports
+           SET window_start = $2, window_end = $3, last_imported_at = NOW(),
+               busy_count = (SELECT COUNT(*) FROM availability_external_busy WHERE import_id = $1)
+           WHERE id = $1
+           RETURNING *`,
+          [calendarImport.id, windowStart, windowEnd]
+        );
+
+        return {
+          calendar_import: updatedImport.rows[0],
+          busy_created: created,
+          busy_updated: busyRows.length - created,
+          busy_removed: staleIds.length,
+          blocked_slots: blockedSlots,
+          reopened_slots: reopenedSlots,
+          booked_conflicts: bookedConflicts
+        };
+      });
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      throw error;
+    }
+  }
+
+  // Reopen future slots blocked by the given busy occurrences, or only those outside
+  // the range an occurrence has moved to, and return how many reopened. Slots time
+  // off also covers stay blocked under the time off; recurring time off is only
+  // known here through the slots it tagged.
+  static async reopenSlots(busyIds, { outside = null, db = { query } } = {}) {
+    try {
+      const released = await db.query(
+        `WITH released AS (
+           SELECT ast.id, COALESCE(ast.blocked_by_time_off_id, (
+             SELECT ato.id FROM availability_time_off ato
+             WHERE ato.therapist_id = ast.therapist_id AND ato.recurrence = 'none'
+               AND tstzrange(ato.start_datetime, ato.end_datetime) && tstzrange(ast.start_datetime, ast.end_datetime)
+             ORDER BY ato.start_datetime
+             LIMIT 1
+           )) as time_off_id
+           FROM availability_slots ast
+           WHERE ast.blocked_by_external_busy_id = ANY($1) AND ast.status = 'blocked' AND ast.start_datetime > NOW()
+             AND ($2::timestamptz IS NULL
+               OR NOT (tstzrange(ast.start_datetime, ast.end_datetime) && tstzrange($2, $3)))
+         )
+         UPDATE availability_slots ast
+         SET status = CASE WHEN released.time_off_id IS NULL THEN 'available' ELSE 'blocked' END,
+             blocked_by_external_busy_id = NULL, blocked_by_time_off_id = released.time_off_id, block_reason = NULL
+         FROM released
+         WHERE ast.id = released.id
+         RETURNING ast.status`,
+        [busyIds, outside ? outside.start : null, outside ? outside.end : null]
+      );
+      return released.rows.filter(slot => slot.status === 'available').length;
+    } catch (error) {
+      console.error('Error reopening externally blocked slots:', error);
+      throw error;
+    }
+  }
+
+  // Remove an imported calendar and reopen the future slots it blocked
+  static async delete(importId, therapistId) {
+    try {
+      return await withTransaction(async (client) => {
+        const busy = await client.query(
+          `SELECT aeb.id FROM availability_external_busy aeb
+           JOIN availability_calendar_imports aci ON aeb.import_id = aci.id
+           WHERE aci.id = $1 AND aci.therapist_id = $2`,
+          [importId, therapistId]
+        );
+        const reopenedSlots = busy.rows.length > 0
+          ? await this.reopenSlots(busy.rows.map(row => row.id), { db: client })
+          : 0;
+
+        const result = await client.query(
+          `DELETE FROM availability_calendar_imports WHERE id = $1 AND therapist_id = $2 RETURNING *`,
+          [importId, therapistId]
+        );
+
+        return result.rows[0] ? { calendar_import: result.rows[0], reopened_slots: reopenedSlots } : null;
+      });
+    } catch (error) {
+      console.error('Error deleting calendar import:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CalendarImport;
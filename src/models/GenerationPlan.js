@@ -0,0 +1,103 @@
+const { query } = require('../config/database');
+const Availability = require('./Availability');
+const { AppError, ConflictError, NotFoundError } = require('../utils/errors');
+
+// How long a previewed plan can be applied for
+const PLAN_TTL_MINUTES = 60;
+
+class GenerationPlan {
+  // Store a previewed plan so it can be applied later
+  static async create(therapistId, plan) {
+    try {
+      const result = await query(
+        `INSERT INTO availability_generation_plans (therapist_id, template_id, plan, expires_at)
+         VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 minute')
+         RETURNING id, therapist_id, template_id, status, expires_at, created_at`,
+        [therapistId, plan.template_id, JSON.stringify(plan), PLAN_TTL_MINUTES]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating generation plan:', error);
+      throw error;
+    }
+  }
+
+  // Get a therapist's stored plan by ID
+  static async findById(planId, therapistId) {
+    try {
+      const result = await query(
+        `SELECT * FROM availability_generation_plans WHERE id = $1 AND therapist_id = $2`,
+        [planId, therapistId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding generation plan:', error);
+      throw error;
+    }
+  }
+
+  // Apply a stored plan exactly once. Plans are refused once expired or if the
+  // template changed after the preview.
+  static async apply(planId, therapistId) {
+    try {
+      const stored = await this.findById(planId, therapistId);
+
+      if (!stored) {
+        throw new NotFoundError('Generation plan not found', 'PLAN_NOT_FOUND');
+      }
+      if (stored.status === 'applied') {
+        throw new ConflictError('Generation plan has already been applied', 'PLAN_ALREADY_APPLIED');
+      }
+      if (new Date(stored.expires_at) <= new Date()) {
+        throw new AppError('Generation plan has expired; preview again', 410, 'PLAN_EXPIRED');
+      }
+
+      const { plan } = stored;
+      const template = await Availability.getTemplateById(plan.template_id, therapistId);
+
+      if (!template || new Date(template.updated_at).getTime() !== new Date(plan.template_updated_at).getTime()) {
+        throw new ConflictError('Template has changed since the preview; preview again', 'PLAN_STALE');
+      }
+
+      // Claim the plan before writing so concurrent applies can't both create slots
+      const claimed = await query(
+        `UPDATE availability_generation_plans
+         SET status = 'applied', applied_at = NOW()
+         WHERE id = $1 AND status = 'pending' AND expires_at > NOW()
+         RETURNING id`,
+        [planId]
+      );
+
+      if (claimed.rows.length === 0) {
+        throw new ConflictError('Generation plan has already been applied', 'PLAN_ALREADY_APPLIED');
+      }
+
+      const result = await Availability.applyGenerationPlan(plan);
+      return { plan_id: stored.id, template_id: plan.template_id, ...result };
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error applying generation plan:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Remove plans that expired without being applied
+  static async cleanupExpired() {
+    try {
+      const result = await query(
+        `DELETE FROM availability_generation_plans
+         WHERE status = 'pending' AND expires_at < NOW()
+         RETURNING id`
+      );
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error cleaning up generation plans:', error);
+      throw error;
+    }
+  }
+}
+
+GenerationPlan.PLAN_TTL_MINUTES = PLAN_TTL_MINUTES;
+
+module.exports = GenerationPlan;
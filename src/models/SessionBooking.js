@@ -0,0 +1,460 @@
+const { query, withTransaction } = require('../config/database');
+const TherapistSettings = require('./TherapistSettings');
+const { AppError, BookingPolicyError, ConflictError, NotFoundError } = require('../utils/errors');
+const { OPEN_STATUSES_SQL, STATUS_TIMESTAMPS, assertTransition, canTransition, requiresStartedSession } = require('../utils/sessionLifecycle');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+class SessionBooking {
+  // Get a booking with its slot times and the rate its fees are based on: the
+  // booking's own rate, else the client's agreed rate, else the therapist's rate.
+  // Scope it to the client (userId) or therapist (therapistId) acting on it; with
+  // lock the booking row stays locked until the caller's transaction ends.
+  static async findForScope(bookingId, { userId = null, therapistId = null } = {}, { lock = false, db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `SELECT sb.*, ast.start_datetime, ast.end_datetime,
+                COALESCE(sb.session_rate, tc.session_rate, tp.session_rate) as fee_base_rate,
+                CASE WHEN sb.session_rate IS NOT NULL THEN sb.currency
+                     WHEN tc.session_rate IS NOT NULL THEN tc.currency
+                     WHEN tp.session_rate IS NOT NULL THEN tp.currency
+                     ELSE sb.currency END as fee_currency
+         FROM session_bookings sb
+         LEFT JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+         LEFT JOIN therapist_profiles tp ON sb.therapist_id = tp.therapist_id
+         LEFT JOIN LATERAL (
+           SELECT session_rate, currency FROM therapist_clients
+           WHERE therapist_id = sb.therapist_id AND user_id = sb.user_id AND relationship_status = 'active'
+           ORDER BY created_at DESC LIMIT 1
+         ) tc ON true
+         WHERE sb.id = $1
+           AND ($2::integer IS NULL OR sb.user_id = $2)
+           AND ($3::integer IS NULL OR sb.therapist_id = $3)
+         ${lock ? 'FOR UPDATE OF sb' : ''}`,
+        [bookingId, userId, therapistId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding session booking:', error);
+      throw error;
+    }
+  }
+
+  // A fixed fee, or a percentage of the rate rounded to cents (nothing when the
+  // rate is unknown). No fee type means no fee.
+  static computeFee(feeType, feeAmount, rate) {
+    if (!feeType || feeAmount === null || feeAmount === undefined) {
+      return 0;
+    }
+    if (feeType === 'fixed') {
+      return parseFloat(feeAmount);
+    }
+    if (rate === null || rate === undefined) {
+      return 0;
+    }
+    return Math.round(parseFloat(rate) * parseFloat(feeAmount)) / 100;
+  }
+
+  // Work out what cancelling a booking now would cost. Clients cancelling a
+  // scheduled session inside the therapist's free-cancel window pay the late-cancel
+  // fee; cancellations by the therapist are always free.
+  static quoteCancellation(booking, settings, cancelledByRole, now = new Date()) {
+    const freeUntil = booking.start_datetime
+      ? new Date(new Date(booking.start_datetime).getTime() - settings.cancellation_window_hours * HOUR_MS)
+      : null;
+    const isLate = cancelledByRole === 'client' && booking.status === 'scheduled' && freeUntil !== null && now > freeUntil;
+    const fee = isLate
+      ? this.computeFee(settings.late_cancel_fee_type, settings.late_cancel_fee_amount, booking.fee_base_rate)
+      : 0;
+
+    return {
+      session_id: booking.id,
+      cancelled_by_role: cancelledByRole,
+      status: this.getCancelledStatus(cancelledByRole, isLate),
+      free_cancellation_until: freeUntil,
+      is_late: isLate,
+      fee,
+      fee_type: fee > 0 ? 'late_cancel' : null,
+      currency: booking.fee_currency,
+      policy: {
+        cancellation_window_hours: settings.cancellation_window_hours,
+        late_cancel_fee_type: settings.late_cancel_fee_type,
+        late_cancel_fee_amount: settings.late_cancel_fee_amount,
+        no_show_fee_type: settings.no_show_fee_type,
+        no_show_fee_amount: settings.no_show_fee_amount
+      }
+    };
+  }
+
+  // The status a cancellation leaves a session in
+  static getCancelledStatus(cancelledByRole, isLate) {
+    if (cancelledByRole === 'therapist') {
+      return 'cancelled_by_therapist';
+    }
+    return isLate ? 'late_cancelled' : 'cancelled_by_client';
+  }
+
+  // Quote the cancellation of a booking without cancelling it
+  static async getCancellationQuote(bookingId, scope, cancelledByRole) {
+    try {
+      const booking = await this.findForScope(bookingId, scope);
+      this.assertCancellable(booking, cancelledByRole);
+
+      const settings = await TherapistSettings.findByTherapistId(booking.therapist_id);
+      return this.quoteCancellation(booking, settings, cancelledByRole);
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error quoting session cancellation:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Check a booking exists and the role can still cancel it
+  static assertCancellable(booking, cancelledByRole) {
+    if (!booking) {
+      throw new NotFoundError('Session not found or access denied', 'SESSION_NOT_FOUND');
+    }
+    if (!canTransition(booking.status, this.getCancelledStatus(cancelledByRole, false), cancelledByRole)) {
+      throw new ConflictError('Only requested or scheduled sessions can be cancelled', 'SESSION_NOT_CANCELLABLE', {
+        session_status: booking.status
+      });
+    }
+  }
+
+  // Cancel a scheduled booking and record the fee it carries. A client must accept
+  // a fee before it is charged; until then the cancellation is refused with the
+  // quote, so the charge is never a surprise. Joins the caller's transaction when
+  // given one.
+  static async cancel(bookingId, scope, { cancelledByRole, changedBy = null, reason = null, acceptFee = false, db = { query } }) {
+    try {
+      const cancelSession = async (client) => {
+        const booking = await this.findForScope(bookingId, scope, { lock: true, db: client });
+        this.assertCancellable(booking, cancelledByRole);
+
+        const settings = await TherapistSettings.findByTherapistId(booking.therapist_id, { db: client });
+        const quote = this.quoteCancellation(booking, settings, cancelledByRole);
+
+        if (quote.fee > 0 && !acceptFee) {
+          throw new ConflictError(
+            `Cancelling now carries a late-cancellation fee of ${quote.fee.toFixed(2)} ${quote.currency}`,
+            'CANCELLATION_FEE_NOT_ACCEPTED',
+            { quote }
+          );
+        }
+
+        const session = await this.applyTransition(booking, quote.status, {
+          role: cancelledByRole,
+          changedBy,
+          reason,
+          fields: {
+            notes: booking.notes ? `${booking.notes} | ${reason || 'Session cancelled'}` : reason || 'Session cancelled',
+            cancelled_by_role: cancelledByRole,
+            cancellation_fee: quote.fee,
+            cancellation_fee_type: quote.fee_type
+          },
+          db: client
+        });
+
+        return { session, quote };
+      };
+
+      return await withTransaction(cancelSession, { db });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error cancelling session:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Record a no-show and the therapist's no-show fee on a booking once the session
+  // has started. The scheduler marks no-shows as the 'system' role.
+  static async markNoShow(bookingId, therapistId, { role = 'therapist', changedBy = null, reason = null, db = { query } } = {}) {
+    try {
+      return await withTransaction(async (client) => {
+        const booking = await this.findForScope(bookingId, { therapistId }, { lock: true, db: client });
+
+        if (!booking) {
+          throw new NotFoundError('Session not found or access denied', 'SESSION_NOT_FOUND');
+        }
+
+        const settings = await TherapistSettings.findByTherapistId(booking.therapist_id, { db: client });
+        const fee = this.computeFee(settings.no_show_fee_type, settings.no_show_fee_amount, booking.fee_base_rate);
+
+        const session = await this.applyTransition(booking, 'no_show', {
+          role,
+          changedBy,
+          reason,
+          fields: {
+            cancellation_fee: fee,
+            cancellation_fee_type: fee > 0 ? 'no_show' : null
+          },
+          db: client
+        });
+
+        return { session, fee, currency: booking.fee_currency };
+      }, { db });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error marking session as no-show:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Move a booking to another status if the role may, stamping the transition on the
+  // booking along with any extra fields and recording it in the status history.
+  // Attendance is only recorded once the session has started. Expects the booking
+  // row to be locked by the caller's transaction.
+  static async applyTransition(booking, toStatus, { role, changedBy = null, reason = null, fields = {}, db = { query } }) {
+    assertTransition(booking.status, toStatus, role);
+    if (requiresStartedSession(toStatus)) {
+      await this.assertSessionStarted(booking, toStatus, { db });
+    }
+
+    const assignments = ['status = $2', `${STATUS_TIMESTAMPS[toStatus]} = NOW()`];
+    const values = [booking.id, toStatus];
+    for (const [column, value] of Object.entries(fields)) {
+      values.push(value);
+      assignments.push(`${column} = $${values.length}`);
+    }
+
+    const result = await db.query(
+      `UPDATE session_bookings SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      values
+    );
+    await this.recordStatusChange(booking.id, booking.status, toStatus, { role, changedBy, reason, db });
+
+    return result.rows[0];
+  }
+
+  // Check a booking's session has started, locking its slot so the session can't be
+  // moved to a later time until the caller's transaction ends
+  static async assertSessionStarted(booking, toStatus, { db = { query } } = {}) {
+    const result = await db.query(
+      `SELECT start_datetime, start_datetime <= NOW() as started
+       FROM availability_slots WHERE id = $1
+       FOR UPDATE`,
+      [booking.availability_slot_id]
+    );
+    const slot = result.rows[0];
+
+    if (slot && !slot.started) {
+      throw new BookingPolicyError(
+        `A session can't be moved to ${toStatus} before it starts`,
+        'SESSION_NOT_STARTED',
+        { session_status: booking.status, start_datetime: slot.start_datetime }
+      );
+    }
+  }
+
+  // Add an entry to a booking's status history; fromStatus is null for a new booking
+  static async recordStatusChange(bookingId, fromStatus, toStatus, { role, changedBy = null, reason = null, db = { query } }) {
+    await db.query(
+      `INSERT INTO session_booking_status_history (booking_id, from_status, to_status, changed_by, changed_by_role, reason)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [bookingId, fromStatus, toStatus, changedBy, role, reason]
+    );
+  }
+
+  // Move a booking within its lifecycle on behalf of a client or therapist. Extra
+  // fields (e.g. notes) are updated in the same statement as the status.
+  static async transition(bookingId, scope, toStatus, { role, changedBy = null, reason = null, fields = {}, db = { query } }) {
+    try {
+      return await withTransaction(async (client) => {
+        const booking = await this.findForScope(bookingId, scope, { lock: true, db: client });
+
+        if (!booking) {
+          throw new NotFoundError('Session not found or access denied', 'SESSION_NOT_FOUND');
+        }
+
+        return await this.applyTransition(booking, toStatus, { role, changedBy, reason, fields, db: client });
+      }, { db });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error changing session status:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Cancel a therapist's open bookings on one slot and/or with one client, e.g. when
+  // the slot is cancelled or the relationship ends, on behalf of the given role. A
+  // note is appended to each booking's notes; the reason goes in the status history.
+  // Joins the caller's transaction when given one.
+  static async cancelForTherapist(therapistId, { slotId = null, userId = null, changedBy = null, role = 'therapist', reason = null, note = null, db = { query } } = {}) {
+    try {
+      return await withTransaction(async (client) => {
+        const open = await client.query(
+          `SELECT id, status, notes FROM session_bookings
+           WHERE therapist_id = $1 AND status IN ${OPEN_STATUSES_SQL}
+             AND ($2::integer IS NULL OR availability_slot_id = $2)
+             AND ($3::integer IS NULL OR user_id = $3)
+           ORDER BY id
+           FOR UPDATE`,
+          [therapistId, slotId, userId]
+        );
+
+        const cancelled = [];
+        for (const booking of open.rows) {
+          const fields = { cancelled_by_role: role };
+          if (note) {
+            fields.notes = booking.notes ? `${booking.notes} | ${note}` : note;
+          }
+          cancelled.push(await this.applyTransition(booking, 'cancelled_by_therapist', {
+            role,
+            changedBy,
+            reason,
+            fields,
+            db: client
+          }));
+        }
+
+        return cancelled;
+      }, { db });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error cancelling therapist bookings:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Ask therapists to confirm attendance of sessions still open after their end time
+  // plus the therapist's grace period. Each session is asked about once.
+  static async requestAttendanceConfirmations() {
+    try {
+      const result = await query(
+        `UPDATE session_bookings sb
+         SET attendance_requested_at = NOW()
+         FROM availability_slots ast
+         LEFT JOIN therapist_settings ts ON ts.therapist_id = ast.therapist_id
+         WHERE sb.availability_slot_id = ast.id
+           AND sb.status IN ('scheduled', 'in_progress') AND sb.attendance_requested_at IS NULL
+           AND ast.end_datetime + COALESCE(ts.attendance_grace_minutes, $1) * INTERVAL '1 minute' <= NOW()
+         RETURNING sb.id, sb.therapist_id, sb.user_id, ast.start_datetime, ast.end_datetime`,
+        [TherapistSettings.DEFAULT_SETTINGS.attendance_grace_minutes]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error requesting attendance confirmations:', error);
+      throw error;
+    }
+  }
+
+  // Sessions whose attendance the therapist didn't confirm in time, with the
+  // therapist's chosen action for them
+  static async findUnconfirmedSessions() {
+    try {
+      const result = await query(
+        `SELECT sb.id, sb.therapist_id, sb.user_id,
+                COALESCE(ts.unconfirmed_session_action, $2) as action
+         FROM session_bookings sb
+         LEFT JOIN therapist_settings ts ON ts.therapist_id = sb.therapist_id
+         WHERE sb.status IN ('scheduled', 'in_progress') AND sb.needs_attention_at IS NULL
+           AND sb.attendance_requested_at + COALESCE(ts.attendance_confirmation_hours, $1) * INTERVAL '1 hour' <= NOW()
+         ORDER BY sb.attendance_requested_at, sb.id`,
+        [
+          TherapistSettings.DEFAULT_SETTINGS.attendance_confirmation_hours,
+          TherapistSettings.DEFAULT_SETTINGS.unconfirmed_session_action
+        ]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error finding unconfirmed sessions:', error);
+      throw error;
+    }
+  }
+
+  // Complete a session left unconfirmed, unless it was resolved in the meantime
+  static async completeUnconfirmed(bookingId) {
+    try {
+      return await withTransaction(async (client) => {
+        const booking = await this.findForScope(bookingId, {}, { lock: true, db: client });
+        if (!booking || !['scheduled', 'in_progress'].includes(booking.status)) {
+          return null;
+        }
+
+        return await this.applyTransition(booking, 'completed', {
+          role: 'system',
+          reason: 'Attendance not confirmed; completed automatically',
+          db: client
+        });
+      });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error completing unconfirmed session:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Flag a session left unconfirmed for the therapist to resolve
+  static async flagNeedsAttention(bookingId) {
+    try {
+      const result = await query(
+        `UPDATE session_bookings SET needs_attention_at = NOW()
+         WHERE id = $1 AND status IN ('scheduled', 'in_progress') AND needs_attention_at IS NULL
+         RETURNING *`,
+        [bookingId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error flagging session for attention:', error);
+      throw error;
+    }
+  }
+
+  // A therapist's ended sessions still waiting for attendance to be confirmed,
+  // oldest first, with when they will be resolved automatically
+  static async getAwaitingAttendance(therapistId) {
+    try {
+      const settings = await TherapistSettings.findByTherapistId(therapistId);
+      const result = await query(
+        `SELECT sb.*, ast.start_datetime, ast.end_datetime,
+                CASE WHEN sb.needs_attention_at IS NULL
+                     THEN sb.attendance_requested_at + $2 * INTERVAL '1 hour'
+                END as resolves_at
+         FROM session_bookings sb
+         JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+         WHERE sb.therapist_id = $1 AND sb.status IN ('scheduled', 'in_progress')
+           AND sb.attendance_requested_at IS NOT NULL
+         ORDER BY ast.start_datetime, sb.id`,
+        [therapistId, settings.attendance_confirmation_hours]
+      );
+      return {
+        sessions: result.rows,
+        unconfirmed_session_action: settings.unconfirmed_session_action
+      };
+    } catch (error) {
+      console.error('Error getting sessions awaiting attendance:', error);
+      throw error;
+    }
+  }
+
+  // Get a booking's status history, oldest first
+  static async getStatusHistory(bookingId, scope) {
+    try {
+      const booking = await this.findForScope(bookingId, scope);
+      if (!booking) {
+        throw new NotFoundError('Session not found or access denied', 'SESSION_NOT_FOUND');
+      }
+
+      const result = await query(
+        `SELECT * FROM session_booking_status_history
+         WHERE booking_id = $1
+         ORDER BY created_at, id`,
+        [bookingId]
+      );
+      return { session: booking, history: result.rows };
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error getting session status history:', error);
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = SessionBooking;
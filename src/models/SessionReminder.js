@@ -0,0 +1,203 @@
+const { query } = require('../config/database');
+const SessionBooking = require('./SessionBooking');
+const TherapistSettings = require('./TherapistSettings');
+const { AppError, NotFoundError } = require('../utils/errors');
+const { OPEN_STATUSES_SQL } = require('../utils/sessionLifecycle');
+
+// Delivery attempts before a reminder is given up on, and the first retry delay;
+// each further retry waits twice as long
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MINUTES = 5;
+
+// Reminders still 'sending' after this long were interrupted mid-delivery
+const SENDING_TIMEOUT_MINUTES = 15;
+
+class SessionReminder {
+  // Create the reminders that have come due for upcoming requested and scheduled
+  // sessions. The unique key (booking, recipient, offset, session time) makes this
+  // safe to run repeatedly. A reminder is skipped when a shorter offset is also
+  // already due, so a late booking gets one reminder rather than several at once, or
+  // when there is no address to send it to.
+  static async scheduleDue() {
+    try {
+      const result = await query(
+        `INSERT INTO session_reminders (
+           booking_id, recipient, recipient_address, offset_minutes, session_start, send_at,
+           status, last_error
+         )
+         SELECT sb.id, r.recipient, r.address, o.offset_minutes, ast.start_datetime,
+                ast.start_datetime - o.offset_minutes * INTERVAL '1 minute',
+                CASE WHEN r.address IS NULL OR o.superseded THEN 'skipped' ELSE 'pending' END,
+                CASE WHEN r.address IS NULL THEN 'No address for recipient'
+                     WHEN o.superseded THEN 'Superseded by a later reminder' END
+         FROM session_bookings sb
+         JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+         JOIN therapists t ON sb.therapist_id = t.id
+         LEFT JOIN therapist_settings ts ON sb.therapist_id = ts.therapist_id
+         CROSS JOIN LATERAL (
+           SELECT offsets.minutes as offset_minutes,
+                  EXISTS (
+                    SELECT 1 FROM unnest(COALESCE(ts.reminder_offsets_minutes, $1::integer[])) shorter(minutes)
+                    WHERE shorter.minutes < offsets.minutes
+                      AND ast.start_datetime - shorter.minutes * INTERVAL '1 minute' <= NOW()
+                  ) as superseded
+           FROM unnest(COALESCE(ts.reminder_offsets_minutes, $1::integer[])) offsets(minutes)
+         ) o
+         CROSS JOIN LATERAL (
+           VALUES ('client', sb.client_email), ('therapist', t.email)
+         ) r(recipient, address)
+         WHERE sb.status IN ${OPEN_STATUSES_SQL} AND ast.start_datetime > NOW()
+           AND ast.start_datetime - o.offset_minutes * INTERVAL '1 minute' <= NOW()
+         ON CONFLICT (booking_id, recipient, offset_minutes, session_start) DO NOTHING
+         RETURNING id, status`,
+        [TherapistSettings.DEFAULT_SETTINGS.reminder_offsets_minutes]
+      );
+
+      return result.rows.filter(reminder => reminder.status === 'pending').length;
+    } catch (error) {
+      console.error('Error scheduling session reminders:', error);
+      throw error;
+    }
+  }
+
+  // Claim pending reminders whose time has come, with what's needed to render them.
+  // Claimed reminders are 'sending' until marked sent or failed; SKIP LOCKED keeps
+  // concurrent runs from claiming the same reminder.
+  static async claimDue(limit = 50) {
+    try {
+      const result = await query(
+        `WITH due AS (
+           SELECT id FROM session_reminders
+           WHERE status = 'pending' AND next_attempt_at <= NOW()
+           ORDER BY next_attempt_at, id
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         UPDATE session_reminders sr
+         SET status = 'sending', attempts = sr.attempts + 1, claimed_at = NOW()
+         FROM due, session_bookings sb
+         JOIN availability_slots ast ON sb.availability_slot_id = ast.id
+         LEFT JOIN therapist_profiles tp ON sb.therapist_id = tp.therapist_id
+         LEFT JOIN appointment_types apt ON sb.appointment_type_id = apt.id
+         WHERE sr.id = due.id AND sb.id = sr.booking_id
+         RETURNING sr.*, sb.status as session_status, sb.session_type,
+                   ast.start_datetime, ast.end_datetime,
+                   tp.first_name as therapist_first_name, tp.last_name as therapist_last_name,
+                   tp.timezone, apt.name as appointment_type_name`,
+        [limit]
+      );
+
+      return result.rows;
+    } catch (error) {
+      console.error('Error claiming due reminders:', error);
+      throw error;
+    }
+  }
+
+  // Record a delivered reminder; a client reminder also marks the booking reminded
+  static async markSent(reminder, transport, messageId = null) {
+    try {
+      await query(
+        `UPDATE session_reminders
+         SET status = 'sent', sent_at = NOW(), transport = $2, provider_message_id = $3, last_error = NULL
+         WHERE id = $1`,
+        [reminder.id, transport, messageId]
+      );
+
+      if (reminder.recipient === 'client') {
+        await query(
+          `UPDATE session_bookings SET reminder_sent = true WHERE id = $1`,
+          [reminder.booking_id]
+        );
+      }
+    } catch (error) {
+      console.error('Error marking reminder sent:', error);
+      throw error;
+    }
+  }
+
+  // Record a failed delivery: retry later with backoff, or give up after the last attempt
+  static async markFailed(reminder, deliveryError, transport) {
+    try {
+      const giveUp = reminder.attempts >= MAX_ATTEMPTS;
+      const retryMinutes = RETRY_BASE_MINUTES * 2 ** (reminder.attempts - 1);
+
+      const result = await query(
+        `UPDATE session_reminders
+         SET status = $2, transport = $3, last_error = $4,
+             next_attempt_at = NOW() + $5 * INTERVAL '1 minute'
+         WHERE id = $1
+         RETURNING *`,
+        [reminder.id, giveUp ? 'failed' : 'pending', transport, String(deliveryError.message || deliveryError), retryMinutes]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error marking reminder failed:', error);
+      throw error;
+    }
+  }
+
+  // Drop a reminder whose session was cancelled or moved before it went out
+  static async markCancelled(reminderId, reason) {
+    try {
+      await query(
+        `UPDATE session_reminders SET status = 'cancelled', last_error = $2 WHERE id = $1`,
+        [reminderId, reason]
+      );
+    } catch (error) {
+      console.error('Error cancelling reminder:', error);
+      throw error;
+    }
+  }
+
+  // Reminders left 'sending' by a run that stopped mid-delivery may or may not have
+  // gone out. They are failed rather than retried, so nobody gets a reminder twice.
+  static async failInterruptedDeliveries() {
+    try {
+      const result = await query(
+        `UPDATE session_reminders
+         SET status = 'failed', last_error = 'Delivery was interrupted; not retried to avoid sending twice'
+         WHERE status = 'sending' AND claimed_at < NOW() - $1 * INTERVAL '1 minute'
+         RETURNING id`,
+        [SENDING_TIMEOUT_MINUTES]
+      );
+
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error failing interrupted reminder deliveries:', error);
+      throw error;
+    }
+  }
+
+  // A session's reminders and their delivery status, for the client or therapist
+  static async getForSession(bookingId, scope) {
+    try {
+      const booking = await SessionBooking.findForScope(bookingId, scope);
+      if (!booking) {
+        throw new NotFoundError('Session not found or access denied', 'SESSION_NOT_FOUND');
+      }
+
+      // Clients only see their own reminders
+      const result = await query(
+        `SELECT id, recipient, offset_minutes, session_start, send_at, status, attempts,
+                next_attempt_at, transport, last_error, sent_at, created_at
+         FROM session_reminders
+         WHERE booking_id = $1 AND ($2::boolean OR recipient = 'client')
+         ORDER BY send_at, recipient, id`,
+        [bookingId, Boolean(scope.therapistId)]
+      );
+
+      return { session: booking, reminders: result.rows };
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error getting session reminders:', error);
+      }
+      throw error;
+    }
+  }
+}
+
+SessionReminder.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+module.exports = SessionReminder;
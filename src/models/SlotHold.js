@@ -0,0 +1,183 @@
+const { query, withTransaction } = require('../config/database');
+const Availability = require('./Availability');
+const TherapistSettings = require('./TherapistSettings');
+const { AppError, ConflictError, NotFoundError, PG_ERRORS } = require('../utils/errors');
+
+class SlotHold {
+  // Hold a seat on a slot for a client while they check out. A client holds one slot
+  // at a time: holding another releases the previous hold, and holding the same slot
+  // again returns the existing hold without extending it.
+  static async create(slotId, userId) {
+    try {
+      // Lapsed holds the scheduler hasn't expired yet would block a new one
+      const lapsed = await query(
+        `UPDATE availability_slot_holds SET status = 'expired'
+         WHERE user_id = $1 AND status = 'active' AND expires_at <= NOW()
+         RETURNING slot_id`,
+        [userId]
+      );
+      for (const hold of lapsed.rows) {
+        await Availability.syncSlotFullness(hold.slot_id);
+      }
+
+      const current = await this.getActiveByUser(userId);
+
+      // Check and take the seat under the same slot lock bookings use
+      return await withTransaction(async (client) => {
+        const { slot } = await Availability.assertSeatBookable(slotId, userId, { lock: true, db: client });
+
+        if (current && current.slot_id === slotId) {
+          return { hold: current, slot };
+        }
+
+        if (current) {
+          await client.query(
+            `UPDATE availability_slot_holds SET status = 'released' WHERE id = $1 AND status = 'active'`,
+            [current.id]
+          );
+          await Availability.syncSlotFullness(current.slot_id, { db: client });
+        }
+
+        const settings = await TherapistSettings.findByTherapistId(slot.therapist_id, { db: client });
+        const result = await client.query(
+          `INSERT INTO availability_slot_holds (slot_id, user_id, expires_at)
+           VALUES ($1, $2, NOW() + $3 * INTERVAL '1 minute')
+           RETURNING *`,
+          [slotId, userId, settings.slot_hold_minutes]
+        );
+
+        const updatedSlot = await Availability.syncSlotFullness(slotId, { db: client });
+
+        return { hold: result.rows[0], slot: updatedSlot || slot };
+      });
+    } catch (error) {
+      if (error.code === PG_ERRORS.UNIQUE_VIOLATION) {
+        throw new ConflictError('You are already holding another slot', 'HOLD_ALREADY_ACTIVE');
+      }
+      if (!(error instanceof AppError)) {
+        console.error('Error creating slot hold:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Get a client's unexpired hold, if any
+  static async getActiveByUser(userId) {
+    try {
+      const result = await query(
+        `SELECT * FROM availability_slot_holds
+         WHERE user_id = $1 AND status = 'active' AND expires_at > NOW()`,
+        [userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error getting active slot hold:', error);
+      throw error;
+    }
+  }
+
+  // Get a client's hold
+  static async findById(holdId, userId) {
+    try {
+      const result = await query(
+        `SELECT * FROM availability_slot_holds WHERE id = $1 AND user_id = $2`,
+        [holdId, userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding slot hold:', error);
+      throw error;
+    }
+  }
+
+  // Check a hold can still be confirmed
+  static assertHoldOpen(hold) {
+    if (!hold) {
+      throw new NotFoundError('Slot hold not found', 'HOLD_NOT_FOUND');
+    }
+    if (hold.status !== 'active') {
+      throw new ConflictError(`Slot hold has been ${hold.status}`, 'HOLD_CLOSED', {
+        hold_status: hold.status
+      });
+    }
+    if (new Date(hold.expires_at) <= new Date()) {
+      throw new AppError('Slot hold has expired', 410, 'HOLD_EXPIRED');
+    }
+  }
+
+  // Confirm a hold by booking the held seat; the booking converts the hold
+  static async confirm(holdId, userId, sessionData = {}) {
+    try {
+      const hold = await this.findById(holdId, userId);
+      this.assertHoldOpen(hold);
+
+      const { slot, booking } = await Availability.bookSlot(hold.slot_id, userId, sessionData);
+      const converted = await this.findById(holdId, userId);
+
+      return { hold: converted, slot, booking };
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error confirming slot hold:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Give up a hold, returning its seat to public availability
+  static async release(holdId, userId) {
+    try {
+      const result = await query(
+        `UPDATE availability_slot_holds SET status = 'released'
+         WHERE id = $1 AND user_id = $2 AND status = 'active'
+         RETURNING *`,
+        [holdId, userId]
+      );
+
+      if (result.rows.length > 0) {
+        await Availability.syncSlotFullness(result.rows[0].slot_id);
+      }
+
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error releasing slot hold:', error);
+      throw error;
+    }
+  }
+
+  // Release the holds on a slot that is no longer bookable
+  static async releaseForSlot(slotId, { db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `UPDATE availability_slot_holds SET status = 'released'
+         WHERE slot_id = $1 AND status = 'active'`,
+        [slotId]
+      );
+      return result.rowCount;
+    } catch (error) {
+      console.error('Error releasing slot holds:', error);
+      throw error;
+    }
+  }
+
+  // Expire lapsed holds and return their seats to public availability
+  static async expireHolds() {
+    try {
+      const expired = await query(
+        `UPDATE availability_slot_holds SET status = 'expired'
+         WHERE status = 'active' AND expires_at <= NOW()
+         RETURNING slot_id`
+      );
+
+      for (const slotId of new Set(expired.rows.map(hold => hold.slot_id))) {
+        await Availability.syncSlotFullness(slotId);
+      }
+
+      return expired.rowCount;
+    } catch (error) {
+      console.error('Error expiring slot holds:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SlotHold;
@@ -156,6 +156,37 @@ class Therapist {
     }
   }
 
+  // Conditions matching a therapist (aliased t, profile tp) against the search
+  // filters on specializations, approaches and languages. Appends their values.
+  static profileSearchConditions(filters, values) {
+    let conditions = '';
+
+    if (filters.specializations && filters.specializations.length > 0) {
+      conditions += ` AND EXISTS (
+        SELECT 1 FROM therapist_specializations ts 
+        JOIN specializations s ON ts.specialization_id = s.id 
+        WHERE ts.therapist_id = t.id AND s.name = ANY($${values.length + 1})
+      )`;
+      values.push(filters.specializations);
+    }
+
+    if (filters.approaches && filters.approaches.length > 0) {
+      conditions += ` AND EXISTS (
+        SELECT 1 FROM therapist_approaches ta 
+        JOIN therapy_approaches a ON ta.approach_id = a.id 
+        WHERE ta.therapist_id = t.id AND a.name = ANY($${values.length + 1})
+      )`;
+      values.push(filters.approaches);
+    }
+
+    if (filters.languages && filters.languages.length > 0) {
+      conditions += ` AND tp.languages_spoken && $${values.length + 1}`;
+      values.push(filters.languages);
+    }
+
+    return conditions;
+  }
+
   // Get all therapists with filters
   static async findAll(filters = {}) {
     try {
@@ -174,28 +205,8 @@ class Therapist {
         values.push(filters.is_verified);
       }
 
-      if (filters.specializations && filters.specializations.length > 0) {
-        whereClause += ` AND EXISTS (
-          SELECT 1 FROM therapist_specializations ts 
-          JOIN specializations s ON ts.specialization_id = s.id 
-          WHERE ts.therapist_id = t.id AND s.name = ANY($${paramCount++})
-        )`;
-        values.push(filters.specializations);
-      }
-
-      if (filters.approaches && filters.approaches.length > 0) {
-        whereClause += ` AND EXISTS (
-          SELECT 1 FROM therapist_approaches ta 
-          JOIN therapy_approaches a ON ta.approach_id = a.id 
-          WHERE ta.therapist_id = t.id AND a.name = ANY($${paramCount++})
-        )`;
-        values.push(filters.approaches);
-      }
-
-      if (filters.languages && filters.languages.length > 0) {
-        whereClause += ` AND tp.languages_spoken && $${paramCount++}`;
-        values.push(filters.languages);
-      }
+      whereClause += this.profileSearchConditions(filters, values);
+      paramCount = values.length + 1;
 
       if (filters.min_rating) {
         whereClause += ` AND COALESCE(AVG(tr.rating), 0) >= $${paramCount++}`;
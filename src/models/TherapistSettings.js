@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+// Defaults applied when a therapist has not saved any settings
+const DEFAULT_SETTINGS = {
+  availability_horizon_weeks: 4,
+  calendar_feed_token: null,
+  calendar_feed_include_blocked: false,
+  waitlist_offer_minutes: 60,
+  slot_hold_minutes: 10,
+  cancellation_window_hours: 24,
+  late_cancel_fee_type: null,
+  late_cancel_fee_amount: null,
+  no_show_fee_type: null,
+  no_show_fee_amount: null,
+  attendance_grace_minutes: 30,
+  attendance_confirmation_hours: 24,
+  unconfirmed_session_action: 'complete',
+  reminder_offsets_minutes: [1440, 60],
+  booking_min_notice_minutes: 0,
+  booking_max_advance_days: null,
+  max_sessions_per_day: null,
+  max_sessions_per_week: null,
+  max_new_clients_per_week: null
+};
+
+class TherapistSettings {
+  // Get therapist settings, falling back to defaults. Pass a transaction client as
+  // db to read them inside a transaction.
+  static async findByTherapistId(therapistId, { db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `SELECT * FROM therapist_settings WHERE therapist_id = $1`,
+        [therapistId]
+      );
+
+      return {
+        therapist_id: therapistId,
+        ...DEFAULT_SETTINGS,
+        ...(result.rows[0] || {})
+      };
+    } catch (error) {
+      console.error('Error finding therapist settings:', error);
+      throw error;
+    }
+  }
+
+  // Create or update therapist settings
+  static async upsert(therapistId, settingsData) {
+    try {
+      const columns = [];
+      const values = [therapistId];
+
+      Object.entries(settingsData).forEach(([key, value]) => {
+        if (value !== undefined) {
+          columns.push(key);
+          values.push(value);
+        }
+      });
+
+      if (columns.length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      const placeholders = columns.map((column, index) => `$${index + 2}`);
+      const updates = columns.map(column => `${column} = EXCLUDED.${column}`);
+
+      const result = await query(
+        `INSERT INTO therapist_settings (therapist_id, ${columns.join(', ')})
+         VALUES ($1, ${placeholders.join(', ')})
+         ON CONFLICT (therapist_id) DO UPDATE SET ${updates.join(', ')}
+         RETURNING *`,
+        values
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error updating therapist settings:', error);
+      throw error;
+    }
+  }
+
+  // Find the settings owning a calendar feed token
+  static async findByCalendarFeedToken(token) {
+    try {
+      const result = await query(
+        `SELECT * FROM therapist_settings WHERE calendar_feed_token = $1`,
+        [token]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding calendar feed token:', error);
+      throw error;
+    }
+  }
+
+  // Issue a new calendar feed token, invalidating any previous one
+  static async rotateCalendarFeedToken(therapistId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    return this.upsert(therapistId, { calendar_feed_token: token });
+  }
+
+  // Disable the calendar feed
+  static async revokeCalendarFeedToken(therapistId) {
+    return this.upsert(therapistId, { calendar_feed_token: null });
+  }
+}
+
+TherapistSettings.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
+
+module.exports = TherapistSettings;
@@ -0,0 +1,359 @@
+const { query } = require('../config/database');
+const {
+  normalizeTimeZone, zonedTimeToUtc, formatInTimeZone, getZonedDateString, addDays
+} = require('../utils/timezone');
+const { OPEN_STATUSES_SQL } = require('../utils/sessionLifecycle');
+
+// recurrence_until is returned as 'YYYY-MM-DD' rather than a server-local Date
+const TIME_OFF_COLUMNS = `id, therapist_id, start_datetime, end_datetime, reason, recurrence,
+  TO_CHAR(recurrence_until, 'YYYY-MM-DD') as recurrence_until, created_at, updated_at`;
+
+const RECURRENCE_STEP_DAYS = {
+  daily: 1,
+  weekly: 7
+};
+
+class TimeOff {
+  // Create a time-off block. Changes to a block and its effects on slots run in
+  // the caller's transaction (db), so they apply together or not at all.
+  static async create(therapistId, timeOffData, { db = { query } } = {}) {
+    try {
+      const {
+        start_datetime, end_datetime, reason, recurrence = 'none', recurrence_until
+      } = timeOffData;
+
+      const result = await db.query(
+        `INSERT INTO availability_time_off (
+          therapist_id, start_datetime, end_datetime, reason, recurrence, recurrence_until
+        ) VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${TIME_OFF_COLUMNS}`,
+        [therapistId, start_datetime, end_datetime, reason, recurrence, recurrence_until || null]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error creating time off:', error);
+      throw error;
+    }
+  }
+
+  // Get a therapist's time-off block by ID
+  static async findById(timeOffId, therapistId) {
+    try {
+      const result = await query(
+        `SELECT ${TIME_OFF_COLUMNS} FROM availability_time_off WHERE id = $1 AND therapist_id = $2`,
+        [timeOffId, therapistId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding time off:', error);
+      throw error;
+    }
+  }
+
+  // Get a therapist's time-off blocks, optionally only those active in a range
+  static async getByTherapist(therapistId, startDate = null, endDate = null) {
+    return this.getByTherapists([therapistId], startDate, endDate);
+  }
+
+  // Get the time-off blocks of several therapists in one query, optionally only
+  // those active in a range
+  static async getByTherapists(therapistIds, startDate = null, endDate = null) {
+    try {
+      let whereClause = 'WHERE therapist_id = ANY($1::integer[])';
+      const values = [therapistIds];
+      let paramCount = 2;
+
+      if (endDate) {
+        whereClause += ` AND start_datetime < $${paramCount++}`;
+        values.push(endDate);
+      }
+
+      if (startDate) {
+        // Recurring blocks stay relevant until their recurrence ends
+        whereClause += ` AND (
+          end_datetime > $${paramCount} OR
+          (recurrence <> 'none' AND (recurrence_until IS NULL OR recurrence_until >= $${paramCount}::date))
+        )`;
+        values.push(startDate);
+        paramCount++;
+      }
+
+      const result = await query(
+        `SELECT ${TIME_OFF_COLUMNS} FROM availability_time_off
+         ${whereClause}
+         ORDER BY start_datetime`,
+        values
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting time off:', error);
+      throw error;
+    }
+  }
+
+  // Update a time-off block
+  static async update(timeOffId, therapistId, timeOffData, { db = { query } } = {}) {
+    try {
+      const fields = [];
+      const values = [];
+      let paramCount = 1;
+
+      Object.entries(timeOffData).forEach(([key, value]) => {
+        if (value !== undefined) {
+          fields.push(`${key} = $${paramCount++}`);
+          values.push(value);
+        }
+      });
+
+      if (fields.length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      values.push(timeOffId, therapistId);
+      const result = await db.query(
+        `UPDATE availability_time_off SET ${fields.join(', ')}
+         WHERE id = $${paramCount++} AND therapist_id = $${paramCount}
+         RETURNING ${TIME_OFF_COLUMNS}`,
+        values
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error updating time off:', error);
+      throw error;
+    }
+  }
+
+  // Delete a time-off block
+  static async delete(timeOffId, therapistId, { db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `DELETE FROM availability_time_off WHERE id = $1 AND therapist_id = $2 RETURNING ${TIME_OFF_COLUMNS}`,
+        [timeOffId, therapistId]
+      );
+      return result.rows[0];
+    } catch (error) {
+      console.error('Error deleting time off:', error);
+      throw error;
+    }
+  }
+
+  // Expand a time-off block into concrete {start, end} occurrences overlapping a range.
+  // Recurrences repeat at the same wall-clock time in the therapist's timezone.
+  static expandOccurrences(timeOff, rangeStart, rangeEnd, timeZone) {
+    const zone = normalizeTimeZone(timeZone);
+    const start = new Date(timeOff.start_datetime);
+    const end = new Date(timeOff.end_datetime);
+    const from = new Date(rangeStart);
+    const to = new Date(rangeEnd);
+    const duration = end.getTime() - start.getTime();
+    const occurrences = [];
+
+    const pushIfOverlapping = (occurrenceStart) => {
+      const occurrenceEnd = new Date(occurrenceStart.getTime() + duration);
+      if (occurrenceStart < to && occurrenceEnd > from) {
+        occurrences.push({ time_off_id: timeOff.id, start: occurrenceStart, end: occurrenceEnd });
+      }
+    };
+
+    if (!timeOff.recurrence || timeOff.recurrence === 'none') {
+      pushIfOverlapping(start);
+      return occurrences;
+    }
+
+    const localStart = formatInTimeZone(start, zone);
+    const firstDate = localStart.slice(0, 10);
+    const localTime = localStart.slice(11, 16);
+    const until = timeOff.recurrence_until || null;
+    const lastDate = until && until < getZonedDateString(to, zone) ? until : getZonedDateString(to, zone);
+
+    // Skip occurrences that end before the range starts
+    const earliestDate = addDays(getZonedDateString(new Date(from.getTime() - duration), zone), -1);
+
+    if (timeOff.recurrence === 'yearly') {
+      const monthDay = firstDate.slice(5);
+      for (let year = parseInt(firstDate.slice(0, 4), 10); ; year++) {
+        const date = `${year}-${monthDay}`;
+        if (date > lastDate) {
+          break;
+        }
+        // Feb 29 blocks only occur in leap years
+        if (date >= earliestDate && addDays(date, 0) === date) {
+          pushIfOverlapping(zonedTimeToUtc(date, localTime, zone));
+        }
+      }
+      return occurrences;
+    }
+
+    const step = RECURRENCE_STEP_DAYS[timeOff.recurrence];
+    let date = firstDate;
+    if (earliestDate > firstDate) {
+      const daysBehind = Math.floor((new Date(`${earliestDate}T00:00:00Z`) - new Date(`${firstDate}T00:00:00Z`)) / 86400000);
+      date = addDays(firstDate, Math.floor(daysBehind / step) * step);
+    }
+
+    for (; date <= lastDate; date = addDays(date, step)) {
+      pushIfOverlapping(zonedTimeToUtc(date, localTime, zone));
+    }
+
+    return occurrences;
+  }
+
+  // Get all time-off occurrences for a therapist overlapping a range
+  static async getOccurrences(therapistId, rangeStart, rangeEnd, timeZone) {
+    const timeOffBlocks = await this.getByTherapist(therapistId, rangeStart, rangeEnd);
+    return timeOffBlocks.flatMap(timeOff => this.expandOccurrences(timeOff, rangeStart, rangeEnd, timeZone));
+  }
+
+  // Time-off occurrences of several therapists overlapping a range, keyed by therapist
+  // ID. Each therapist's recurring blocks are expanded in their own timezone.
+  static async getOccurrencesByTherapist(timeZonesById, rangeStart, rangeEnd) {
+    const ids = [...timeZonesById.keys()];
+    const timeOffBlocks = await this.getByTherapists(ids, rangeStart, rangeEnd);
+    const occurrences = new Map(ids.map(id => [id, []]));
+
+    timeOffBlocks.forEach(timeOff => {
+      const timeZone = timeZonesById.get(timeOff.therapist_id);
+      occurrences.get(timeOff.therapist_id).push(...this.expandOccurrences(timeOff, rangeStart, rangeEnd, timeZone));
+    });
+
+    return occurrences;
+  }
+
+  // Block available slots inside a time-off block and flag booked sessions it covers.
+  // Slots an imported busy time already blocks are tagged as well, so they stay
+  // blocked while either block remains. Only future slots are touched; recurring
+  // blocks are applied up to the therapist's last slot.
+  static async apply(timeOff, timeZone, { db = { query } } = {}) {
+    try {
+      const rangeResult = await db.query(
+        `SELECT GREATEST(NOW(), $2::timestamptz) as range_start, MAX(end_datetime) as range_end
+         FROM availability_slots WHERE therapist_id = $1`,
+        [timeOff.therapist_id, timeOff.start_datetime]
+      );
+      const { range_start: rangeStart, range_end: rangeEnd } = rangeResult.rows[0];
+
+      if (!rangeEnd || rangeEnd <= rangeStart) {
+        return { blocked_slots: [], affected_bookings: [] };
+      }
+
+      const occurrences = this.expandOccurrences(timeOff, rangeStart, rangeEnd, timeZone);
+      const blockedSlots = [];
+      const affectedBookings = [];
+
+      for (const occurrence of occurrences) {
+        const blocked = await db.query(
+          `UPDATE availability_slots
+           SET status = 'blocked', blocked_by_time_off_id = $2
+           WHERE therapist_id = $1 AND start_datetime > NOW()
+             AND (status = 'available' OR (
+               status = 'blocked' AND blocked_by_time_off_id IS NULL AND blocked_by_external_busy_id IS NOT NULL
+             ))
+             AND tstzrange(start_datetime, end_datetime) && tstzrange($3, $4)
+           RETURNING *`,
+          [timeOff.therapist_id, timeOff.id, occurrence.start, occurrence.end]
+        );
+        blockedSlots.push(...blocked.rows);
+
+        // Booked sessions are flagged for the therapist to handle, never cancelled here
+        const flagged = await db.query(
+          `UPDATE session_bookings sb
+           SET time_off_conflict_id = $2
+           FROM availability_slots ast
+           WHERE sb.availability_slot_id = ast.id AND ast.therapist_id = $1
+             AND sb.status IN ${OPEN_STATUSES_SQL} AND ast.start_datetime > NOW()
+             AND tstzrange(ast.start_datetime, ast.end_datetime) && tstzrange($3, $4)
+           RETURNING sb.*, ast.start_datetime, ast.end_datetime`,
+          [timeOff.therapist_id, timeOff.id, occurrence.start, occurrence.end]
+        );
+        affectedBookings.push(...flagged.rows);
+      }
+
+      return { blocked_slots: blockedSlots, affected_bookings: affectedBookings };
+    } catch (error) {
+      console.error('Error applying time off:', error);
+      throw error;
+    }
+  }
+
+  // Undo the effects of a time-off block: reopen the slots it blocked, clear booking
+  // flags, and let template generation fill the future dates it suppressed. Slots an
+  // imported busy time still overlaps stay blocked under that busy time.
+  static async release(timeOff, timeZone, { db = { query } } = {}) {
+    try {
+      const released = await db.query(
+        `WITH released AS (
+           SELECT ast.id, COALESCE(ast.blocked_by_external_busy_id, (
+             SELECT aeb.id FROM availability_external_busy aeb
+             WHERE aeb.therapist_id = ast.therapist_id
+               AND tstzrange(aeb.start_datetime, aeb.end_datetime) && tstzrange(ast.start_datetime, ast.end_datetime)
+             ORDER BY aeb.start_datetime
+             LIMIT 1
+           )) as busy_id
+           FROM availability_slots ast
+           WHERE ast.blocked_by_time_off_id = $1 AND ast.status = 'blocked' AND ast.start_datetime > NOW()
+         )
+         UPDATE availability_slots ast
+         SET status = CASE WHEN released.busy_id IS NULL THEN 'available' ELSE 'blocked' END,
+             blocked_by_time_off_id = NULL, blocked_by_external_busy_id = released.busy_id
+         FROM released
+         WHERE ast.id = released.id
+         RETURNING ast.id, ast.status`,
+        [timeOff.id]
+      );
+      const reopened = released.rows.filter(slot => slot.status === 'available');
+
+      await db.query(
+        `UPDATE session_bookings SET time_off_conflict_id = NULL WHERE time_off_conflict_id = $1`,
+        [timeOff.id]
+      );
+
+      await db.query(
+        `UPDATE availability_slots SET blocked_by_time_off_id = NULL WHERE blocked_by_time_off_id = $1`,
+        [timeOff.id]
+      );
+
+      // Forget the generated dates the block's occurrences covered, up to the last
+      // generated date, so they are regenerated
+      const zone = normalizeTimeZone(timeZone);
+      const ledgerResult = await db.query(
+        `SELECT TO_CHAR(MAX(agd.generated_date), 'YYYY-MM-DD') as last_date
+         FROM availability_generated_dates agd
+         JOIN availability_templates at ON agd.template_id = at.id
+         WHERE at.therapist_id = $1`,
+        [timeOff.therapist_id]
+      );
+      const lastDate = ledgerResult.rows[0].last_date;
+
+      if (lastDate) {
+        const rangeStart = new Date(Math.max(Date.now(), new Date(timeOff.start_datetime).getTime()));
+        const rangeEnd = zonedTimeToUtc(addDays(lastDate, 1), '00:00', zone);
+        const coveredDates = new Set();
+
+        for (const occurrence of this.expandOccurrences(timeOff, rangeStart, rangeEnd, zone)) {
+          const lastCoveredDate = getZonedDateString(new Date(occurrence.end.getTime() - 1), zone);
+          for (let date = getZonedDateString(occurrence.start, zone); date <= lastCoveredDate; date = addDays(date, 1)) {
+            coveredDates.add(date);
+          }
+        }
+
+        if (coveredDates.size > 0) {
+          await db.query(
+            `DELETE FROM availability_generated_dates agd
+             USING availability_templates at
+             WHERE agd.template_id = at.id AND at.therapist_id = $1
+               AND agd.generated_date = ANY($2::date[])`,
+            [timeOff.therapist_id, [...coveredDates]]
+          );
+        }
+      }
+
+      return { reopened_slots: reopened.length };
+    } catch (error) {
+      console.error('Error releasing time off:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TimeOff;
@@ -0,0 +1,373 @@
+const { query, withTransaction } = require('../config/database');
+const Availability = require('./Availability');
+const TherapistSettings = require('./TherapistSettings');
+const BookingPolicy = require('./BookingPolicy');
+const { AppError, ConflictError, NotFoundError, PG_ERRORS } = require('../utils/errors');
+const { CANCELLED_STATUSES_SQL } = require('../utils/sessionLifecycle');
+const { normalizeTimeZone, formatInTimeZone, getDayOfWeek, timeToMinutes } = require('../utils/timezone');
+
+class Waitlist {
+  // Add a client to a therapist's waitlist
+  static async join(userId, entryData) {
+    try {
+      const {
+        therapist_id, appointment_type_id, preferred_days, preferred_start_time,
+        preferred_end_time, notes
+      } = entryData;
+
+      const result = await query(
+        `INSERT INTO availability_waitlist (
+          therapist_id, user_id, appointment_type_id, preferred_days,
+          preferred_start_time, preferred_end_time, notes
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [
+          therapist_id, userId, appointment_type_id || null, preferred_days || null,
+          preferred_start_time || null, preferred_end_time || null, notes || null
+        ]
+      );
+
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === PG_ERRORS.UNIQUE_VIOLATION) {
+        throw new ConflictError('You are already on this therapist\'s waitlist', 'WAITLIST_ALREADY_JOINED');
+      }
+      console.error('Error joining waitlist:', error);
+      throw error;
+    }
+  }
+
+  // Get a client's waitlist entries with any pending offer
+  static async getByUser(userId) {
+    try {
+      const result = await query(
+        `SELECT w.*, tp.first_name, tp.last_name,
+                CASE WHEN o.id IS NULL THEN NULL ELSE json_build_object(
+                  'id', o.id, 'slot_id', o.slot_id, 'expires_at', o.expires_at,
+                  'start_datetime', ast.start_datetime, 'end_datetime', ast.end_datetime
+                ) END as pending_offer
+         FROM availability_waitlist w
+         LEFT JOIN therapist_profiles tp ON w.therapist_id = tp.therapist_id
+         LEFT JOIN availability_waitlist_offers o ON o.waitlist_id = w.id AND o.status = 'pending'
+         LEFT JOIN availability_slots ast ON o.slot_id = ast.id
+         WHERE w.user_id = $1 AND w.status IN ('waiting', 'offered')
+         ORDER BY w.created_at`,
+        [userId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting waitlist entries:', error);
+      throw error;
+    }
+  }
+
+  // Get a therapist's active waitlist in queue order
+  static async getByTherapist(therapistId) {
+    try {
+      const result = await query(
+        `SELECT w.*, o.id as pending_offer_id, o.slot_id as pending_offer_slot_id,
+                o.expires_at as pending_offer_expires_at
+         FROM availability_waitlist w
+         LEFT JOIN availability_waitlist_offers o ON o.waitlist_id = w.id AND o.status = 'pending'
+         WHERE w.therapist_id = $1 AND w.status IN ('waiting', 'offered')
+         ORDER BY w.created_at, w.id`,
+        [therapistId]
+      );
+      return result.rows;
+    } catch (error) {
+      console.error('Error getting therapist waitlist:', error);
+      throw error;
+    }
+  }
+
+  // Remove a client from a waitlist, withdrawing any pending offer
+  static async leave(entryId, userId) {
+    try {
+      return await withTransaction(async (client) => {
+        const result = await client.query(
+          `UPDATE availability_waitlist SET status = 'cancelled'
+           WHERE id = $1 AND user_id = $2 AND status IN ('waiting', 'offered')
+           RETURNING *`,
+          [entryId, userId]
+        );
+
+        if (result.rows.length === 0) {
+          return null;
+        }
+
+        const withdrawn = await client.query(
+          `UPDATE availability_waitlist_offers SET status = 'withdrawn', responded_at = NOW()
+           WHERE waitlist_id = $1 AND status = 'pending'
+           RETURNING slot_id`,
+          [entryId]
+        );
+        for (const offer of withdrawn.rows) {
+          await this.offerOpenSeats(offer.slot_id, { db: client });
+        }
+
+        return result.rows[0];
+      });
+    } catch (error) {
+      console.error('Error leaving waitlist:', error);
+      throw error;
+    }
+  }
+
+  // Whether a slot fits a waitlist entry's preferred days, hours and appointment type.
+  // Preferences are wall-clock times in the therapist's timezone.
+  static matchesSlot(entry, slot, timeZone) {
+    const localStart = formatInTimeZone(slot.start_datetime, timeZone);
+    const localEnd = formatInTimeZone(slot.end_datetime, timeZone);
+    const startMinutes = timeToMinutes(localStart.slice(11, 16));
+    const endMinutes = timeToMinutes(localEnd.slice(11, 16));
+
+    if (entry.preferred_days && entry.preferred_days.length > 0 &&
+        !entry.preferred_days.includes(getDayOfWeek(localStart.slice(0, 10)))) {
+      return false;
+    }
+    if (entry.preferred_start_time && startMinutes < timeToMinutes(entry.preferred_start_time)) {
+      return false;
+    }
+    if (entry.preferred_end_time && endMinutes > timeToMinutes(entry.preferred_end_time)) {
+      return false;
+    }
+
+    if (entry.appointment_type_id) {
+      if (slot.appointment_type_id) {
+        return slot.appointment_type_id === entry.appointment_type_id;
+      }
+      const slotMinutes = (new Date(slot.end_datetime) - new Date(slot.start_datetime)) / 60000;
+      return slotMinutes >= entry.appointment_duration;
+    }
+
+    return true;
+  }
+
+  // Offer a slot's free seats to matching waitlisted clients in the order they joined.
+  // Offered seats stay out of public availability until claimed, declined or expired;
+  // seats nobody is waiting for return to public availability straight away.
+  // Joins the caller's transaction or runs in its own. The slot row is locked so
+  // concurrent triggers count seats one at a time; waitlist entries another
+  // transaction has locked are passed over rather than waited on.
+  static async offerOpenSeats(slotId, { db = { query } } = {}) {
+    try {
+      const offerSeats = async (client) => {
+        // Lock first: seats counted in the locking statement itself would be counted
+        // as of before the lock was granted
+        await client.query(`SELECT id FROM availability_slots WHERE id = $1 FOR UPDATE`, [slotId]);
+
+        const slotResult = await client.query(
+          `SELECT ast.*, tp.timezone,
+                  (SELECT COUNT(*)::integer FROM session_bookings sb
+                   WHERE sb.availability_slot_id = ast.id AND sb.status NOT IN ${CANCELLED_STATUSES_SQL}) as booked_seats,
+                  ${Availability.HELD_SEATS_SQL} as held_seats
+           FROM availability_slots ast
+           LEFT JOIN therapist_profiles tp ON ast.therapist_id = tp.therapist_id
+           WHERE ast.id = $1`,
+          [slotId]
+        );
+        const slot = slotResult.rows[0];
+
+        if (!slot || !['available', 'booked'].includes(slot.status) ||
+            new Date(slot.start_datetime) <= new Date()) {
+          return [];
+        }
+
+        // Seats the therapist's booking window would refuse are not offered
+        const settings = await TherapistSettings.findByTherapistId(slot.therapist_id);
+        const openSeats = BookingPolicy.isWithinBookingWindow(slot, settings)
+          ? slot.capacity - slot.booked_seats - slot.held_seats
+          : 0;
+        const offers = [];
+
+        if (openSeats > 0) {
+          // Clients already offered this slot, or already booked on it, are passed over
+          const candidates = await client.query(
+            `SELECT w.*, apt.duration_minutes as appointment_duration
+             FROM availability_waitlist w
+             LEFT JOIN appointment_types apt ON w.appointment_type_id = apt.id
+             WHERE w.therapist_id = $1 AND w.status = 'waiting'
+               AND NOT EXISTS (
+                 SELECT 1 FROM availability_waitlist_offers o WHERE o.waitlist_id = w.id AND o.slot_id = $2
+               )
+               AND NOT EXISTS (
+                 SELECT 1 FROM session_bookings sb
+                 WHERE sb.availability_slot_id = $2 AND sb.user_id = w.user_id AND sb.status NOT IN ${CANCELLED_STATUSES_SQL}
+               )
+             ORDER BY w.created_at, w.id
+             FOR UPDATE OF w SKIP LOCKED`,
+            [slot.therapist_id, slotId]
+          );
+
+          const timeZone = normalizeTimeZone(slot.timezone);
+          const recipients = candidates.rows
+            .filter(entry => this.matchesSlot(entry, slot, timeZone))
+            .slice(0, openSeats);
+
+          for (const entry of recipients) {
+            const offer = await client.query(
+              `INSERT INTO availability_waitlist_offers (waitlist_id, slot_id, expires_at)
+               VALUES ($1, $2, NOW() + $3 * INTERVAL '1 minute')
+               RETURNING *`,
+              [entry.id, slotId, settings.waitlist_offer_minutes]
+            );
+            await client.query(
+              `UPDATE availability_waitlist SET status = 'offered' WHERE id = $1`,
+              [entry.id]
+            );
+            offers.push({ ...offer.rows[0], user_id: entry.user_id });
+          }
+        }
+
+        await Availability.syncSlotFullness(slotId, { db: client });
+        return offers;
+      };
+
+      return await withTransaction(offerSeats, { db });
+    } catch (error) {
+      console.error('Error offering slot to waitlist:', error);
+      throw error;
+    }
+  }
+
+  // Get a client's offer
+  static async findOffer(offerId, userId, { lock = false, db = { query } } = {}) {
+    try {
+      const result = await db.query(
+        `SELECT o.*, w.user_id, w.therapist_id, w.appointment_type_id
+         FROM availability_waitlist_offers o
+         JOIN availability_waitlist w ON o.waitlist_id = w.id
+         WHERE o.id = $1 AND w.user_id = $2
+         ${lock ? 'FOR UPDATE OF o' : ''}`,
+        [offerId, userId]
+      );
+      return result.rows[0] || null;
+    } catch (error) {
+      console.error('Error finding waitlist offer:', error);
+      throw error;
+    }
+  }
+
+  // Check an offer can still be answered
+  static assertOfferOpen(offer) {
+    if (!offer) {
+      throw new NotFoundError('Waitlist offer not found', 'WAITLIST_OFFER_NOT_FOUND');
+    }
+    if (offer.status !== 'pending') {
+      throw new ConflictError(`Waitlist offer has been ${offer.status}`, 'WAITLIST_OFFER_CLOSED', {
+        offer_status: offer.status
+      });
+    }
+    if (new Date(offer.expires_at) <= new Date()) {
+      throw new AppError('Waitlist offer has expired', 410, 'WAITLIST_OFFER_EXPIRED');
+    }
+  }
+
+  // Claim an offered seat by booking it; the booking accepts the offer, and fails if
+  // the offer closes before the booking commits
+  static async acceptOffer(offerId, userId, sessionData = {}) {
+    try {
+      const offer = await this.findOffer(offerId, userId);
+      this.assertOfferOpen(offer);
+
+      const { slot, booking } = await Availability.bookSlot(offer.slot_id, userId, {
+        ...sessionData,
+        appointment_type_id: sessionData.appointment_type_id || offer.appointment_type_id,
+        waitlist_offer_id: offer.id
+      });
+
+      return { offer: await this.findOffer(offer.id, userId), slot, booking };
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error accepting waitlist offer:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Turn down an offer; the client stays on the waitlist and the seat moves on
+  static async declineOffer(offerId, userId) {
+    try {
+      return await withTransaction(async (client) => {
+        const offer = await this.findOffer(offerId, userId, { lock: true, db: client });
+        this.assertOfferOpen(offer);
+
+        const declined = await client.query(
+          `UPDATE availability_waitlist_offers SET status = 'declined', responded_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+          [offer.id]
+        );
+        await client.query(
+          `UPDATE availability_waitlist SET status = 'waiting' WHERE id = $1 AND status = 'offered'`,
+          [offer.waitlist_id]
+        );
+        await this.offerOpenSeats(offer.slot_id, { db: client });
+
+        return declined.rows[0];
+      });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        console.error('Error declining waitlist offer:', error);
+      }
+      throw error;
+    }
+  }
+
+  // Withdraw pending offers on a slot that is no longer bookable
+  static async withdrawOffersForSlot(slotId, { db = { query } } = {}) {
+    try {
+      const withdrawn = await db.query(
+        `UPDATE availability_waitlist_offers SET status = 'withdrawn', responded_at = NOW()
+         WHERE slot_id = $1 AND status = 'pending'
+         RETURNING waitlist_id`,
+        [slotId]
+      );
+      if (withdrawn.rows.length > 0) {
+        await db.query(
+          `UPDATE availability_waitlist SET status = 'waiting' WHERE id = ANY($1) AND status = 'offered'`,
+          [withdrawn.rows.map(offer => offer.waitlist_id)]
+        );
+      }
+      return withdrawn.rowCount;
+    } catch (error) {
+      console.error('Error withdrawing waitlist offers:', error);
+      throw error;
+    }
+  }
+
+  // Expire unclaimed offers and pass their seats to the next clients in line
+  static async expireOffers() {
+    try {
+      return await withTransaction(async (client) => {
+        const expired = await client.query(
+          `UPDATE availability_waitlist_offers SET status = 'expired'
+           WHERE status = 'pending' AND expires_at <= NOW()
+           RETURNING waitlist_id, slot_id`
+        );
+
+        if (expired.rows.length === 0) {
+          return { expired: 0, offers: [] };
+        }
+
+        await client.query(
+          `UPDATE availability_waitlist SET status = 'waiting' WHERE id = ANY($1) AND status = 'offered'`,
+          [expired.rows.map(offer => offer.waitlist_id)]
+        );
+
+        // Slots in id order, so two runs can't lock them in opposite orders
+        const slotIds = [...new Set(expired.rows.map(offer => offer.slot_id))].sort((a, b) => a - b);
+        const offers = [];
+        for (const slotId of slotIds) {
+          offers.push(...await this.offerOpenSeats(slotId, { db: client }));
+        }
+
+        return { expired: expired.rowCount, offers };
+      });
+    } catch (error) {
+      console.error('Error expiring waitlist offers:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Waitlist;
@@ -2,14 +2,17 @@ const express = require('express');
 const router = express.Router();
 
 // Import middleware
-const { verifyToken, requireTherapist, requireAuth } = require('../middleware/auth');
-const { validate, availabilityTemplateSchema, availabilitySlotSchema, bulkAvailabilitySchema, availabilityQuerySchema } = require('../middleware/validation');
+const { verifyToken, requireTherapist, requireAuth, requireService } = require('../middleware/auth');
+const { validate, validateQuery, slotSearchSchema, freeBusyQuerySchema, availabilityTemplateSchema, availabilitySlotSchema, bulkAvailabilitySchema, availabilityQuerySchema, timeOffSchema, calendarImportSchema, appointmentTypeSchema, slotBookingSchema, waitlistSchema } = require('../middleware/validation');
 
 // Import controllers
 const AvailabilityController = require('../controllers/availabilityController');
 
 // Public routes (for users to search available slots)
-router.get('/search', AvailabilityController.searchAvailableSlots);
+router.get('/search', validateQuery(slotSearchSchema), AvailabilityController.searchAvailableSlots);
+
+// Calendar subscription feed, authorized by its secret token
+router.get('/calendar/feed/:token.ics', AvailabilityController.getCalendarFeed);
 
 // Protected routes require authentication
 router.use(verifyToken);
@@ -22,6 +25,24 @@ router.delete('/templates/:templateId', requireTherapist, AvailabilityController
 
 // Generate slots from templates
 router.post('/generate', requireTherapist, validate(bulkAvailabilitySchema), AvailabilityController.generateSlotsFromTemplate);
+router.post('/generate/plans/:planId/apply', requireTherapist, AvailabilityController.applyGenerationPlan);
+
+// Appointment types offered by the therapist (therapist only)
+router.get('/appointment-types', requireTherapist, AvailabilityController.getAppointmentTypes);
+router.post('/appointment-types', requireTherapist, validate(appointmentTypeSchema), AvailabilityController.createAppointmentType);
+router.put('/appointment-types/:typeId', requireTherapist, validate(appointmentTypeSchema), AvailabilityController.updateAppointmentType);
+router.delete('/appointment-types/:typeId', requireTherapist, AvailabilityController.deleteAppointmentType);
+
+// Time off and vacation blocks (therapist only)
+router.get('/time-off', requireTherapist, AvailabilityController.getTimeOff);
+router.post('/time-off', requireTherapist, validate(timeOffSchema), AvailabilityController.createTimeOff);
+router.put('/time-off/:timeOffId', requireTherapist, validate(timeOffSchema), AvailabilityController.updateTimeOff);
+router.delete('/time-off/:timeOffId', requireTherapist, AvailabilityController.deleteTimeOff);
+
+// Busy times imported from external calendars (therapist only)
+router.get('/calendar-imports', requireTherapist, AvailabilityController.getCalendarImports);
+router.post('/calendar-imports', requireTherapist, validate(calendarImportSchema), AvailabilityController.importCalendar);
+router.delete('/calendar-imports/:importId', requireTherapist, AvailabilityController.deleteCalendarImport);
 
 // Availability Slots Management
 router.get('/slots', requireAuth, AvailabilityController.getAvailabilitySlots);
@@ -30,10 +51,28 @@ router.put('/slots/:slotId', requireTherapist, validate(availabilitySlotSchema),
 router.delete('/slots/:slotId', requireTherapist, AvailabilityController.deleteAvailabilitySlot);
 
 // Booking management
-router.post('/slots/:slotId/book', requireAuth, AvailabilityController.bookAvailabilitySlot);
+router.post('/slots/:slotId/book', requireAuth, validate(slotBookingSchema), AvailabilityController.bookAvailabilitySlot);
 router.post('/slots/:slotId/cancel', requireTherapist, AvailabilityController.cancelAvailabilitySlot);
+router.get('/slots/:slotId/roster', requireTherapist, AvailabilityController.getSlotRoster);
+
+// Short-lived holds while a client checks out
+router.post('/slots/:slotId/hold', requireAuth, AvailabilityController.holdAvailabilitySlot);
+router.get('/holds/me', requireAuth, AvailabilityController.getMySlotHold);
+router.post('/holds/:holdId/confirm', requireAuth, validate(slotBookingSchema), AvailabilityController.confirmSlotHold);
+router.delete('/holds/:holdId', requireAuth, AvailabilityController.releaseSlotHold);
+
+// Waitlist for fully booked therapists
+router.get('/waitlist', requireTherapist, AvailabilityController.getTherapistWaitlist);
+router.post('/waitlist', requireAuth, validate(waitlistSchema), AvailabilityController.joinWaitlist);
+router.get('/waitlist/me', requireAuth, AvailabilityController.getMyWaitlist);
+router.delete('/waitlist/:entryId', requireAuth, AvailabilityController.leaveWaitlist);
+router.post('/waitlist/offers/:offerId/accept', requireAuth, validate(slotBookingSchema), AvailabilityController.acceptWaitlistOffer);
+router.post('/waitlist/offers/:offerId/decline', requireAuth, AvailabilityController.declineWaitlistOffer);
 
 // Get therapist's calendar view
 router.get('/calendar', requireTherapist, AvailabilityController.getTherapistCalendar);
 
+// Busy and open times for other MindNest services
+router.get('/free-busy', requireService, validateQuery(freeBusyQuerySchema), AvailabilityController.getFreeBusy);
+
 module.exports = router;
\ No newline at end of file
@@ -3,7 +3,7 @@ const router = express.Router();
 
 // Import middleware
 const { verifyToken, requireTherapist, requireAuth, requireClientAccess } = require('../middleware/auth');
-const { validate, clientRelationshipSchema, sessionBookingSchema, reviewSchema } = require('../middleware/validation');
+const { validate, clientRelationshipSchema, sessionBookingSchema, sessionUpdateSchema, sessionCancellationSchema, sessionRescheduleSchema, bookingSeriesSchema, reviewSchema } = require('../middleware/validation');
 
 // Import controllers
 const ClientController = require('../controllers/clientController');
@@ -25,9 +25,23 @@ router.get('/:userId/notes', requireTherapist, ClientController.getClientNotes);
 // Session booking management
 router.get('/sessions/upcoming', requireAuth, ClientController.getUpcomingSessions);
 router.get('/sessions/history', requireAuth, ClientController.getSessionHistory);
+router.get('/sessions/attendance', requireTherapist, ClientController.getSessionsAwaitingAttendance);
 router.post('/sessions/book', requireAuth, validate(sessionBookingSchema), ClientController.bookSession);
-router.put('/sessions/:sessionId', requireAuth, ClientController.updateSession);
-router.delete('/sessions/:sessionId', requireAuth, ClientController.cancelSession);
+router.put('/sessions/:sessionId', requireAuth, validate(sessionUpdateSchema), ClientController.updateSession);
+router.get('/sessions/:sessionId/history', requireAuth, ClientController.getSessionStatusHistory);
+router.get('/sessions/:sessionId/cancellation', requireAuth, ClientController.getCancellationQuote);
+router.delete('/sessions/:sessionId', requireAuth, validate(sessionCancellationSchema), ClientController.cancelSession);
+router.post('/sessions/:sessionId/no-show', requireTherapist, ClientController.markSessionNoShow);
+router.post('/sessions/:sessionId/reschedule', requireAuth, validate(sessionRescheduleSchema), ClientController.rescheduleSession);
+router.get('/sessions/:sessionId/reschedules', requireAuth, ClientController.getSessionReschedules);
+router.get('/sessions/:sessionId/reminders', requireAuth, ClientController.getSessionReminders);
+
+// Recurring booking series
+router.get('/sessions/series', requireAuth, ClientController.getBookingSeriesList);
+router.post('/sessions/series', requireAuth, validate(bookingSeriesSchema), ClientController.createBookingSeries);
+router.get('/sessions/series/:seriesId', requireAuth, ClientController.getBookingSeries);
+router.delete('/sessions/series/:seriesId', requireAuth, validate(sessionCancellationSchema), ClientController.cancelBookingSeries);
+router.post('/sessions/series/:seriesId/reschedule', requireAuth, validate(sessionRescheduleSchema), ClientController.rescheduleBookingSeries);
 
 // Review and rating system
 router.post('/:therapistId/review', requireAuth, validate(reviewSchema), ClientController.createTherapistReview);
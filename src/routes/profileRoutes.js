@@ -3,7 +3,7 @@ const router = express.Router();
 
 // Import middleware
 const { verifyToken, requireTherapist } = require('../middleware/auth');
-const { validate, therapistProfileSchema, therapistSpecializationsSchema, therapistApproachesSchema } = require('../middleware/validation');
+const { validate, therapistProfileSchema, therapistSpecializationsSchema, therapistApproachesSchema, therapistSettingsSchema } = require('../middleware/validation');
 
 // Import controllers
 const ProfileController = require('../controllers/profileController');
@@ -32,6 +32,14 @@ router.post('/me/specializations', validate(therapistSpecializationsSchema), Pro
 router.get('/me/approaches', ProfileController.getTherapistApproaches);
 router.post('/me/approaches', validate(therapistApproachesSchema), ProfileController.updateTherapistApproaches);
 
+// Scheduling settings management
+router.get('/me/settings', ProfileController.getTherapistSettings);
+router.put('/me/settings', validate(therapistSettingsSchema), ProfileController.updateTherapistSettings);
+
+// Calendar feed token management
+router.post('/me/settings/calendar-feed', ProfileController.rotateCalendarFeedToken);
+router.delete('/me/settings/calendar-feed', ProfileController.revokeCalendarFeedToken);
+
 // Get available specializations and approaches (for dropdowns)
 router.get('/specializations/available', ProfileController.getAvailableSpecializations);
 router.get('/approaches/available', ProfileController.getAvailableApproaches);
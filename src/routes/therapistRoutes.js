@@ -3,7 +3,7 @@ const router = express.Router();
 
 // Import middleware
 const { verifyToken, requireTherapist, requireAuth, requireTherapistSelfAccess, requireAdmin } = require('../middleware/auth');
-const { validate, createTherapistSchema, searchTherapistsSchema, updateVerificationSchema } = require('../middleware/validation');
+const { validate, validateQuery, createTherapistSchema, searchTherapistsSchema, firstAvailableSearchSchema, updateVerificationSchema } = require('../middleware/validation');
 
 // Import controllers
 const TherapistController = require('../controllers/therapistController');
@@ -13,7 +13,9 @@ router.post('/create', validate(createTherapistSchema), TherapistController.crea
 
 // Public search and discovery routes
 router.get('/search', TherapistController.searchTherapists);
+router.get('/search/first-available', validateQuery(firstAvailableSearchSchema), TherapistController.searchFirstAvailable);
 router.get('/public/:id', TherapistController.getPublicTherapistProfile);
+router.get('/public/:id/appointment-types', TherapistController.getPublicAppointmentTypes);
 router.get('/public/auth/:id', TherapistController.getPublicTherapistProfileByAuthId);
 router.get('/specializations', TherapistController.getSpecializations);
 router.get('/approaches', TherapistController.getApproaches);
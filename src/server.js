@@ -24,7 +24,7 @@ const { errorHandler, requestLogger } = require('./middleware/errorHandler');
 const { initializeDatabase } = require('./config/database');
 
 // Import scheduled tasks
-const { cleanupExpiredAvailability } = require('./utils/scheduledTasks');
+const { cleanupExpiredAvailability, generateWeeklyAvailability, processWaitlistOffers, releaseExpiredHolds, followUpSessionAttendance, sendAppointmentReminders } = require('./utils/scheduledTasks');
 
 const app = express();
 const PORT = process.env.PORT || 3003;
@@ -101,6 +101,28 @@ if (process.env.NODE_ENV !== 'test') {
     console.log('🔄 Running scheduled cleanup tasks...');
     cleanupExpiredAvailability();
   });
+
+  // Expire unclaimed waitlist offers and lapsed slot holds every minute
+  cron.schedule('* * * * *', () => {
+    processWaitlistOffers();
+    releaseExpiredHolds();
+  });
+
+  // Follow up attendance of ended sessions every five minutes
+  cron.schedule('*/5 * * * *', () => {
+    followUpSessionAttendance();
+  });
+
+  // Send session reminders as they come due, every minute
+  cron.schedule('* * * * *', () => {
+    sendAppointmentReminders();
+  });
+
+  // Extend each therapist's availability horizon from their templates daily
+  cron.schedule('30 2 * * *', () => {
+    console.log('🔄 Running availability generation...');
+    generateWeeklyAvailability();
+  });
   
   console.log('📅 Scheduled tasks initialized');
 }
@@ -0,0 +1,66 @@
+// Application errors carry an HTTP status and a machine-readable code so controllers
+// can return a specific response instead of a generic 500.
+class AppError extends Error {
+  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details = {}) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND', details = {}) {
+    super(message, 404, code, details);
+    this.name = 'NotFoundError';
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT', details = {}) {
+    super(message, 409, code, details);
+    this.name = 'ConflictError';
+  }
+}
+
+// A booking refused by one of the therapist's booking policies
+class BookingPolicyError extends AppError {
+  constructor(message, code, details = {}) {
+    super(message, 422, code, details);
+    this.name = 'BookingPolicyError';
+  }
+}
+
+// PostgreSQL error codes the models translate into AppErrors
+const PG_ERRORS = {
+  UNIQUE_VIOLATION: '23505',
+  CHECK_VIOLATION: '23514',
+  EXCLUSION_VIOLATION: '23P01'
+};
+
+// Send an AppError as its own status, anything else as a 500 with the fallback message
+const sendErrorResponse = (res, error, fallbackMessage) => {
+  if (error instanceof AppError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      ...error.details
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage
+  });
+};
+
+module.exports = {
+  AppError,
+  NotFoundError,
+  ConflictError,
+  BookingPolicyError,
+  PG_ERRORS,
+  sendErrorResponse
+};
@@ -0,0 +1,588 @@
+// Minimal RFC 5545 (iCalendar) support for publishing therapist schedules and
+// importing busy times from other calendars.
+
+const crypto = require('crypto');
+const { isValidTimeZone, zonedTimeToUtc, getZonedDateString, addDays, getDayOfWeek } = require('./timezone');
+
+const PRODUCT_ID = '-//MindNest//Therapist Service//EN';
+const UID_DOMAIN = 'therapist.mindnest';
+const MAX_LINE_OCTETS = 75;
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold a content line at 75 octets, continuing with CRLF + space (section 3.1)
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const chunks = [];
+  let current = '';
+  let limit = MAX_LINE_OCTETS;
+
+  // Iterate by code point so multi-byte characters are never split
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+      limit = MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+// Format an instant as a UTC DATE-TIME ('20240101T090000Z')
+const formatDateTime = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+// Build a stable UID so calendar apps update events in place
+const buildUid = (type, id) => `${type}-${id}@${UID_DOMAIN}`;
+
+// Render one VEVENT. Events have uid, start, end, summary and optional
+// description, status, sequence, stamp, lastModified and transparency.
+const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.stamp || new Date())}`,
+    `DTSTART:${formatDateTime(event.start)}`,
+    `DTEND:${formatDateTime(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.status) {
+    lines.push(`STATUS:${event.status}`);
+  }
+  if (event.sequence !== undefined) {
+    lines.push(`SEQUENCE:${event.sequence}`);
+  }
+  if (event.lastModified) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.lastModified)}`);
+  }
+  lines.push(`TRANSP:${event.transparency || 'OPAQUE'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+// Render a complete VCALENDAR document with CRLF line endings
+const buildCalendar = ({ name, timeZone, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  if (timeZone) {
+    lines.push(`X-WR-TIMEZONE:${timeZone}`);
+  }
+
+  events.forEach(event => lines.push(...buildEvent(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const SUPPORTED_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_RULE_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+
+// Guards against rules that never produce a date inside the window
+const MAX_RECURRENCE_PERIODS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Undo line folding and split into content lines
+const unfoldLines = (text) => String(text)
+  .replace(/\r\n?/g, '\n')
+  .replace(/\n[ \t]/g, '')
+  .split('\n')
+  .filter(line => line.trim() !== '');
+
+// Split on a separator, ignoring separators inside double quotes
+const splitOutsideQuotes = (value, separator) => {
+  const parts = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (const char of value) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    }
+    if (char === separator && !inQuotes) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts;
+};
+
+// Parse 'NAME;PARAM=VALUE:value' into { name, params, value }
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let index = 0;
+  for (; index < line.length; index++) {
+    if (line[index] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[index] === ':' && !inQuotes) {
+      break;
+    }
+  }
+
+  const [name, ...paramParts] = splitOutsideQuotes(line.slice(0, index), ';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+};
+
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) =>
+  (char === 'n' || char === 'N' ? '\n' : char)
+);
+
+// Parse the VEVENTs of a calendar. Nested components (e.g. VALARM) are ignored.
+const parseCalendar = (text) => {
+  const events = [];
+  const stack = [];
+  let event = null;
+
+  unfoldLines(text).forEach(line => {
+    const { name, params, value } = parseContentLine(line);
+
+    if (name === 'BEGIN') {
+      stack.push(value.toUpperCase());
+      if (value.toUpperCase() === 'VEVENT') {
+        event = { exdates: [], rdates: [] };
+      }
+      return;
+    }
+
+    if (name === 'END') {
+      if (stack.pop() === 'VEVENT' && event) {
+        events.push(event);
+        event = null;
+      }
+      return;
+    }
+
+    if (!event || stack[stack.length - 1] !== 'VEVENT') {
+      return;
+    }
+
+    switch (name) {
+      case 'UID':
+        event.uid = value.trim();
+        break;
+      case 'SUMMARY':
+        event.summary = unescapeText(value);
+        break;
+      case 'STATUS':
+        event.status = value.trim().toUpperCase();
+        break;
+      case 'TRANSP':
+        event.transparency = value.trim().toUpperCase();
+        break;
+      case 'DTSTART':
+      case 'DTEND':
+      case 'DURATION':
+      case 'RRULE':
+      case 'RECURRENCE-ID':
+        event[name.toLowerCase().replace('-', '_')] = { value: value.trim(), params };
+        break;
+      case 'EXDATE':
+      case 'RDATE':
+        value.split(',').forEach(item => {
+          event[`${name.toLowerCase()}s`].push({ value: item.trim(), params });
+        });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+// Parse a DATE or DATE-TIME value. UTC ('Z') values are UTC, TZID values use that
+// zone, and floating or all-day values use the fallback timezone.
+const parseDateValue = ({ value, params = {} }, fallbackTimeZone) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+  if (params.VALUE === 'DATE' || !match[4]) {
+    return { date, time: '00:00', timeZone: fallbackTimeZone, allDay: true };
+  }
+
+  let timeZone = fallbackTimeZone;
+  if (match[7]) {
+    timeZone = 'UTC';
+  } else if (isValidTimeZone(params.TZID)) {
+    timeZone = params.TZID;
+  }
+
+  return { date, time: `${match[4]}:${match[5]}`, timeZone, allDay: false };
+};
+
+// Parse a DURATION ('PT1H30M', 'P1D', 'P2W') into nominal days plus exact milliseconds
+const parseDuration = (value) => {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(value);
+  if (!match) {
+    return null;
+  }
+  const [, , weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  return {
+    days: (Number(weeks) * 7) + Number(days),
+    ms: ((Number(hours) * 3600) + (Number(minutes) * 60) + Number(seconds)) * 1000
+  };
+};
+
+// Parse an RRULE value; returns null when the rule uses parts we don't expand
+const parseRecurrenceRule = (value, timeZone) => {
+  const parts = {};
+  value.split(';').filter(Boolean).forEach(part => {
+    const [key, ruleValue = ''] = part.split('=');
+    parts[key.toUpperCase()] = ruleValue.toUpperCase();
+  });
+
+  if (!SUPPORTED_FREQUENCIES.includes(parts.FREQ) ||
+    Object.keys(parts).some(key => !SUPPORTED_RULE_PARTS.includes(key))) {
+    return null;
+  }
+
+  const byDay = parts.BYDAY ? parts.BYDAY.split(',').map(day => {
+    const dayMatch = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(day);
+    return dayMatch && { ordinal: dayMatch[1] ? parseInt(dayMatch[1], 10) : 0, weekday: WEEKDAYS.indexOf(dayMatch[2]) };
+  }) : null;
+
+  if (byDay && byDay.some(day => !day)) {
+    return null;
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: Math.max(parseInt(parts.INTERVAL || '1', 10) || 1, 1),
+    count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+    until: parts.UNTIL ? parseDateValue({ value: parts.UNTIL }, timeZone) : null,
+    byDay,
+    byMonthDay: parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',').map(Number) : null,
+    byMonth: parts.BYMONTH ? parts.BYMONTH.split(',').map(Number) : null,
+    weekStart: Math.max(WEEKDAYS.indexOf(parts.WKST || 'MO'), 0)
+  };
+
+  // Ordinal weekdays only make sense within a month here
+  if (rule.byDay && rule.byDay.some(day => day.ordinal) &&
+    !(rule.freq === 'MONTHLY' || (rule.freq === 'YEARLY' && rule.byMonth))) {
+    return null;
+  }
+  if ([rule.byMonthDay, rule.byMonth].some(list => list && list.some(Number.isNaN))) {
+    return null;
+  }
+
+  return rule;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+const toDate = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Whether a day of a month matches a BYDAY entry such as 'TU', '2MO' or '-1FR'
+const matchesByDay = (year, month, day, byDay) => {
+  if (getDayOfWeek(toDate(year, month, day)) !== byDay.weekday) {
+    return false;
+  }
+  if (!byDay.ordinal) {
+    return true;
+  }
+  if (byDay.ordinal > 0) {
+    return Math.ceil(day / 7) === byDay.ordinal;
+  }
+  return -(Math.floor((daysInMonth(year, month) - day) / 7) + 1) === byDay.ordinal;
+};
+
+// Dates within one month selected by BYMONTHDAY/BYDAY (or the start day)
+const datesInMonth = (year, month, rule, startDay) => {
+  const monthLength = daysInMonth(year, month);
+  let days;
+
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay.map(day => (day < 0 ? monthLength + day + 1 : day));
+  } else if (rule.byDay) {
+    days = Array.from({ length: monthLength }, (value, index) => index + 1);
+  } else {
+    days = [startDay];
+  }
+
+  return [...new Set(days)]
+    .filter(day => day >= 1 && day <= monthLength)
+    .filter(day => !rule.byDay || rule.byDay.some(byDay => matchesByDay(year, month, day, byDay)))
+    .sort((a, b) => a - b)
+    .map(day => toDate(year, month, day));
+};
+
+// Candidate dates for one recurrence period (the nth day, week, month or year)
+const datesInPeriod = (rule, startDate, period) => {
+  const [startYear, startMonth, startDay] = startDate.split('-').map(Number);
+  const step = period * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY': {
+      const date = addDays(startDate, step);
+      const [year, month, day] = date.split('-').map(Number);
+      const matches = (!rule.byMonth || rule.byMonth.includes(month)) &&
+        (!rule.byMonthDay || datesInMonth(year, month, { byMonthDay: rule.byMonthDay }, day).includes(date)) &&
+        (!rule.byDay || rule.byDay.some(byDay => byDay.weekday === getDayOfWeek(date)));
+      return matches ? [date] : [];
+    }
+    case 'WEEKLY': {
+      const weekOffset = (getDayOfWeek(startDate) - rule.weekStart + 7) % 7;
+      const weekStart = addDays(startDate, -weekOffset + (step * 7));
+      const weekdays = rule.byDay ? rule.byDay.map(byDay => byDay.weekday) : [getDayOfWeek(startDate)];
+      return [...new Set(weekdays)]
+        .map(weekday => addDays(weekStart, (weekday - rule.weekStart + 7) % 7))
+        .filter(date => !rule.byMonth || rule.byMonth.includes(Number(date.slice(5, 7))))
+        .sort();
+    }
+    case 'MONTHLY': {
+      const monthIndex = (startYear * 12) + (startMonth - 1) + step;
+      const year = Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      if (rule.byMonth && !rule.byMonth.includes(month)) {
+        return [];
+      }
+      return datesInMonth(year, month, rule, startDay);
+    }
+    case 'YEARLY': {
+      const year = startYear + step;
+      let months = [startMonth];
+      if (rule.byMonth) {
+        months = [...rule.byMonth].sort((a, b) => a - b);
+      } else if (rule.byMonthDay) {
+        months = Array.from({ length: 12 }, (value, index) => index + 1);
+      }
+      return months.flatMap(month => datesInMonth(year, month, rule, startDay));
+    }
+    default:
+      return [];
+  }
+};
+
+// First recurrence period worth expanding for a window starting on a local date.
+// Without COUNT the instances before the window don't matter, so long-running
+// series skip ahead to a period before it rather than counting up from DTSTART.
+const firstPeriodNear = (rule, startDate, windowDate) => {
+  if (rule.count || windowDate <= startDate) {
+    return 0;
+  }
+
+  const [startYear, startMonth] = startDate.split('-').map(Number);
+  const [windowYear, windowMonth] = windowDate.split('-').map(Number);
+  const days = Math.round((new Date(`${windowDate}T00:00:00Z`) - new Date(`${startDate}T00:00:00Z`)) / DAY_MS);
+  const units = {
+    DAILY: days,
+    WEEKLY: Math.floor(days / 7),
+    MONTHLY: ((windowYear - startYear) * 12) + (windowMonth - startMonth),
+    YEARLY: windowYear - startYear
+  }[rule.freq];
+
+  return Math.max(Math.floor(units / rule.interval) - 1, 0);
+};
+
+// Stable identifier for events that omit a UID
+const fallbackUid = (event) => crypto
+  .createHash('sha1')
+  .update(`${event.dtstart ? event.dtstart.value : ''}|${event.summary || ''}`)
+  .digest('hex');
+
+// Occurrence instants (start/end) of one event at a local date
+const buildOccurrence = (start, duration, date) => {
+  const occurrenceStart = zonedTimeToUtc(date, start.time, start.timeZone);
+  const occurrenceEnd = new Date(
+    zonedTimeToUtc(addDays(date, duration.days), start.time, start.timeZone).getTime() + duration.ms
+  );
+  return { start: occurrenceStart, end: occurrenceEnd };
+};
+
+// Whether an instant matches an EXDATE/RECURRENCE-ID value (date-only values match the whole day)
+const matchesDateValue = (dateValue, instant, start) => (dateValue.allDay
+  ? getZonedDateString(instant, start.timeZone) === dateValue.date
+  : zonedTimeToUtc(dateValue.date, dateValue.time, dateValue.timeZone).getTime() === instant.getTime());
+
+// Expand parsed VEVENTs into busy occurrences overlapping [windowStart, windowEnd).
+// Each occurrence keeps its original recurrence instant so a moved instance
+// (RECURRENCE-ID override) replaces the occurrence it was moved from.
+// Returns { occurrences: [{ uid, summary, occurrence_start, start, end }], skipped: [{ uid, summary, reason }] }.
+const expandEvents = (events, windowStart, windowEnd, fallbackTimeZone) => {
+  const from = new Date(windowStart);
+  const to = new Date(windowEnd);
+  const occurrences = [];
+  const skipped = [];
+
+  const overrides = events.filter(event => event.recurrence_id);
+
+  events.forEach(event => {
+    const uid = event.uid || fallbackUid(event);
+    const summary = event.summary || null;
+    const skip = (reason) => skipped.push({ uid, summary, reason });
+
+    const start = event.dtstart && parseDateValue(event.dtstart, fallbackTimeZone);
+    if (!start) {
+      return skip('Missing or invalid DTSTART');
+    }
+
+    // Cancelled and free ('TRANSPARENT') events don't make the therapist busy
+    if (event.status === 'CANCELLED' || event.transparency === 'TRANSPARENT') {
+      return null;
+    }
+
+    let duration = { days: start.allDay ? 1 : 0, ms: 0 };
+    if (event.dtend) {
+      const end = parseDateValue(event.dtend, fallbackTimeZone);
+      if (!end) {
+        return skip('Invalid DTEND');
+      }
+      duration = start.allDay && end.allDay
+        ? { days: Math.round((new Date(`${end.date}T00:00:00Z`) - new Date(`${start.date}T00:00:00Z`)) / 86400000), ms: 0 }
+        : { days: 0, ms: zonedTimeToUtc(end.date, end.time, end.timeZone) - zonedTimeToUtc(start.date, start.time, start.timeZone) };
+    } else if (event.duration) {
+      duration = parseDuration(event.duration.value);
+      if (!duration) {
+        return skip('Invalid DURATION');
+      }
+    }
+
+    const pushIfInWindow = (occurrence, occurrenceStart) => {
+      if (occurrence.end > occurrence.start && occurrence.start < to && occurrence.end > from) {
+        occurrences.push({ uid, summary, occurrence_start: occurrenceStart, ...occurrence });
+      }
+    };
+
+    // A moved or modified instance of a recurring event
+    if (event.recurrence_id) {
+      const recurrenceId = parseDateValue(event.recurrence_id, start.timeZone);
+      if (!recurrenceId) {
+        return skip('Invalid RECURRENCE-ID');
+      }
+      return pushIfInWindow(
+        buildOccurrence(start, duration, start.date),
+        zonedTimeToUtc(recurrenceId.date, recurrenceId.time, recurrenceId.timeZone)
+      );
+    }
+
+    const excluded = [
+      ...event.exdates,
+      ...overrides.filter(override => override.uid === event.uid).map(override => override.recurrence_id)
+    ].map(value => parseDateValue(value, start.timeZone)).filter(Boolean);
+    const isExcluded = (instant) => excluded.some(value => matchesDateValue(value, instant, start));
+
+    const addOccurrence = (date) => {
+      const occurrence = buildOccurrence(start, duration, date);
+      if (!isExcluded(occurrence.start)) {
+        pushIfInWindow(occurrence, occurrence.start);
+      }
+      return occurrence;
+    };
+
+    if (!event.rrule) {
+      addOccurrence(start.date);
+    } else {
+      const rule = parseRecurrenceRule(event.rrule.value, start.timeZone);
+      if (!rule) {
+        return skip(`Unsupported recurrence rule: ${event.rrule.value}`);
+      }
+
+      const until = rule.until && zonedTimeToUtc(
+        rule.until.date,
+        rule.until.allDay ? start.time : rule.until.time,
+        rule.until.allDay ? start.timeZone : rule.until.timeZone
+      );
+
+      // DTSTART is always the first instance; COUNT includes it and any EXDATEs
+      let count = 1;
+      addOccurrence(start.date);
+
+      // Instances ending before the window can't overlap it; a day's margin covers
+      // the timezone of the window start
+      const windowDate = addDays(
+        getZonedDateString(new Date(from.getTime() - (duration.days * DAY_MS) - duration.ms), start.timeZone),
+        -1
+      );
+      const firstPeriod = firstPeriodNear(rule, start.date, windowDate);
+      let finished = false;
+
+      for (let period = firstPeriod; period < firstPeriod + MAX_RECURRENCE_PERIODS && !finished; period++) {
+        const dates = datesInPeriod(rule, start.date, period).filter(date => date > start.date);
+
+        for (const date of dates) {
+          if (rule.count && count >= rule.count) {
+            finished = true;
+            break;
+          }
+          const occurrenceStart = zonedTimeToUtc(date, start.time, start.timeZone);
+          if ((until && occurrenceStart > until) || occurrenceStart >= to) {
+            finished = true;
+            break;
+          }
+          addOccurrence(date);
+          count++;
+        }
+      }
+
+      // Occurrences past the expansion limit would otherwise be dropped silently
+      if (!finished) {
+        skip(`Recurrence not fully expanded: stopped after ${MAX_RECURRENCE_PERIODS} periods`);
+      }
+    }
+
+    // Additional explicit instances
+    event.rdates.forEach(rdate => {
+      const value = parseDateValue(rdate, start.timeZone);
+      if (value) {
+        const occurrence = buildOccurrence({ ...value, allDay: start.allDay }, duration, value.date);
+        if (!isExcluded(occurrence.start)) {
+          pushIfInWindow(occurrence, occurrence.start);
+        }
+      }
+    });
+
+    return null;
+  });
+
+  return { occurrences, skipped };
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  formatDateTime,
+  buildUid,
+  buildEvent,
+  buildCalendar,
+  parseCalendar,
+  expandEvents
+};
@@ -0,0 +1,87 @@
+// Message templates for session reminders. Placeholders are {{name}}; times are
+// shown in the therapist's timezone.
+
+const { normalizeTimeZone, getZonedDateString, formatInTimeZone } = require('./timezone');
+
+const TEMPLATES = {
+  client: {
+    subject: 'Reminder: your session with {{therapist_name}} {{lead_time}}',
+    text: [
+      'Hello,',
+      '',
+      'This is a reminder that your {{session_name}} with {{therapist_name}} starts {{lead_time}}.',
+      '',
+      'When: {{date}}, {{start_time}} - {{end_time}} ({{timezone}})',
+      '',
+      'If you can no longer attend, please cancel or reschedule from your MindNest account.',
+      '',
+      'MindNest'
+    ].join('\n')
+  },
+  therapist: {
+    subject: 'Reminder: {{session_name}} {{lead_time}}',
+    text: [
+      'Hello,',
+      '',
+      'Your {{session_name}} (session #{{session_id}}) starts {{lead_time}}.',
+      '',
+      'When: {{date}}, {{start_time}} - {{end_time}} ({{timezone}})',
+      '',
+      'MindNest'
+    ].join('\n')
+  }
+};
+
+// Replace {{name}} placeholders; unknown names render as empty strings
+const renderTemplate = (template, values) =>
+  template.replace(/\{\{(\w+)\}\}/g, (match, name) => (values[name] === undefined || values[name] === null ? '' : String(values[name])));
+
+// Describe how far away the session is, from the time actually remaining rather
+// than the configured offset, since a reminder may go out late
+const describeLeadTime = (startDatetime, now = new Date()) => {
+  const minutes = Math.round((new Date(startDatetime) - now) / 60000);
+
+  if (minutes < 1) {
+    return 'now';
+  }
+  if (minutes < 60) {
+    return `in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) {
+    return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+
+  return `in ${Math.round(hours / 24)} days`;
+};
+
+// Render the subject and body for a claimed reminder (see SessionReminder.claimDue)
+const renderReminder = (reminder, now = new Date()) => {
+  const timeZone = normalizeTimeZone(reminder.timezone);
+  const therapistName = [reminder.therapist_first_name, reminder.therapist_last_name].filter(Boolean).join(' ') || 'your therapist';
+  const template = TEMPLATES[reminder.recipient];
+
+  const values = {
+    session_id: reminder.booking_id,
+    therapist_name: therapistName,
+    session_name: reminder.appointment_type_name || `${reminder.session_type || 'individual'} session`,
+    lead_time: describeLeadTime(reminder.start_datetime, now),
+    date: getZonedDateString(reminder.start_datetime, timeZone),
+    start_time: formatInTimeZone(reminder.start_datetime, timeZone).slice(11, 16),
+    end_time: formatInTimeZone(reminder.end_datetime, timeZone).slice(11, 16),
+    timezone: timeZone
+  };
+
+  return {
+    subject: renderTemplate(template.subject, values),
+    text: renderTemplate(template.text, values)
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  renderTemplate,
+  describeLeadTime,
+  renderReminder
+};
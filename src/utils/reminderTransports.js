@@ -0,0 +1,107 @@
+// Delivery transports for session reminders. Each transport has a name and an
+// async send({ to, subject, text }) that resolves to { messageId } once the message
+// is accepted, or rejects so the reminder can be retried.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'MindNest <no-reply@mindnest.local>';
+
+// Sends through an SMTP server
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.from = options.from || DEFAULT_FROM;
+    this.transporter = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async send({ to, subject, text }) {
+    const info = await this.transporter.sendMail({ from: this.from, to, subject, text });
+    return { messageId: info.messageId };
+  }
+}
+
+// Appends each message as a JSON line to a file, for local development
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.from = options.from || DEFAULT_FROM;
+    this.filePath = options.filePath;
+  }
+
+  async send({ to, subject, text }) {
+    const messageId = `<${crypto.randomUUID()}@mindnest.local>`;
+    const entry = { message_id: messageId, from: this.from, to, subject, text, sent_at: new Date().toISOString() };
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+    return { messageId };
+  }
+}
+
+// Writes each message to the server log
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send({ to, subject, text }) {
+    const messageId = `<${crypto.randomUUID()}@mindnest.local>`;
+    console.log(`📧 Reminder to ${to}: ${subject}\n${text}`);
+    return { messageId };
+  }
+}
+
+// Build the transport selected by REMINDER_TRANSPORT (smtp, file or console)
+const createReminderTransport = (env = process.env) => {
+  const from = env.REMINDER_FROM || DEFAULT_FROM;
+
+  switch ((env.REMINDER_TRANSPORT || 'console').toLowerCase()) {
+    case 'smtp':
+      if (!env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is required when REMINDER_TRANSPORT is smtp');
+      }
+      return new SmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from
+      });
+    case 'file':
+      return new FileTransport({
+        filePath: env.REMINDER_FILE_PATH || path.join(process.cwd(), 'tmp', 'reminders.log'),
+        from
+      });
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown REMINDER_TRANSPORT: ${env.REMINDER_TRANSPORT}`);
+  }
+};
+
+let transport = null;
+
+// The configured transport, created on first use
+const getReminderTransport = () => {
+  if (!transport) {
+    transport = createReminderTransport();
+  }
+  return transport;
+};
+
+module.exports = {
+  SmtpTransport,
+  FileTransport,
+  ConsoleTransport,
+  createReminderTransport,
+  getReminderTransport
+};
@@ -1,17 +1,108 @@
 const Availability = require('../models/Availability');
-const { cleanOldActivities } = require('./activityLogger');
+const TherapistSettings = require('../models/TherapistSettings');
+const GenerationPlan = require('../models/GenerationPlan');
+const Waitlist = require('../models/Waitlist');
+const SlotHold = require('../models/SlotHold');
+const SessionBooking = require('../models/SessionBooking');
+const SessionReminder = require('../models/SessionReminder');
+const { cleanOldActivities, logActivity } = require('./activityLogger');
+const { getReminderTransport } = require('./reminderTransports');
+const { renderReminder } = require('./reminderTemplates');
 
-// Clean up expired availability slots
+// Days expired and cancelled slots without bookings are kept before being deleted
+const SLOT_RETENTION_DAYS = parseInt(process.env.SLOT_RETENTION_DAYS || '730');
+
+// Archive past availability slots and purge those past retention
 const cleanupExpiredAvailability = async () => {
   try {
     console.log('🧹 Starting cleanup of expired availability slots...');
-    const cleanedCount = await Availability.cleanupExpiredSlots();
-    console.log(`✅ Cleaned up ${cleanedCount} expired availability slots`);
+    const expiredCount = await Availability.expirePastSlots();
+    console.log(`✅ Marked ${expiredCount} past availability slots as expired`);
+
+    const purgedCount = await Availability.purgeArchivedSlots(SLOT_RETENTION_DAYS);
+    console.log(`✅ Purged ${purgedCount} archived slots older than ${SLOT_RETENTION_DAYS} days`);
+
+    const expiredPlans = await GenerationPlan.cleanupExpired();
+    console.log(`✅ Cleaned up ${expiredPlans} expired generation previews`);
   } catch (error) {
     console.error('❌ Error during availability cleanup:', error);
   }
 };
 
+// Expire unclaimed waitlist offers and pass their seats down the waitlist
+const processWaitlistOffers = async () => {
+  try {
+    const { expired, offers } = await Waitlist.expireOffers();
+    if (expired > 0) {
+      console.log(`⏳ Expired ${expired} waitlist offers, made ${offers.length} new offers`);
+    }
+  } catch (error) {
+    console.error('❌ Error processing waitlist offers:', error);
+  }
+};
+
+// Release lapsed checkout holds back to public availability
+const releaseExpiredHolds = async () => {
+  try {
+    const expired = await SlotHold.expireHolds();
+    if (expired > 0) {
+      console.log(`⏳ Released ${expired} expired slot holds`);
+    }
+  } catch (error) {
+    console.error('❌ Error releasing expired slot holds:', error);
+  }
+};
+
+// Ask therapists to confirm attendance of ended sessions, then complete or flag the
+// sessions they leave unconfirmed, as each therapist has chosen
+const followUpSessionAttendance = async () => {
+  try {
+    const requested = await SessionBooking.requestAttendanceConfirmations();
+
+    const requestedByTherapist = new Map();
+    for (const session of requested) {
+      const sessionIds = requestedByTherapist.get(session.therapist_id) || [];
+      sessionIds.push(session.id);
+      requestedByTherapist.set(session.therapist_id, sessionIds);
+    }
+    for (const [therapistId, sessionIds] of requestedByTherapist) {
+      await logActivity(therapistId, 'session_attendance_requested', 'Confirm attendance for ended sessions', {
+        session_ids: sessionIds
+      });
+    }
+
+    let completed = 0;
+    let flagged = 0;
+    const unconfirmed = await SessionBooking.findUnconfirmedSessions();
+    for (const session of unconfirmed) {
+      try {
+        if (session.action === 'needs_attention') {
+          if (await SessionBooking.flagNeedsAttention(session.id)) {
+            flagged++;
+            await logActivity(session.therapist_id, 'session_needs_attention', 'Session attendance was not confirmed', {
+              session_id: session.id
+            });
+          }
+        } else if (await SessionBooking.completeUnconfirmed(session.id)) {
+          completed++;
+          await logActivity(session.therapist_id, 'session_auto_completed', 'Session completed automatically after attendance was not confirmed', {
+            session_id: session.id
+          });
+        }
+      } catch (error) {
+        // One session's failure shouldn't stop the others
+        console.error(`❌ Error following up attendance for session ${session.id}:`, error);
+      }
+    }
+
+    if (requested.length > 0 || completed > 0 || flagged > 0) {
+      console.log(`📝 Attendance follow-up: ${requested.length} requested, ${completed} auto-completed, ${flagged} flagged`);
+    }
+  } catch (error) {
+    console.error('❌ Error following up session attendance:', error);
+  }
+};
+
 // Clean up old activity logs
 const cleanupOldActivityLogs = async () => {
   try {
@@ -23,25 +114,91 @@ const cleanupOldActivityLogs = async () => {
   }
 };
 
-// Send appointment reminders (placeholder for future implementation)
+// Send session reminders that have come due through the configured transport.
+// Failed deliveries are retried with backoff; a reminder is claimed before it is
+// sent, so one interrupted mid-delivery is failed rather than sent twice.
 const sendAppointmentReminders = async () => {
   try {
-    console.log('📧 Checking for appointment reminders...');
-    // This would query session_bookings for upcoming appointments
-    // and send email/SMS reminders to both therapists and clients
-    console.log('✅ Appointment reminder check completed');
+    const interrupted = await SessionReminder.failInterruptedDeliveries();
+    if (interrupted > 0) {
+      console.log(`⚠️ Failed ${interrupted} reminders interrupted during delivery`);
+    }
+
+    const scheduled = await SessionReminder.scheduleDue();
+    const transport = getReminderTransport();
+    const due = await SessionReminder.claimDue();
+
+    let sent = 0;
+    let failed = 0;
+    let cancelled = 0;
+    for (const reminder of due) {
+      try {
+        // The session may have been cancelled or moved since the reminder was scheduled
+        if (reminder.session_status !== 'scheduled' ||
+            new Date(reminder.start_datetime).getTime() !== new Date(reminder.session_start).getTime() ||
+            new Date(reminder.start_datetime) <= new Date()) {
+          await SessionReminder.markCancelled(reminder.id, 'Session is no longer upcoming at this time');
+          cancelled++;
+          continue;
+        }
+
+        const { subject, text } = renderReminder(reminder);
+        try {
+          const { messageId } = await transport.send({ to: reminder.recipient_address, subject, text });
+          await SessionReminder.markSent(reminder, transport.name, messageId);
+          sent++;
+        } catch (error) {
+          const updated = await SessionReminder.markFailed(reminder, error, transport.name);
+          failed++;
+          console.error(`❌ Reminder ${reminder.id} delivery failed (attempt ${reminder.attempts}, now ${updated.status}):`, error.message);
+        }
+      } catch (error) {
+        // One reminder's failure shouldn't stop the others
+        console.error(`❌ Error sending reminder ${reminder.id}:`, error);
+      }
+    }
+
+    if (scheduled > 0 || due.length > 0) {
+      console.log(`📧 Reminders: ${scheduled} scheduled, ${sent} sent via ${transport.name}, ${failed} failed, ${cancelled} cancelled`);
+    }
   } catch (error) {
     console.error('❌ Error sending appointment reminders:', error);
   }
 };
 
-// Generate availability slots from templates (placeholder)
+// Keep each therapist's slots generated from their active templates up to their horizon
 const generateWeeklyAvailability = async () => {
   try {
-    console.log('📅 Generating weekly availability slots...');
-    // This would automatically generate availability slots
-    // for the upcoming week based on therapist templates
-    console.log('✅ Weekly availability generation completed');
+    console.log('📅 Generating rolling availability slots...');
+    const therapists = await Availability.getTherapistsForAutoGeneration(
+      TherapistSettings.DEFAULT_SETTINGS.availability_horizon_weeks
+    );
+
+    let totalCreated = 0;
+    for (const therapist of therapists) {
+      try {
+        const result = await Availability.extendAvailabilityHorizon(
+          therapist.id,
+          therapist.horizon_weeks,
+          therapist.timezone
+        );
+        totalCreated += result.slots_created;
+
+        await logActivity(therapist.id, 'slots_auto_generated', 'Availability slots generated for rolling horizon', {
+          horizon_weeks: therapist.horizon_weeks,
+          ...result
+        });
+      } catch (error) {
+        // One therapist's failure shouldn't stop the others
+        console.error(`❌ Error generating availability for therapist ${therapist.id}:`, error);
+        await logActivity(therapist.id, 'slots_auto_generation_failed', 'Rolling availability generation failed', {
+          horizon_weeks: therapist.horizon_weeks,
+          error: error.message
+        });
+      }
+    }
+
+    console.log(`✅ Rolling availability generation completed: ${totalCreated} slots for ${therapists.length} therapists`);
   } catch (error) {
     console.error('❌ Error generating weekly availability:', error);
   }
@@ -51,5 +208,8 @@ module.exports = {
   cleanupExpiredAvailability,
   cleanupOldActivityLogs,
   sendAppointmentReminders,
-  generateWeeklyAvailability
+  generateWeeklyAvailability,
+  processWaitlistOffers,
+  releaseExpiredHolds,
+  followUpSessionAttendance
 };
\ No newline at end of file
@@ -0,0 +1,103 @@
+const { AppError, ConflictError } = require('./errors');
+
+// Every status a session booking can be in. Sessions start requested or scheduled
+// and end completed, no_show or in one of the cancelled statuses.
+const SESSION_STATUSES = [
+  'requested',
+  'scheduled',
+  'in_progress',
+  'completed',
+  'no_show',
+  'cancelled_by_client',
+  'cancelled_by_therapist',
+  'late_cancelled'
+];
+
+// Sessions that are still to take place and can be cancelled
+const OPEN_STATUSES = ['requested', 'scheduled'];
+const OPEN_STATUSES_SQL = `(${OPEN_STATUSES.map(status => `'${status}'`).join(', ')})`;
+
+// Cancelled sessions no longer take a seat on their slot
+const CANCELLED_STATUSES = ['cancelled_by_client', 'cancelled_by_therapist', 'late_cancelled'];
+const CANCELLED_STATUSES_SQL = `(${CANCELLED_STATUSES.map(status => `'${status}'`).join(', ')})`;
+
+// Statuses that record attendance, which a session only reaches once it has started
+const STARTED_STATUSES = ['in_progress', 'completed', 'no_show'];
+
+// Allowed transitions and who may make them; 'system' is the scheduler
+const TRANSITIONS = {
+  requested: {
+    scheduled: ['therapist'],
+    cancelled_by_client: ['client'],
+    cancelled_by_therapist: ['therapist', 'system']
+  },
+  scheduled: {
+    in_progress: ['therapist'],
+    completed: ['therapist', 'system'],
+    no_show: ['therapist', 'system'],
+    cancelled_by_client: ['client'],
+    late_cancelled: ['client'],
+    cancelled_by_therapist: ['therapist', 'system']
+  },
+  in_progress: {
+    completed: ['therapist', 'system'],
+    no_show: ['therapist']
+  }
+};
+
+// Booking column stamped when a session enters a status
+const STATUS_TIMESTAMPS = {
+  scheduled: 'scheduled_at',
+  in_progress: 'started_at',
+  completed: 'completed_at',
+  no_show: 'no_show_at',
+  cancelled_by_client: 'cancelled_at',
+  cancelled_by_therapist: 'cancelled_at',
+  late_cancelled: 'cancelled_at'
+};
+
+const isCancelledStatus = (status) => CANCELLED_STATUSES.includes(status);
+
+const requiresStartedSession = (status) => STARTED_STATUSES.includes(status);
+
+// Statuses a role may move a session to from its current status
+const getAllowedTransitions = (fromStatus, role) => {
+  const transitions = TRANSITIONS[fromStatus] || {};
+  return Object.keys(transitions).filter(toStatus => transitions[toStatus].includes(role));
+};
+
+const canTransition = (fromStatus, toStatus, role) => getAllowedTransitions(fromStatus, role).includes(toStatus);
+
+// Check a role may move a session between two statuses
+const assertTransition = (fromStatus, toStatus, role) => {
+  const transitions = TRANSITIONS[fromStatus] || {};
+
+  if (!transitions[toStatus]) {
+    throw new ConflictError(`Sessions can't move from ${fromStatus} to ${toStatus}`, 'INVALID_STATUS_TRANSITION', {
+      session_status: fromStatus,
+      allowed_statuses: getAllowedTransitions(fromStatus, role)
+    });
+  }
+  if (!transitions[toStatus].includes(role)) {
+    const roles = transitions[toStatus].filter(allowedRole => allowedRole !== 'system');
+    throw new AppError(`Only the ${roles.join(' or ')} can move a session to ${toStatus}`, 403, 'STATUS_TRANSITION_FORBIDDEN', {
+      session_status: fromStatus,
+      allowed_statuses: getAllowedTransitions(fromStatus, role)
+    });
+  }
+};
+
+module.exports = {
+  SESSION_STATUSES,
+  OPEN_STATUSES,
+  OPEN_STATUSES_SQL,
+  CANCELLED_STATUSES,
+  CANCELLED_STATUSES_SQL,
+  STARTED_STATUSES,
+  STATUS_TIMESTAMPS,
+  isCancelledStatus,
+  requiresStartedSession,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition
+};
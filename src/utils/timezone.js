@@ -0,0 +1,208 @@
+// Timezone helpers built on Intl so slot times can be expressed in a therapist's
+// IANA timezone without depending on the server's local zone.
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+// Check that a string is a timezone Intl understands (e.g. 'America/New_York')
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Fall back to UTC for missing or unknown timezones
+const normalizeTimeZone = (timeZone) => (isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE);
+
+// Wall-clock components of an instant in the given timezone
+const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(normalizeTimeZone(timeZone)).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+  return parts;
+};
+
+// Offset of the timezone from UTC at the given instant, in minutes
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - instant) / 60000);
+};
+
+// Parse 'HH:MM' or 'HH:MM:SS' (as returned for TIME columns) into minutes after midnight
+const timeToMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return (hours * 60) + (minutes || 0);
+};
+
+// Format minutes after midnight as 'HH:MM'
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+// Convert a wall-clock date ('YYYY-MM-DD') and time ('HH:MM') in a timezone to a UTC instant.
+// Ambiguous times (DST fall-back) resolve to the first occurrence; times skipped by a
+// DST jump resolve to the same distance past the transition.
+const zonedTimeToUtc = (dateStr, timeStr, timeZone) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const minutes = timeToMinutes(timeStr);
+  const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  // Offsets either side of the date cover any transition happening that day
+  const candidates = [wallClock - DAY_MS, wallClock + DAY_MS].map(sample =>
+    wallClock - (getTimeZoneOffset(new Date(sample), timeZone) * 60000)
+  );
+
+  const matches = candidates.filter(candidate =>
+    candidate + (getTimeZoneOffset(new Date(candidate), timeZone) * 60000) === wallClock
+  );
+
+  return new Date(matches.length > 0 ? Math.min(...matches) : Math.max(...candidates));
+};
+
+// ISO 8601 representation of an instant in a timezone, with its UTC offset
+const formatInTimeZone = (date, timeZone) => {
+  const instant = date instanceof Date ? date : new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const offset = getTimeZoneOffset(instant, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const absOffset = Math.abs(offset);
+  const pad = (value) => String(value).padStart(2, '0');
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`;
+};
+
+// Calendar date ('YYYY-MM-DD') of an instant in a timezone
+const getZonedDateString = (date, timeZone) => formatInTimeZone(date, timeZone).slice(0, 10);
+
+// Normalize a date input (Date from Joi or 'YYYY-MM-DD...' string) to 'YYYY-MM-DD'
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  return String(value).slice(0, 10);
+};
+
+// Add days to a 'YYYY-MM-DD' date string
+const addDays = (dateStr, days) => {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Day of week (0 = Sunday) of a 'YYYY-MM-DD' date string
+const getDayOfWeek = (dateStr) => new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EXPLICIT_OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+// Parse a datetime input. Values with an explicit offset are absolute instants;
+// naive values ('2024-01-01T09:00') are read as wall-clock time in the timezone.
+const parseDateTimeInZone = (value, timeZone) => {
+  if (value instanceof Date) {
+    return value;
+  }
+
+  const str = String(value).trim();
+  if (EXPLICIT_OFFSET_PATTERN.test(str) && !DATE_ONLY_PATTERN.test(str)) {
+    return new Date(str);
+  }
+
+  const [datePart, timePart = '00:00'] = str.split(/[T ]/);
+  return zonedTimeToUtc(datePart, timePart.slice(0, 5), normalizeTimeZone(timeZone));
+};
+
+// Resolve a start/end date filter pair to instants. Date-only values are whole local
+// days in the timezone, so end_date '2024-01-31' includes all of January 31st.
+const resolveDateRange = (startDate, endDate, timeZone) => {
+  const isDateOnly = (value) => typeof value === 'string' && DATE_ONLY_PATTERN.test(value);
+
+  return {
+    start: isDateOnly(startDate)
+      ? zonedTimeToUtc(startDate, '00:00', timeZone)
+      : parseDateTimeInZone(startDate, timeZone),
+    end: isDateOnly(endDate)
+      ? zonedTimeToUtc(addDays(endDate, 1), '00:00', timeZone)
+      : parseDateTimeInZone(endDate, timeZone)
+  };
+};
+
+// Attach UTC and timezone-local representations to a slot row
+const withSlotTimes = (slot, timeZone) => {
+  const zone = normalizeTimeZone(timeZone || slot.timezone);
+  const start = new Date(slot.start_datetime);
+  const end = new Date(slot.end_datetime);
+
+  return {
+    ...slot,
+    timezone: zone,
+    start_utc: start.toISOString(),
+    end_utc: end.toISOString(),
+    start_local: formatInTimeZone(start, zone),
+    end_local: formatInTimeZone(end, zone)
+  };
+};
+
+// Attach a viewer's local times and local date to a slot, next to the therapist's
+const withViewerTimes = (slot, timeZone) => {
+  const zone = normalizeTimeZone(timeZone);
+  const start = new Date(slot.start_datetime);
+
+  return {
+    ...slot,
+    viewer_timezone: zone,
+    viewer_start_local: formatInTimeZone(start, zone),
+    viewer_end_local: formatInTimeZone(new Date(slot.end_datetime), zone),
+    viewer_date: getZonedDateString(start, zone)
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  normalizeTimeZone,
+  getTimeZoneOffset,
+  timeToMinutes,
+  minutesToTime,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  getZonedDateString,
+  toDateString,
+  addDays,
+  getDayOfWeek,
+  parseDateTimeInZone,
+  resolveDateRange,
+  withSlotTimes,
+  withViewerTimes
+};
@@ -0,0 +1,159 @@
+const Availability = require('../../src/models/Availability');
+
+const toIso = slots => slots.map(({ start_datetime: start, end_datetime: end }) => [start.toISOString(), end.toISOString()]);
+
+const interval = (start, end) => ({ start: new Date(start), end: new Date(end) });
+const intervalsToIso = intervals => intervals.map(({ start, end }) => [start.toISOString(), end.toISOString()]);
+
+describe('Availability.generateTimeSlotsForDay', () => {
+  test('generates slots at wall-clock times in the profile timezone', () => {
+    const slots = Availability.generateTimeSlotsForDay('2026-06-01', '09:00', '12:00', 50, 10, 'America/New_York');
+
+    expect(toIso(slots)).toEqual([
+      ['2026-06-01T13:00:00.000Z', '2026-06-01T13:50:00.000Z'],
+      ['2026-06-01T14:00:00.000Z', '2026-06-01T14:50:00.000Z'],
+      ['2026-06-01T15:00:00.000Z', '2026-06-01T15:50:00.000Z']
+    ]);
+  });
+
+  test('keeps the local start time on both sides of a DST change', () => {
+    const before = Availability.generateTimeSlotsForDay('2026-03-07', '09:00', '10:00', 60, 0, 'America/New_York');
+    const after = Availability.generateTimeSlotsForDay('2026-03-09', '09:00', '10:00', 60, 0, 'America/New_York');
+
+    expect(toIso(before)).toEqual([['2026-03-07T14:00:00.000Z', '2026-03-07T15:00:00.000Z']]);
+    expect(toIso(after)).toEqual([['2026-03-09T13:00:00.000Z', '2026-03-09T14:00:00.000Z']]);
+  });
+
+  test('defaults to UTC', () => {
+    const slots = Availability.generateTimeSlotsForDay('2026-03-08', '09:00', '10:00', 60, 0);
+
+    expect(toIso(slots)).toEqual([['2026-03-08T09:00:00.000Z', '2026-03-08T10:00:00.000Z']]);
+  });
+
+  test('leaves out the hour skipped when clocks go forward', () => {
+    // 02:00-03:00 doesn't exist in New York on 8 March 2026
+    const slots = Availability.generateTimeSlotsForDay('2026-03-08', '01:00', '04:00', 60, 0, 'America/New_York');
+
+    expect(toIso(slots)).toEqual([
+      ['2026-03-08T06:00:00.000Z', '2026-03-08T07:00:00.000Z'],
+      ['2026-03-08T07:00:00.000Z', '2026-03-08T08:00:00.000Z']
+    ]);
+  });
+
+  test('never runs a slot past the end time when clocks go forward', () => {
+    const slots = Availability.generateTimeSlotsForDay('2026-03-08', '01:30', '03:00', 60, 0, 'America/New_York');
+
+    expect(slots).toEqual([]);
+  });
+
+  test('keeps every slot to the session length when clocks go back', () => {
+    // 01:00-02:00 happens twice in New York on 1 November 2026
+    const slots = Availability.generateTimeSlotsForDay('2026-11-01', '00:30', '03:00', 60, 0, 'America/New_York');
+
+    expect(toIso(slots)).toEqual([
+      ['2026-11-01T04:30:00.000Z', '2026-11-01T05:30:00.000Z'],
+      ['2026-11-01T05:30:00.000Z', '2026-11-01T06:30:00.000Z']
+    ]);
+  });
+
+  test('follows the rules of zones with other transition dates', () => {
+    const summer = Availability.generateTimeSlotsForDay('2026-10-24', '09:00', '10:00', 60, 0, 'Europe/London');
+    const winter = Availability.generateTimeSlotsForDay('2026-10-26', '09:00', '10:00', 60, 0, 'Europe/London');
+
+    expect(toIso(summer)).toEqual([['2026-10-24T08:00:00.000Z', '2026-10-24T09:00:00.000Z']]);
+    expect(toIso(winter)).toEqual([['2026-10-26T09:00:00.000Z', '2026-10-26T10:00:00.000Z']]);
+  });
+});
+
+describe('Availability.coalesceIntervals', () => {
+  const rangeStart = '2026-03-02T00:00:00Z';
+  const rangeEnd = '2026-03-03T00:00:00Z';
+
+  test('merges overlapping and touching intervals in start order', () => {
+    const merged = Availability.coalesceIntervals([
+      interval('2026-03-02T13:00:00Z', '2026-03-02T14:00:00Z'),
+      interval('2026-03-02T09:00:00Z', '2026-03-02T10:00:00Z'),
+      interval('2026-03-02T09:30:00Z', '2026-03-02T11:00:00Z'),
+      interval('2026-03-02T11:00:00Z', '2026-03-02T12:00:00Z')
+    ], rangeStart, rangeEnd);
+
+    expect(intervalsToIso(merged)).toEqual([
+      ['2026-03-02T09:00:00.000Z', '2026-03-02T12:00:00.000Z'],
+      ['2026-03-02T13:00:00.000Z', '2026-03-02T14:00:00.000Z']
+    ]);
+  });
+
+  test('keeps intervals contained in another within it', () => {
+    const merged = Availability.coalesceIntervals([
+      interval('2026-03-02T09:00:00Z', '2026-03-02T17:00:00Z'),
+      interval('2026-03-02T10:00:00Z', '2026-03-02T11:00:00Z')
+    ], rangeStart, rangeEnd);
+
+    expect(intervalsToIso(merged)).toEqual([['2026-03-02T09:00:00.000Z', '2026-03-02T17:00:00.000Z']]);
+  });
+
+  test('clips to the range and drops intervals outside it', () => {
+    const merged = Availability.coalesceIntervals([
+      interval('2026-03-01T22:00:00Z', '2026-03-02T01:00:00Z'),
+      interval('2026-03-02T23:00:00Z', '2026-03-03T02:00:00Z'),
+      interval('2026-03-03T05:00:00Z', '2026-03-03T06:00:00Z'),
+      interval('2026-03-01T05:00:00Z', '2026-03-02T00:00:00Z')
+    ], rangeStart, rangeEnd);
+
+    expect(intervalsToIso(merged)).toEqual([
+      ['2026-03-02T00:00:00.000Z', '2026-03-02T01:00:00.000Z'],
+      ['2026-03-02T23:00:00.000Z', '2026-03-03T00:00:00.000Z']
+    ]);
+  });
+
+  test('accepts database timestamps as strings and leaves the input untouched', () => {
+    const input = [
+      { start: '2026-03-02T09:00:00Z', end: '2026-03-02T10:00:00Z' },
+      { start: '2026-03-02T10:00:00Z', end: '2026-03-02T10:30:00Z' }
+    ];
+    const merged = Availability.coalesceIntervals(input, rangeStart, rangeEnd);
+
+    expect(intervalsToIso(merged)).toEqual([['2026-03-02T09:00:00.000Z', '2026-03-02T10:30:00.000Z']]);
+    expect(input[0]).toEqual({ start: '2026-03-02T09:00:00Z', end: '2026-03-02T10:00:00Z' });
+  });
+
+  test('returns nothing for no intervals', () => {
+    expect(Availability.coalesceIntervals([], rangeStart, rangeEnd)).toEqual([]);
+  });
+});
+
+describe('Availability.classifyGeneratedSlot', () => {
+  const slot = { start_datetime: new Date('2026-03-02T14:00:00Z'), end_datetime: new Date('2026-03-02T15:00:00Z') };
+  const busy = {
+    id: 4,
+    start_datetime: new Date('2026-03-02T14:30:00Z'),
+    end_datetime: new Date('2026-03-02T16:00:00Z'),
+    summary: 'Ward round',
+    source_name: 'Hospital rota',
+    event_uid: 'evt-1'
+  };
+
+  test('skips slots inside time off', () => {
+    const timeOff = [{ time_off_id: 2, start: new Date('2026-03-02T00:00:00Z'), end: new Date('2026-03-03T00:00:00Z') }];
+
+    expect(Availability.classifyGeneratedSlot(slot, { timeOff, externalBusy: [busy] })).toEqual({ skip: true, time_off_id: 2 });
+  });
+
+  test('blocks slots overlapping imported busy time with the reason kept apart from notes', () => {
+    const outcome = Availability.classifyGeneratedSlot(slot, { timeOff: [], externalBusy: [busy] });
+
+    expect(outcome).toEqual({
+      skip: false,
+      status: 'blocked',
+      block_reason: 'Busy: Ward round (imported from Hospital rota, UID evt-1)',
+      blocked_by_external_busy_id: 4
+    });
+    expect(outcome).not.toHaveProperty('notes');
+  });
+
+  test('leaves other slots available', () => {
+    const outcome = Availability.classifyGeneratedSlot(slot, { timeOff: [], externalBusy: [{ ...busy, start_datetime: slot.end_datetime }] });
+
+    expect(outcome).toEqual({ skip: false, status: 'available', block_reason: null, blocked_by_external_busy_id: null });
+  });
+});
@@ -0,0 +1,181 @@
+const SessionBooking = require('../../src/models/SessionBooking');
+
+const settings = {
+  cancellation_window_hours: 24,
+  late_cancel_fee_type: 'percentage',
+  late_cancel_fee_amount: '50.00',
+  no_show_fee_type: 'fixed',
+  no_show_fee_amount: '80.00'
+};
+
+const booking = {
+  id: 7,
+  status: 'scheduled',
+  start_datetime: new Date('2026-06-10T15:00:00Z'),
+  fee_base_rate: '125.50',
+  fee_currency: 'USD'
+};
+
+// Stands in for a client checked out for a transaction: each query is answered by
+// the first handler whose pattern matches its SQL, and the SQL is kept in queries
+const fakeClient = (handlers) => {
+  const client = {
+    queries: [],
+    release: () => {},
+    query: async (text, values) => {
+      client.queries.push(text);
+      const handler = handlers.find(([pattern]) => pattern.test(text));
+      return { rows: handler ? handler[1](values) : [] };
+    }
+  };
+  return client;
+};
+
+const sessionClient = ({ started, status = 'scheduled' }) => fakeClient([
+  [/FROM session_bookings sb/, () => [{ ...booking, status, therapist_id: 3, availability_slot_id: 11 }]],
+  [/FROM therapist_settings/, () => [settings]],
+  [/FROM availability_slots WHERE id/, () => [{ start_datetime: booking.start_datetime, started }]],
+  [/UPDATE session_bookings/, values => [{ ...booking, status: values[1] }]]
+]);
+
+describe('SessionBooking.computeFee', () => {
+  test('charges a fixed fee as is', () => {
+    expect(SessionBooking.computeFee('fixed', '40.00', '150.00')).toBe(40);
+    expect(SessionBooking.computeFee('fixed', '40.00', null)).toBe(40);
+  });
+
+  test('charges a percentage of the rate rounded to cents', () => {
+    expect(SessionBooking.computeFee('percentage', '50', '125.50')).toBe(62.75);
+    expect(SessionBooking.computeFee('percentage', '33.33', '100.00')).toBe(33.33);
+    expect(SessionBooking.computeFee('percentage', '15', '99.99')).toBe(15);
+  });
+
+  test('charges nothing without a fee type, amount or rate', () => {
+    expect(SessionBooking.computeFee(null, '40.00', '150.00')).toBe(0);
+    expect(SessionBooking.computeFee('fixed', null, '150.00')).toBe(0);
+    expect(SessionBooking.computeFee('percentage', '50', null)).toBe(0);
+  });
+});
+
+describe('SessionBooking.quoteCancellation', () => {
+  test('is free for clients before the cancellation window', () => {
+    const quote = SessionBooking.quoteCancellation(booking, settings, 'client', new Date('2026-06-09T14:59:00Z'));
+
+    expect(quote).toMatchObject({
+      session_id: 7,
+      status: 'cancelled_by_client',
+      is_late: false,
+      fee: 0,
+      fee_type: null,
+      currency: 'USD'
+    });
+    expect(quote.free_cancellation_until.toISOString()).toBe('2026-06-09T15:00:00.000Z');
+  });
+
+  test('charges the late-cancel fee inside the window', () => {
+    const quote = SessionBooking.quoteCancellation(booking, settings, 'client', new Date('2026-06-09T15:01:00Z'));
+
+    expect(quote).toMatchObject({
+      status: 'late_cancelled',
+      is_late: true,
+      fee: 62.75,
+      fee_type: 'late_cancel'
+    });
+    expect(quote.policy.cancellation_window_hours).toBe(24);
+  });
+
+  test('is always free for therapists', () => {
+    const quote = SessionBooking.quoteCancellation(booking, settings, 'therapist', new Date('2026-06-10T14:00:00Z'));
+
+    expect(quote).toMatchObject({ status: 'cancelled_by_therapist', is_late: false, fee: 0 });
+  });
+
+  test('never charges for sessions that were only requested', () => {
+    const requested = { ...booking, status: 'requested' };
+    const quote = SessionBooking.quoteCancellation(requested, settings, 'client', new Date('2026-06-10T14:00:00Z'));
+
+    expect(quote).toMatchObject({ status: 'cancelled_by_client', is_late: false, fee: 0 });
+  });
+
+  test('reports a late cancellation without a fee when none is configured', () => {
+    const noFee = { ...settings, late_cancel_fee_type: null, late_cancel_fee_amount: null };
+    const quote = SessionBooking.quoteCancellation(booking, noFee, 'client', new Date('2026-06-10T14:00:00Z'));
+
+    expect(quote).toMatchObject({ status: 'late_cancelled', is_late: true, fee: 0, fee_type: null });
+  });
+});
+
+describe('SessionBooking.markNoShow', () => {
+  test('refuses sessions that have not started yet', async () => {
+    const client = sessionClient({ started: false });
+
+    await expect(SessionBooking.markNoShow(7, 3, { db: client })).rejects.toMatchObject({
+      statusCode: 422,
+      code: 'SESSION_NOT_STARTED'
+    });
+    expect(client.queries.some(text => /FROM availability_slots WHERE id[\s\S]*FOR UPDATE/.test(text))).toBe(true);
+    expect(client.queries.some(text => /UPDATE session_bookings/.test(text))).toBe(false);
+  });
+
+  test('records the no-show and its fee once the session has started', async () => {
+    const client = sessionClient({ started: true });
+    const result = await SessionBooking.markNoShow(7, 3, { db: client });
+
+    expect(result).toMatchObject({ session: { status: 'no_show' }, fee: 80, currency: 'USD' });
+    expect(client.queries.some(text => /INSERT INTO session_booking_status_history/.test(text))).toBe(true);
+  });
+});
+
+describe('SessionBooking.transition', () => {
+  test.each(['in_progress', 'completed'])('refuses %s before the session starts', async (toStatus) => {
+    const client = sessionClient({ started: false });
+
+    await expect(SessionBooking.transition(7, { therapistId: 3 }, toStatus, { role: 'therapist', db: client }))
+      .rejects.toMatchObject({ statusCode: 422, code: 'SESSION_NOT_STARTED' });
+    expect(client.queries.some(text => /UPDATE session_bookings/.test(text))).toBe(false);
+  });
+
+  test('moves started sessions on', async () => {
+    const client = sessionClient({ started: true });
+    const session = await SessionBooking.transition(7, { therapistId: 3 }, 'completed', { role: 'therapist', db: client });
+
+    expect(session.status).toBe('completed');
+  });
+
+  test('confirms requested sessions without checking the start time', async () => {
+    const client = sessionClient({ started: false, status: 'requested' });
+    const session = await SessionBooking.transition(7, { therapistId: 3 }, 'scheduled', { role: 'therapist', db: client });
+
+    expect(session.status).toBe('scheduled');
+    expect(client.queries.some(text => /FROM availability_slots WHERE id/.test(text))).toBe(false);
+  });
+});
+
+describe('SessionBooking.cancelForTherapist', () => {
+  const openBookingsClient = () => fakeClient([
+    [/SELECT id, status, notes FROM session_bookings/, () => [
+      { id: 7, status: 'scheduled', notes: 'Bring forms' },
+      { id: 8, status: 'requested', notes: null }
+    ]],
+    [/UPDATE session_bookings/, values => [{ id: values[0], status: values[1], cancelled_by_role: values[2], notes: values[3] }]]
+  ]);
+
+  test('cancels each open booking on behalf of the given role', async () => {
+    const client = openBookingsClient();
+    const cancelled = await SessionBooking.cancelForTherapist(3, { slotId: 11, role: 'system', note: 'Slot withdrawn', db: client });
+
+    expect(cancelled).toEqual([
+      { id: 7, status: 'cancelled_by_therapist', cancelled_by_role: 'system', notes: 'Bring forms | Slot withdrawn' },
+      { id: 8, status: 'cancelled_by_therapist', cancelled_by_role: 'system', notes: 'Slot withdrawn' }
+    ]);
+    expect(client.queries.filter(text => /INSERT INTO session_booking_status_history/.test(text))).toHaveLength(2);
+  });
+
+  test('checks the role may cancel before changing anything', async () => {
+    const client = openBookingsClient();
+
+    await expect(SessionBooking.cancelForTherapist(3, { slotId: 11, role: 'client', db: client }))
+      .rejects.toMatchObject({ code: 'STATUS_TRANSITION_FORBIDDEN' });
+    expect(client.queries.some(text => /UPDATE session_bookings/.test(text))).toBe(false);
+  });
+});
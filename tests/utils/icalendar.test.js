@@ -0,0 +1,207 @@
+const { escapeText, buildCalendar, foldLine, parseCalendar, expandEvents } = require('../../src/utils/icalendar');
+
+// Wrap VEVENT property lines in a calendar
+const calendar = (...events) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+  'END:VCALENDAR'
+].join('\r\n');
+
+const expand = (text, windowStart, windowEnd, timeZone = 'UTC') =>
+  expandEvents(parseCalendar(text), windowStart, windowEnd, timeZone);
+
+const starts = ({ occurrences }) => occurrences.map(occurrence => occurrence.start.toISOString());
+
+describe('parseCalendar', () => {
+  test('unfolds lines and unescapes text', () => {
+    const [event] = parseCalendar(calendar([
+      'UID:abc',
+      'SUMMARY:Team\\, weekly',
+      ' sync',
+      'DTSTART;TZID=Europe/Berlin:20260105T090000'
+    ]));
+
+    expect(event.uid).toBe('abc');
+    expect(event.summary).toBe('Team, weeklysync');
+    expect(event.dtstart).toEqual({ value: '20260105T090000', params: { TZID: 'Europe/Berlin' } });
+  });
+
+  test('ignores nested components', () => {
+    const events = parseCalendar(calendar([
+      'UID:abc',
+      'DTSTART:20260105T090000Z',
+      'BEGIN:VALARM',
+      'SUMMARY:Alarm',
+      'END:VALARM'
+    ]));
+
+    expect(events).toHaveLength(1);
+    expect(events[0].summary).toBeUndefined();
+  });
+});
+
+describe('expandEvents', () => {
+  test('expands weekly rules on several weekdays and drops EXDATEs', () => {
+    const result = expand(calendar([
+      'UID:weekly',
+      'DTSTART;TZID=America/New_York:20260105T090000',
+      'DTEND;TZID=America/New_York:20260105T100000',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+      'EXDATE;TZID=America/New_York:20260114T090000'
+    ]), '2026-01-05T00:00:00Z', '2026-01-19T00:00:00Z');
+
+    expect(starts(result)).toEqual([
+      '2026-01-05T14:00:00.000Z',
+      '2026-01-07T14:00:00.000Z',
+      '2026-01-12T14:00:00.000Z'
+    ]);
+    expect(result.occurrences[0].end.toISOString()).toBe('2026-01-05T15:00:00.000Z');
+  });
+
+  test('keeps the wall-clock time across DST changes', () => {
+    const result = expand(calendar([
+      'UID:dst',
+      'DTSTART;TZID=America/New_York:20261026T090000',
+      'DURATION:PT1H',
+      'RRULE:FREQ=WEEKLY'
+    ]), '2026-10-26T00:00:00Z', '2026-11-03T00:00:00Z');
+
+    expect(starts(result)).toEqual(['2026-10-26T13:00:00.000Z', '2026-11-02T14:00:00.000Z']);
+  });
+
+  test('counts DTSTART and excluded dates towards COUNT', () => {
+    const result = expand(calendar([
+      'UID:count',
+      'DTSTART:20260101T080000Z',
+      'DTEND:20260101T083000Z',
+      'RRULE:FREQ=DAILY;COUNT=3',
+      'EXDATE:20260102T080000Z'
+    ]), '2026-01-01T00:00:00Z', '2026-01-10T00:00:00Z');
+
+    expect(starts(result)).toEqual(['2026-01-01T08:00:00.000Z', '2026-01-03T08:00:00.000Z']);
+  });
+
+  test('stops at UNTIL', () => {
+    const result = expand(calendar([
+      'UID:until',
+      'DTSTART:20260101T080000Z',
+      'DTEND:20260101T083000Z',
+      'RRULE:FREQ=DAILY;INTERVAL=2;UNTIL=20260105T080000Z'
+    ]), '2026-01-01T00:00:00Z', '2026-01-10T00:00:00Z');
+
+    expect(starts(result)).toEqual([
+      '2026-01-01T08:00:00.000Z',
+      '2026-01-03T08:00:00.000Z',
+      '2026-01-05T08:00:00.000Z'
+    ]);
+  });
+
+  test('expands ordinal weekdays within a month', () => {
+    const result = expand(calendar([
+      'UID:monthly',
+      'DTSTART:20260130T120000Z',
+      'DTEND:20260130T130000Z',
+      'RRULE:FREQ=MONTHLY;BYDAY=-1FR'
+    ]), '2026-02-01T00:00:00Z', '2026-04-01T00:00:00Z');
+
+    expect(starts(result)).toEqual(['2026-02-27T12:00:00.000Z', '2026-03-27T12:00:00.000Z']);
+  });
+
+  test('replaces an instance moved with RECURRENCE-ID', () => {
+    const result = expand(calendar(
+      [
+        'UID:moved',
+        'DTSTART:20260105T090000Z',
+        'DTEND:20260105T100000Z',
+        'RRULE:FREQ=DAILY;COUNT=3'
+      ],
+      [
+        'UID:moved',
+        'RECURRENCE-ID:20260106T090000Z',
+        'DTSTART:20260106T150000Z',
+        'DTEND:20260106T160000Z'
+      ]
+    ), '2026-01-05T00:00:00Z', '2026-01-10T00:00:00Z');
+
+    expect(starts(result).sort()).toEqual([
+      '2026-01-05T09:00:00.000Z',
+      '2026-01-06T15:00:00.000Z',
+      '2026-01-07T09:00:00.000Z'
+    ]);
+    const moved = result.occurrences.find(occurrence => occurrence.start.toISOString() === '2026-01-06T15:00:00.000Z');
+    expect(moved.occurrence_start.toISOString()).toBe('2026-01-06T09:00:00.000Z');
+  });
+
+  test('finds occurrences of long-running series far from DTSTART', () => {
+    const result = expand(calendar([
+      'UID:rota',
+      'DTSTART;TZID=America/New_York:19900101T030000',
+      'DTEND;TZID=America/New_York:19900101T040000',
+      'RRULE:FREQ=DAILY'
+    ]), '2026-11-01T00:00:00Z', '2026-11-04T00:00:00Z', 'America/New_York');
+
+    expect(starts(result)).toEqual([
+      '2026-11-01T08:00:00.000Z',
+      '2026-11-02T08:00:00.000Z',
+      '2026-11-03T08:00:00.000Z'
+    ]);
+    expect(result.skipped).toEqual([]);
+  });
+
+  test('reports series it stops expanding as skipped', () => {
+    const result = expand(calendar([
+      'UID:counted',
+      'DTSTART:19900101T030000Z',
+      'DTEND:19900101T040000Z',
+      'RRULE:FREQ=DAILY;COUNT=20000'
+    ]), '2026-11-01T00:00:00Z', '2026-11-04T00:00:00Z');
+
+    expect(result.skipped).toEqual([
+      expect.objectContaining({ uid: 'counted', reason: expect.stringContaining('not fully expanded') })
+    ]);
+  });
+
+  test('reads all-day events as whole days in the fallback timezone', () => {
+    const result = expand(calendar([
+      'UID:holiday',
+      'DTSTART;VALUE=DATE:20260704',
+      'DTEND;VALUE=DATE:20260705'
+    ]), '2026-07-01T00:00:00Z', '2026-07-10T00:00:00Z', 'America/New_York');
+
+    expect(starts(result)).toEqual(['2026-07-04T04:00:00.000Z']);
+    expect(result.occurrences[0].end.toISOString()).toBe('2026-07-05T04:00:00.000Z');
+  });
+
+  test('ignores cancelled and free events and skips unsupported rules', () => {
+    const result = expand(calendar(
+      ['UID:cancelled', 'STATUS:CANCELLED', 'DTSTART:20260105T090000Z', 'DTEND:20260105T100000Z'],
+      ['UID:free', 'TRANSP:TRANSPARENT', 'DTSTART:20260105T090000Z', 'DTEND:20260105T100000Z'],
+      ['UID:hourly', 'DTSTART:20260105T090000Z', 'DTEND:20260105T100000Z', 'RRULE:FREQ=HOURLY'],
+      ['UID:broken', 'DTSTART:yesterday']
+    ), '2026-01-01T00:00:00Z', '2026-01-10T00:00:00Z');
+
+    expect(result.occurrences).toEqual([]);
+    expect(result.skipped.map(skipped => skipped.uid)).toEqual(['hourly', 'broken']);
+  });
+});
+
+describe('escapeText', () => {
+  test('escapes backslashes, separators and newlines', () => {
+    expect(escapeText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+  });
+});
+
+describe('buildCalendar', () => {
+  test('uses CRLF line endings and folds long lines', () => {
+    const text = buildCalendar({
+      name: 'MindNest sessions',
+      events: [{ uid: 'x@test', start: new Date('2026-01-05T09:00:00Z'), end: new Date('2026-01-05T10:00:00Z'), summary: 'S'.repeat(100) }]
+    });
+
+    expect(text.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+    expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(text.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(foldLine('A'.repeat(80))).toBe(`${'A'.repeat(75)}\r\n ${'A'.repeat(5)}`);
+  });
+});
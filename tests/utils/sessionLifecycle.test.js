@@ -0,0 +1,89 @@
+const {
+  SESSION_STATUSES,
+  STATUS_TIMESTAMPS,
+  isCancelledStatus,
+  requiresStartedSession,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition
+} = require('../../src/utils/sessionLifecycle');
+const { AppError, ConflictError } = require('../../src/utils/errors');
+
+describe('getAllowedTransitions', () => {
+  test('depends on the role', () => {
+    expect(getAllowedTransitions('scheduled', 'client')).toEqual(['cancelled_by_client', 'late_cancelled']);
+    expect(getAllowedTransitions('scheduled', 'therapist')).toEqual([
+      'in_progress', 'completed', 'no_show', 'cancelled_by_therapist'
+    ]);
+    expect(getAllowedTransitions('scheduled', 'system')).toEqual(['completed', 'no_show', 'cancelled_by_therapist']);
+  });
+
+  test('allows nothing out of final statuses', () => {
+    ['completed', 'no_show', 'cancelled_by_client', 'cancelled_by_therapist', 'late_cancelled'].forEach(status => {
+      expect(getAllowedTransitions(status, 'therapist')).toEqual([]);
+    });
+  });
+});
+
+describe('canTransition', () => {
+  test('lets only therapists confirm requested sessions', () => {
+    expect(canTransition('requested', 'scheduled', 'therapist')).toBe(true);
+    expect(canTransition('requested', 'scheduled', 'client')).toBe(false);
+  });
+
+  test('lets the scheduler complete sessions in progress', () => {
+    expect(canTransition('in_progress', 'completed', 'system')).toBe(true);
+    expect(canTransition('in_progress', 'no_show', 'system')).toBe(false);
+  });
+});
+
+describe('assertTransition', () => {
+  test('accepts allowed transitions', () => {
+    expect(() => assertTransition('scheduled', 'in_progress', 'therapist')).not.toThrow();
+  });
+
+  test('rejects transitions that do not exist with a 409', () => {
+    expect.assertions(4);
+    try {
+      assertTransition('completed', 'scheduled', 'therapist');
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.statusCode).toBe(409);
+      expect(error.code).toBe('INVALID_STATUS_TRANSITION');
+      expect(error.details).toEqual({ session_status: 'completed', allowed_statuses: [] });
+    }
+  });
+
+  test('rejects a transition the role may not make with a 403', () => {
+    expect.assertions(4);
+    try {
+      assertTransition('scheduled', 'completed', 'client');
+    } catch (error) {
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.statusCode).toBe(403);
+      expect(error.code).toBe('STATUS_TRANSITION_FORBIDDEN');
+      expect(error.message).toBe('Only the therapist can move a session to completed');
+    }
+  });
+});
+
+describe('statuses', () => {
+  test('every status other than requested has a timestamp column', () => {
+    SESSION_STATUSES.filter(status => status !== 'requested').forEach(status => {
+      expect(STATUS_TIMESTAMPS[status]).toBeDefined();
+    });
+  });
+
+  test('isCancelledStatus covers the cancelled statuses only', () => {
+    expect(isCancelledStatus('late_cancelled')).toBe(true);
+    expect(isCancelledStatus('cancelled_by_therapist')).toBe(true);
+    expect(isCancelledStatus('no_show')).toBe(false);
+  });
+});
+
+describe('requiresStartedSession', () => {
+  test('holds attendance statuses back until the session starts', () => {
+    expect(['in_progress', 'completed', 'no_show'].every(requiresStartedSession)).toBe(true);
+    expect(['scheduled', 'cancelled_by_client', 'late_cancelled'].some(requiresStartedSession)).toBe(false);
+  });
+});
@@ -0,0 +1,96 @@
+const {
+  normalizeTimeZone,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  formatInTimeZone,
+  getZonedDateString,
+  addDays,
+  parseDateTimeInZone,
+  resolveDateRange
+} = require('../../src/utils/timezone');
+
+describe('zonedTimeToUtc', () => {
+  test('uses the offset in effect on the date', () => {
+    expect(zonedTimeToUtc('2026-07-01', '09:00', 'America/New_York').toISOString()).toBe('2026-07-01T13:00:00.000Z');
+    expect(zonedTimeToUtc('2026-12-01', '09:00', 'America/New_York').toISOString()).toBe('2026-12-01T14:00:00.000Z');
+  });
+
+  test('moves times skipped by a spring-forward jump past the transition', () => {
+    // 02:30 doesn't exist in New York on 8 March 2026; it becomes 03:30 EDT
+    expect(zonedTimeToUtc('2026-03-08', '02:30', 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    expect(zonedTimeToUtc('2026-03-29', '01:30', 'Europe/London').toISOString()).toBe('2026-03-29T01:30:00.000Z');
+    expect(zonedTimeToUtc('2026-10-04', '02:30', 'Australia/Sydney').toISOString()).toBe('2026-10-03T16:30:00.000Z');
+  });
+
+  test('resolves times repeated by a fall-back jump to the first occurrence', () => {
+    expect(zonedTimeToUtc('2026-11-01', '01:30', 'America/New_York').toISOString()).toBe('2026-11-01T05:30:00.000Z');
+  });
+});
+
+describe('formatInTimeZone', () => {
+  test('shows the offset of each side of a fall-back transition', () => {
+    expect(formatInTimeZone(new Date('2026-11-01T05:30:00Z'), 'America/New_York')).toBe('2026-11-01T01:30:00-04:00');
+    expect(formatInTimeZone(new Date('2026-11-01T06:30:00Z'), 'America/New_York')).toBe('2026-11-01T01:30:00-05:00');
+  });
+
+  test('round-trips with zonedTimeToUtc', () => {
+    const instant = zonedTimeToUtc('2026-03-08', '09:15', 'America/New_York');
+    expect(formatInTimeZone(instant, 'America/New_York')).toBe('2026-03-08T09:15:00-04:00');
+  });
+});
+
+describe('getTimeZoneOffset', () => {
+  test('returns minutes east of UTC', () => {
+    expect(getTimeZoneOffset(new Date('2026-07-01T12:00:00Z'), 'America/New_York')).toBe(-240);
+    expect(getTimeZoneOffset(new Date('2026-01-01T12:00:00Z'), 'America/New_York')).toBe(-300);
+    expect(getTimeZoneOffset(new Date('2026-01-01T12:00:00Z'), 'Asia/Kolkata')).toBe(330);
+  });
+});
+
+describe('getZonedDateString', () => {
+  test('returns the local calendar date', () => {
+    expect(getZonedDateString(new Date('2026-07-01T02:00:00Z'), 'America/Los_Angeles')).toBe('2026-06-30');
+    expect(getZonedDateString(new Date('2026-07-01T02:00:00Z'), 'Asia/Tokyo')).toBe('2026-07-01');
+  });
+});
+
+describe('normalizeTimeZone', () => {
+  test('falls back to UTC for unknown zones', () => {
+    expect(normalizeTimeZone('Nope/Zone')).toBe('UTC');
+    expect(normalizeTimeZone(null)).toBe('UTC');
+    expect(normalizeTimeZone('Europe/Paris')).toBe('Europe/Paris');
+  });
+});
+
+describe('addDays', () => {
+  test('crosses month and leap-day boundaries', () => {
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+  });
+});
+
+describe('parseDateTimeInZone', () => {
+  test('reads naive values as wall-clock time in the zone', () => {
+    expect(parseDateTimeInZone('2026-07-01T09:00', 'Europe/Berlin').toISOString()).toBe('2026-07-01T07:00:00.000Z');
+    expect(parseDateTimeInZone('2026-07-01', 'Europe/Berlin').toISOString()).toBe('2026-06-30T22:00:00.000Z');
+  });
+
+  test('keeps values with an explicit offset as given', () => {
+    expect(parseDateTimeInZone('2026-07-01T09:00Z', 'Europe/Berlin').toISOString()).toBe('2026-07-01T09:00:00.000Z');
+    expect(parseDateTimeInZone('2026-07-01T09:00+02:00', 'America/New_York').toISOString()).toBe('2026-07-01T07:00:00.000Z');
+  });
+});
+
+describe('resolveDateRange', () => {
+  test('covers whole local days, including 25-hour fall-back days', () => {
+    const range = resolveDateRange('2026-11-01', '2026-11-01', 'America/New_York');
+    expect(range.start.toISOString()).toBe('2026-11-01T04:00:00.000Z');
+    expect(range.end.toISOString()).toBe('2026-11-02T05:00:00.000Z');
+  });
+
+  test('leaves datetimes as instants', () => {
+    const range = resolveDateRange('2026-11-01T09:00', '2026-11-01T17:00Z', 'America/New_York');
+    expect(range.start.toISOString()).toBe('2026-11-01T14:00:00.000Z');
+    expect(range.end.toISOString()).toBe('2026-11-01T17:00:00.000Z');
+  });
+});